@@ -0,0 +1,37 @@
+// Example of the config.js pages load. config.js is generated, not committed:
+// put your settings in .env and run `npm run config` (see server/config.js),
+// or copy this file to config.js and fill it in.
+const CONFIG = {
+  "PROFILE": "development",
+  "GOOGLE_CLIENT_ID": "YOUR_CLIENT_ID.apps.googleusercontent.com",
+  "GOOGLE_SHEET_ID": "YOUR_GOOGLE_SHEET_ID",
+  "APP_NAME": "3D Data Visualization",
+  "REDIRECT_URI": "",
+  "DEFAULT_LAYOUT": "table",
+  "TWEEN_DURATION": 2000,
+  "LAYOUT_CHOREOGRAPHY": "random",
+  "LAYOUT_EASING": "Exponential.InOut",
+  "RENDER_MODE": "auto",
+  "WEBGL_THRESHOLD": 500,
+  "COLOR_THRESHOLDS": [
+    100000,
+    200000
+  ],
+  "DEMO_MODE": false,
+  "POLL_INTERVAL": 0,
+  "CSV_DELIMITER": "auto",
+  "MONEY_LOCALE": "en-US",
+  "CURRENCY": "USD",
+  "ACCESS_POLICY": {
+    "allowedDomains": [
+      "example.com"
+    ],
+    "roles": {
+      "admin": [
+        "you@example.com"
+      ]
+    }
+  }
+};
+if (typeof window !== 'undefined') window.CONFIG = CONFIG;
+if (typeof module !== 'undefined' && module.exports) module.exports = CONFIG;
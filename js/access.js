@@ -0,0 +1,100 @@
+/**
+ * Access Policy Module
+ * Decides who may use the app after sign-in, and with which role
+ *
+ * Policy (CONFIG.ACCESS_POLICY):
+ * {
+ *   allowedDomains: ['example.com'],          // any verified address on these domains
+ *   allow: ['partner@gmail.com'],             // extra addresses (or '@domain')
+ *   deny: ['former.employee@example.com'],    // always refused, wins over everything
+ *   roles: { admin: ['owner@example.com'] },  // addresses (or '@domain') per role
+ *   defaultRole: 'viewer'                     // role of everyone else who is allowed
+ * }
+ * Anyone listed under a role is allowed too. Without a policy nobody is.
+ */
+
+const ROLES = ['admin', 'viewer'];
+
+// Features each role may use
+const ROLE_PERMISSIONS = {
+  admin: ['viewNetWorth', 'editDataSource'],
+  viewer: []
+};
+
+/**
+ * Check an address against a list entry: a full address or '@domain'
+ */
+function matchesEntry(email, entry) {
+  const normalized = String(entry).trim().toLowerCase();
+  return normalized.startsWith('@')
+    ? email.endsWith(normalized)
+    : email === normalized;
+}
+
+class AccessPolicy {
+  constructor(policy) {
+    this.policy = policy || null;
+  }
+
+  /**
+   * Decide access for verified ID token claims
+   * @returns {{ allowed: boolean, role: string|null, reason: string }}
+   */
+  check(claims) {
+    const refuse = reason => ({ allowed: false, role: null, reason });
+    const policy = this.policy;
+
+    if (!policy) {
+      return refuse('No access policy is configured for this app.');
+    }
+    if (!claims || !claims.email) {
+      return refuse('Your account did not share an email address.');
+    }
+    // Only addresses Google has verified: a missing claim is not a yes
+    if (claims.email_verified !== true) {
+      return refuse(`${claims.email} is not a verified address.`);
+    }
+
+    const email = claims.email.toLowerCase();
+    const listed = list => (list || []).some(entry => matchesEntry(email, entry));
+
+    if (listed(policy.deny)) {
+      return refuse(`${claims.email} is not allowed to use this app.`);
+    }
+
+    const roles = policy.roles || {};
+    const role = Object.keys(roles)
+      .sort((a, b) => AccessPolicy.rank(a) - AccessPolicy.rank(b))
+      .find(name => listed(roles[name]));
+
+    const domain = email.slice(email.lastIndexOf('@') + 1);
+    const allowed = !!role ||
+      listed(policy.allow) ||
+      (policy.allowedDomains || []).some(allowedDomain => allowedDomain.toLowerCase() === domain);
+
+    if (!allowed) {
+      return refuse(`${claims.email} is not on the list of people allowed to use this app.`);
+    }
+    return { allowed: true, role: role || policy.defaultRole || 'viewer', reason: '' };
+  }
+
+  /**
+   * Known roles first, most privileged first
+   */
+  static rank(role) {
+    const index = ROLES.indexOf(role);
+    return index === -1 ? ROLES.length : index;
+  }
+}
+
+/**
+ * Check whether a role may use a feature
+ */
+function roleCan(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AccessPolicy, ROLES, ROLE_PERMISSIONS, roleCan };
+}
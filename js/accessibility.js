@@ -0,0 +1,118 @@
+/**
+ * Accessibility Module
+ * An offscreen table that mirrors the people in view for screen readers, and
+ * a live region that reads out keyboard selection, layout and filter changes
+ */
+
+import { getLayout } from './layouts.js';
+
+// Table columns: header and cell text for an item
+const TABLE_COLUMNS = [
+  { label: 'Age', value: item => item.age },
+  { label: 'Country', value: item => item.country },
+  { label: 'Interest', value: item => item.interest },
+  { label: 'Net worth', value: item => dataManager.formatNetWorth(item.netWorth) }
+];
+
+/**
+ * One-line description of an item, for announcements
+ */
+function describeItem(item) {
+  return [item.name, ...TABLE_COLUMNS.map(column => column.value(item))]
+    .filter(text => text !== '' && text !== null && text !== undefined)
+    .join(', ');
+}
+
+/**
+ * Create the table of people in view, in layout order
+ * Each row has a button that opens the person's card. The table stays
+ * visually hidden unless keyboard focus is inside it.
+ */
+export function createScreenReaderTable(container, app) {
+  const render = () => {
+    const items = app.getVisibleItems();
+    container.innerHTML = '';
+
+    const table = document.createElement('table');
+    const caption = document.createElement('caption');
+    const layout = getLayout(app.currentLayout);
+    caption.textContent = `${items.length} ${items.length === 1 ? 'person' : 'people'} in view` +
+      (layout ? `, in ${layout.label} layout order` : '');
+    table.appendChild(caption);
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['Name', ...TABLE_COLUMNS.map(column => column.label), 'Card'].forEach(label => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.textContent = label;
+      headRow.appendChild(cell);
+    });
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    items.forEach(item => {
+      const row = document.createElement('tr');
+
+      const name = document.createElement('th');
+      name.scope = 'row';
+      name.textContent = item.name;
+      row.appendChild(name);
+
+      TABLE_COLUMNS.forEach(column => {
+        const cell = document.createElement('td');
+        cell.textContent = column.value(item);
+        row.appendChild(cell);
+      });
+
+      const action = document.createElement('td');
+      const button = document.createElement('button');
+      button.textContent = 'Open';
+      button.setAttribute('aria-label', `Open ${item.name}'s card`);
+      button.addEventListener('click', () => app.focusCardByKey(item.key));
+      action.appendChild(button);
+      row.appendChild(action);
+
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+
+    container.appendChild(table);
+  };
+
+  app.addEventListener('filterchange', render);
+  app.addEventListener('layoutchange', render);
+  app.addEventListener('sortchange', render);
+
+  render();
+
+  return { render };
+}
+
+/**
+ * Read out what changed in the scene through a live region
+ */
+export function createAnnouncer(liveRegion, app) {
+  const announce = message => {
+    liveRegion.textContent = message;
+  };
+
+  app.addEventListener('cardselect', event => {
+    const item = event.detail.item;
+    if (!item) return;
+    const items = app.getVisibleItems();
+    announce(`${describeItem(item)}. ${items.indexOf(item) + 1} of ${items.length}.`);
+  });
+  app.addEventListener('cardfocus', event => announce(`Opened ${event.detail.item.name}.`));
+  app.addEventListener('layoutchange', event => {
+    const layout = getLayout(event.detail.layout);
+    announce(`${layout ? layout.label : event.detail.layout} layout.`);
+  });
+  app.addEventListener('filterchange', () => {
+    const count = app.getVisibleItems().length;
+    announce(`${count} ${count === 1 ? 'person' : 'people'} in view.`);
+  });
+
+  return { announce };
+}
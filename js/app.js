@@ -4,10 +4,196 @@
  */
 
 import VisualizationApp from './visualization.js';
+import { getLayout, getLayouts } from './layouts.js';
+import { createFilterPanel } from './filters.js';
+import { createDetailDrawer } from './detail-drawer.js';
+import { renderValidationReport } from './validation-report.js';
+import { createSourcePanel } from './source-panel.js';
+import { createLegend } from './legend.js';
+import { createDeepLinks } from './deep-link.js';
+import { createExportMenu } from './export-menu.js';
+import { createScreenReaderTable, createAnnouncer } from './accessibility.js';
+import { createSortControls } from './sort-controls.js';
+import { createPresentationPanel } from './presentation-controls.js';
+
+/**
+ * Build the layout buttons from the layout registry
+ */
+function renderLayoutControls(app) {
+  const controlsEl = document.getElementById('layout-controls');
+  if (!controlsEl) return;
+
+  controlsEl.innerHTML = '';
+  getLayouts().forEach(layout => {
+    const button = document.createElement('button');
+    button.className = 'control-btn';
+    button.dataset.view = layout.name;
+    button.textContent = layout.label;
+    button.classList.toggle('active', layout.name === app.currentLayout);
+    button.addEventListener('click', () => changeView(app, layout.name));
+    controlsEl.appendChild(button);
+  });
+
+  // Option pickers for the active layout (e.g. cluster "Group by")
+  const layout = getLayout(app.currentLayout);
+  const options = app.getLayoutOptions(app.currentLayout);
+  (layout ? layout.controls : []).forEach(control => {
+    const label = document.createElement('label');
+    label.className = 'layout-option';
+    label.textContent = control.label;
+
+    const select = document.createElement('select');
+    control.choices.forEach(choice => {
+      const option = document.createElement('option');
+      option.value = choice.value;
+      option.textContent = choice.label;
+      option.selected = choice.value === options[control.option];
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => {
+      app.changeLayout(app.currentLayout, { [control.option]: select.value });
+    });
+
+    label.appendChild(select);
+    controlsEl.appendChild(label);
+  });
+}
+
+/**
+ * Change visualization view (the layoutchange event updates the buttons)
+ */
+function changeView(app, viewType) {
+  app.changeLayout(viewType);
+}
+
+/**
+ * Show the validation report for the data that was just loaded
+ */
+function showValidationReport() {
+  const reportEl = document.getElementById('validation-report');
+  if (reportEl) {
+    renderValidationReport(reportEl, dataManager.validationReport);
+  }
+}
+
+/**
+ * Load data from another source and rebuild the scene with it
+ */
+async function switchDataSource(source) {
+  const data = await dataManager.loadFromSource(source);
+
+  showValidationReport();
+  window.visualizationApp.createObjects(data);
+  if (window.filterPanel) {
+    window.filterPanel.refresh();
+  }
+  if (window.exportMenu) {
+    window.exportMenu.render();
+  }
+  if (window.screenReaderTable) {
+    window.screenReaderTable.render();
+  }
+}
+
+/**
+ * Offer to connect Google Sheets when loading needed the user's consent
+ * The consent popup must be opened from a click, so it can't happen on load.
+ */
+function showSheetsAccessPrompt(error) {
+  const promptEl = document.getElementById('sheets-access');
+  if (!promptEl || !error || !['consent_required', 'access_denied'].includes(error.code)) return;
+
+  promptEl.innerHTML = '';
+  const message = document.createElement('span');
+  message.textContent = error.message;
+  const button = document.createElement('button');
+  button.className = 'header-btn';
+  button.textContent = 'Connect Google Sheets';
+  button.addEventListener('click', async () => {
+    try {
+      await authManager.getAccessToken({ forceRefresh: true, prompt: 'consent' });
+      // Nothing on screen yet: start over, now that access is granted
+      if (!window.visualizationApp) {
+        window.location.reload();
+        return;
+      }
+      await switchDataSource(dataManager.getConfiguredSource());
+      promptEl.classList.remove('active');
+    } catch (retryError) {
+      console.error('Could not connect Google Sheets:', retryError);
+      message.textContent = retryError.message;
+    }
+  });
+  promptEl.append(message, button);
+  promptEl.classList.add('active');
+}
+
+/**
+ * Say when the data on screen isn't live: a saved copy shown while the source
+ * is unreachable, or made-up demo data
+ */
+function renderDataStatus(status) {
+  const statusEl = document.getElementById('data-status');
+  if (!statusEl) return;
+
+  statusEl.innerHTML = '';
+  statusEl.classList.toggle('active', status.state === 'offline' || status.state === 'demo');
+  statusEl.classList.toggle('demo', status.state === 'demo');
+
+  const message = document.createElement('span');
+  if (status.state === 'demo') {
+    message.textContent = 'Demo mode: these are made-up people, not real data.';
+    statusEl.appendChild(message);
+    return;
+  }
+  if (status.state !== 'offline') return;
+
+  const asOf = new Date(status.asOf).toLocaleString();
+  message.textContent = `Offline: showing ${status.source} as of ${asOf}. Retrying in the background.`;
+  message.title = status.error ? status.error.message : '';
+
+  const button = document.createElement('button');
+  button.className = 'header-btn';
+  button.textContent = 'Retry now';
+  button.addEventListener('click', () => dataManager.revalidate());
+  statusEl.append(message, button);
+}
+
+/**
+ * Get the signed-in user's role, or null when they may not use the app
+ * (app.html's auth check redirects them). Pages without sign-in get full access.
+ */
+async function getRole() {
+  if (typeof authManager === 'undefined') return 'admin';
+  const access = await authManager.verifyAccess();
+  return access.allowed ? access.role : null;
+}
 
 (async function() {
   'use strict';
 
+  const role = await getRole();
+  if (!role) return;
+  dataManager.setRole(role);
+
+  // Signed-in users read private sheets with their own OAuth token (the app
+  // server with their ID token), and the saved copy of the data goes when
+  // they sign out or the session expires
+  if (typeof authManager !== 'undefined') {
+    dataManager.setAccessTokenProvider(options => authManager.getAccessToken(options));
+    dataManager.setIdTokenProvider(() => authManager.getToken());
+    authManager.setSignOutCleanup(() => dataManager.clearCache());
+  }
+
+  // Banner for saved or demo data, kept current as the source comes back
+  dataManager.addEventListener('statuschange', event => {
+    const status = event.detail;
+    if (status.state === 'live') {
+      console.log(`✅ Loaded ${dataManager.data.length} items from ${status.source}`);
+    }
+    renderDataStatus(status);
+  });
+
   // Show loading indicator
   const loadingEl = document.getElementById('loading');
   if (loadingEl) {
@@ -20,6 +206,11 @@ import VisualizationApp from './visualization.js';
 
     console.log(`Loaded ${data.length} data items`);
 
+    // Rows the sheet schema rejected or warned about
+    renderDataStatus(dataManager.status);
+    showValidationReport();
+    showSheetsAccessPrompt(dataManager.loadError);
+
     // Initialize visualization
     const container = document.getElementById('visualization-container');
     window.visualizationApp = new VisualizationApp(container);
@@ -27,6 +218,104 @@ import VisualizationApp from './visualization.js';
     // Create 3D objects from data
     window.visualizationApp.createObjects(data);
 
+    // Build the control bar, and rebuild it when new layouts are registered
+    renderLayoutControls(window.visualizationApp);
+    window.addEventListener('layoutregistered', () => renderLayoutControls(window.visualizationApp));
+    window.visualizationApp.addEventListener('layoutchange', () => renderLayoutControls(window.visualizationApp));
+
+    // Card order pickers, above the layout buttons
+    const sortControlsEl = document.getElementById('sort-controls');
+    if (sortControlsEl) {
+      createSortControls(sortControlsEl, window.visualizationApp);
+    }
+
+    // Legend for the color scale, with color-by pickers
+    const legendEl = document.getElementById('legend');
+    if (legendEl) {
+      createLegend(legendEl, window.visualizationApp);
+    }
+
+    // Filter panel, toggled from the header
+    const filterPanelEl = document.getElementById('filter-panel');
+    if (filterPanelEl) {
+      window.filterPanel = createFilterPanel(filterPanelEl, window.visualizationApp);
+      const toggleEl = document.getElementById('filter-toggle');
+      if (toggleEl) {
+        toggleEl.addEventListener('click', () => filterPanelEl.classList.toggle('open'));
+      }
+    }
+
+    // Data source picker and file drop, toggled from the header (admins only)
+    const sourcePanelEl = document.getElementById('source-panel');
+    if (!dataManager.can('editDataSource')) {
+      const toggleEl = document.getElementById('source-toggle');
+      if (toggleEl) toggleEl.remove();
+    } else if (sourcePanelEl) {
+      createSourcePanel(sourcePanelEl, switchDataSource);
+      const toggleEl = document.getElementById('source-toggle');
+      if (toggleEl) {
+        toggleEl.addEventListener('click', () => sourcePanelEl.classList.toggle('open'));
+      }
+    }
+
+    // Downloads of the people in view, and scene files, toggled from the header
+    const exportPanelEl = document.getElementById('export-panel');
+    if (exportPanelEl) {
+      window.exportMenu = createExportMenu(exportPanelEl, window.visualizationApp, { filterPanel: window.filterPanel });
+      const toggleEl = document.getElementById('export-toggle');
+      if (toggleEl) {
+        toggleEl.addEventListener('click', () => exportPanelEl.classList.toggle('open'));
+      }
+    }
+
+    // The people in view as a table for screen readers, and spoken scene changes
+    const tableEl = document.getElementById('a11y-table');
+    if (tableEl) {
+      window.screenReaderTable = createScreenReaderTable(tableEl, window.visualizationApp);
+    }
+    const liveRegionEl = document.getElementById('a11y-status');
+    if (liveRegionEl) {
+      createAnnouncer(liveRegionEl, window.visualizationApp);
+    }
+
+    // Animate sheet edits found by polling, keeping camera and layout state
+    dataManager.addEventListener('datachange', event => {
+      window.visualizationApp.applyDiff(event.detail, dataManager.getData());
+      showValidationReport();
+      if (window.filterPanel) {
+        window.filterPanel.refresh();
+      }
+      if (window.exportMenu) {
+        window.exportMenu.render();
+      }
+      if (window.screenReaderTable) {
+        window.screenReaderTable.render();
+      }
+    });
+    dataManager.startPolling(CONFIG.POLL_INTERVAL || 0);
+
+    // Detail drawer for the focused card
+    const drawerEl = document.getElementById('detail-drawer');
+    if (drawerEl) {
+      createDetailDrawer(drawerEl, window.visualizationApp);
+    }
+
+    // Keep the URL in step with the view, and open the view a link points to
+    window.deepLinks = createDeepLinks(window.visualizationApp, { filterPanel: window.filterPanel });
+
+    // Scripted presentations, toggled from the header
+    const presentationPanelEl = document.getElementById('presentation-panel');
+    if (presentationPanelEl) {
+      window.presentation = createPresentationPanel(presentationPanelEl, window.visualizationApp, {
+        filterPanel: window.filterPanel,
+        deepLinks: window.deepLinks
+      });
+      const toggleEl = document.getElementById('present-toggle');
+      if (toggleEl) {
+        toggleEl.addEventListener('click', () => presentationPanelEl.classList.toggle('open'));
+      }
+    }
+
     // Start animation loop
     window.visualizationApp.animate();
 
@@ -39,9 +328,13 @@ import VisualizationApp from './visualization.js';
   } catch (error) {
     console.error('Error initializing application:', error);
 
-    // Show error message
+    // Show error message (no saved copy to fall back on)
     if (loadingEl) {
-      loadingEl.innerHTML = '<div style="color: #dc2626;">Error loading data. Please check your configuration.</div>';
+      const message = document.createElement('div');
+      message.style.color = '#dc2626';
+      message.textContent = `Error loading data: ${error.message}`;
+      loadingEl.replaceChildren(message);
     }
+    showSheetsAccessPrompt(error);
   }
 })();
\ No newline at end of file
@@ -1,12 +1,215 @@
 /**
  * Authentication Module
  * Handles Google Sign-In and session management
+ *
+ * The Google ID token (a JWT) is verified before it is trusted: RS256
+ * signature against Google's published keys (JWKS), audience, issuer and
+ * expiry. The session signs out by itself when the token expires.
+ *
+ * Private sheets are read with a separate OAuth access token, requested
+ * through the Google Identity Services token client and kept in memory.
  */
 
-class AuthManager {
-  constructor() {
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+// Allowed clock difference when checking exp/iat (seconds)
+const CLOCK_SKEW = 60;
+
+// Warn this long before the session expires (ms)
+const EXPIRY_WARNING = 5 * 60 * 1000;
+
+const SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets.readonly';
+
+// Get a new access token this long before the current one expires (ms)
+const ACCESS_TOKEN_MARGIN = 60 * 1000;
+
+// Token client errors that need the user to click through a consent popup
+const CONSENT_ERRORS = ['popup_failed_to_open', 'interaction_required', 'consent_required', 'login_required'];
+
+/**
+ * Decode base64url into bytes
+ */
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Split a JWT into its decoded parts
+ * @throws {Error} when the token isn't a well-formed JWT
+ */
+function decodeJwt(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+  try {
+    const decoder = new TextDecoder();
+    return {
+      header: JSON.parse(decoder.decode(base64UrlToBytes(parts[0]))),
+      payload: JSON.parse(decoder.decode(base64UrlToBytes(parts[1]))),
+      signingInput: new TextEncoder().encode(`${parts[0]}.${parts[1]}`),
+      signature: base64UrlToBytes(parts[2])
+    };
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+}
+
+/**
+ * Read a JWT's claims without verifying it (display only, never for access)
+ */
+function parseJwt(token) {
+  try {
+    return decodeJwt(token).payload;
+  } catch (error) {
+    console.error('Error parsing JWT:', error);
+    return null;
+  }
+}
+
+/**
+ * Signing keys fetched from a JWKS URL (Google's by default), cached by key
+ * id. Unknown key ids trigger one refetch, since Google rotates its keys.
+ */
+class JwksKeySource {
+  constructor({ url = GOOGLE_JWKS_URL } = {}) {
+    this.url = url;
+    this.keys = null;
+  }
+
+  async fetchKeys() {
+    const response = await fetch(this.url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch signing keys: ${response.status} ${response.statusText}`);
+    }
+    const jwks = await response.json();
+    this.keys = jwks.keys || [];
+  }
+
+  async getKey(kid) {
+    if (!this.keys || !this.keys.some(key => key.kid === kid)) {
+      await this.fetchKeys();
+    }
+    return this.keys.find(key => key.kid === kid) || null;
+  }
+}
+
+/**
+ * Signing keys from an in-memory JWKS (e.g. a local key pair in tests)
+ */
+class StaticKeySource {
+  constructor(jwks) {
+    this.keys = (jwks && jwks.keys) || [];
+  }
+
+  async getKey(kid) {
+    return this.keys.find(key => key.kid === kid) || null;
+  }
+}
+
+/**
+ * Verify a Google ID token and return its claims
+ *
+ * @param {string} token
+ * @param {Object} options
+ * @param {Object} options.keySource - object with async getKey(kid) returning a JWK
+ * @param {string} options.clientId - expected audience
+ * @param {Array} options.issuers - accepted issuers (default Google's)
+ * @param {number} options.now - current time in seconds (default: the clock)
+ * @throws {Error} explaining why the token was rejected
+ */
+async function verifyIdToken(token, options = {}) {
+  const {
+    keySource = new JwksKeySource(),
+    clientId,
+    issuers = GOOGLE_ISSUERS,
+    now = Date.now() / 1000
+  } = options;
+
+  const { header, payload, signingInput, signature } = decodeJwt(token);
+
+  if (header.alg !== 'RS256') {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+  const jwk = await keySource.getKey(header.kid);
+  if (!jwk) {
+    throw new Error('Token was signed with an unknown key');
+  }
+
+  const key = await crypto.subtle.importKey(
+    'jwk',
+    { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: 'RS256', ext: true },
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['verify']
+  );
+  const valid = await crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, signingInput);
+  if (!valid) {
+    throw new Error('Token signature is invalid');
+  }
+
+  if (!clientId) {
+    throw new Error('Google client ID not configured');
+  }
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(clientId)) {
+    throw new Error('Token was issued for another application');
+  }
+  if (!issuers.includes(payload.iss)) {
+    throw new Error(`Token issuer is not trusted: ${payload.iss}`);
+  }
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW < now) {
+    throw new Error('Token has expired');
+  }
+  if (typeof payload.iat === 'number' && payload.iat - CLOCK_SKEW > now) {
+    throw new Error('Token was issued in the future');
+  }
+
+  return payload;
+}
+
+/**
+ * Error from the token client, with a `code`:
+ * - consent_required: the user has to grant access in a popup (call again
+ *   from a click with { prompt: 'consent' })
+ * - access_denied: the user refused, closed the popup or revoked access
+ * - unavailable: Google Identity Services isn't loaded
+ */
+function accessTokenError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Events:
+ * - sessionwarning: the session expires soon ({ detail: { expiresAt } })
+ * - sessionexpired: the session expired and is being signed out
+ */
+class AuthManager extends EventTarget {
+  /**
+   * @param {Object} options
+   * @param {Object} options.keySource - where signing keys come from; defaults to
+   *   CONFIG.GOOGLE_JWKS_URL (e.g. a local JWKS file), else Google's JWKS
+   */
+  constructor(options = {}) {
+    super();
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {};
+    this.keySource = options.keySource ||
+      new JwksKeySource(config.GOOGLE_JWKS_URL ? { url: config.GOOGLE_JWKS_URL } : {});
+    this.clientId = options.clientId || config.GOOGLE_CLIENT_ID;
     this.token = null;
     this.userInfo = null;
+    this.verified = null;
+    this.warningTimer = null;
+    this.expiryTimer = null;
+    this.accessToken = null;
+    this.accessTokenExpiry = 0;
+    this.pendingAccessToken = null;
+    this.signOutCleanup = null;
     this.init();
   }
 
@@ -22,6 +225,7 @@ class AuthManager {
    * Load credentials from session storage
    */
   loadStoredCredentials() {
+    if (typeof sessionStorage === 'undefined') return;
     try {
       this.token = sessionStorage.getItem('google_token');
       const userInfoStr = sessionStorage.getItem('user_info');
@@ -34,10 +238,154 @@ class AuthManager {
   }
 
   /**
-   * Check if user is authenticated
+   * Check if the stored session looks current (token present and not past
+   * its expiry). Only verifySession() proves the token is genuine.
    */
   isAuthenticated() {
-    return !!(this.token && this.userInfo);
+    if (!this.token || !this.userInfo) return false;
+    const claims = parseJwt(this.token);
+    return !!(claims && typeof claims.exp === 'number' && claims.exp * 1000 > Date.now());
+  }
+
+  /**
+   * Verify the stored token; clears the session when it isn't valid
+   * Resolves to true when the session can be used.
+   */
+  async verifySession() {
+    if (!this.token) return false;
+
+    // Verify once per page; the expiry timer handles the rest
+    if (!this.verified) {
+      this.verified = verifyIdToken(this.token, { keySource: this.keySource, clientId: this.clientId })
+        .then(claims => {
+          this.userInfo = claims;
+          this.scheduleExpiry(claims.exp * 1000);
+          return true;
+        })
+        .catch(error => {
+          console.warn('Stored session rejected:', error.message);
+          this.clearCredentials();
+          return false;
+        });
+    }
+    return this.verified;
+  }
+
+  /**
+   * Access decision for the signed-in user: { allowed, role, reason }
+   * Only meaningful once the session is verified (see verifyAccess).
+   */
+  getAccess() {
+    const access = typeof AccessPolicy !== 'undefined' ? { AccessPolicy } : require('./access.js');
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {};
+    return new access.AccessPolicy(config.ACCESS_POLICY).check(this.userInfo);
+  }
+
+  /**
+   * Verify the session, then check it against the access policy
+   */
+  async verifyAccess() {
+    if (!(await this.verifySession())) {
+      return { allowed: false, role: null, reason: 'You are not signed in.' };
+    }
+    return this.getAccess();
+  }
+
+  /**
+   * Verify a credential from Google Sign-In and start a session with it
+   * @throws {Error} when the credential is rejected
+   */
+  async signIn(credential) {
+    const claims = await verifyIdToken(credential, { keySource: this.keySource, clientId: this.clientId });
+    this.storeAuth(credential, claims);
+    this.verified = Promise.resolve(true);
+    this.scheduleExpiry(claims.exp * 1000);
+    return claims;
+  }
+
+  /**
+   * Get an OAuth access token for reading Google Sheets
+   * Cached until shortly before it expires. The first request, and requests
+   * after access was revoked, need a user click to open the consent popup.
+   *
+   * @param {Object} options
+   * @param {boolean} options.forceRefresh - ignore the cached token (e.g. after a 401)
+   * @param {string} options.prompt - '' to reuse earlier consent, 'consent' to ask again
+   * @throws {Error} with a `code` (see accessTokenError)
+   */
+  async getAccessToken({ forceRefresh = false, prompt = '' } = {}) {
+    if (!forceRefresh && this.accessToken && Date.now() < this.accessTokenExpiry - ACCESS_TOKEN_MARGIN) {
+      return this.accessToken;
+    }
+
+    // Concurrent callers share one request
+    if (!this.pendingAccessToken) {
+      this.accessToken = null;
+      this.pendingAccessToken = this.requestAccessToken(prompt)
+        .then(response => {
+          this.accessToken = response.access_token;
+          this.accessTokenExpiry = Date.now() + Number(response.expires_in || 3600) * 1000;
+          return this.accessToken;
+        })
+        .finally(() => {
+          this.pendingAccessToken = null;
+        });
+    }
+    return this.pendingAccessToken;
+  }
+
+  /**
+   * Ask the Google Identity Services token client for a Sheets read-only token
+   */
+  requestAccessToken(prompt) {
+    return new Promise((resolve, reject) => {
+      if (typeof google === 'undefined' || !google.accounts || !google.accounts.oauth2) {
+        reject(accessTokenError('unavailable', 'Google Identity Services is not loaded'));
+        return;
+      }
+
+      const fail = (type, description) => {
+        if (CONSENT_ERRORS.includes(type)) {
+          reject(accessTokenError('consent_required', 'Allow access to Google Sheets to load the data.'));
+        } else {
+          reject(accessTokenError('access_denied', description || `Google Sheets access was not granted (${type})`));
+        }
+      };
+
+      const client = google.accounts.oauth2.initTokenClient({
+        client_id: this.clientId,
+        scope: SHEETS_SCOPE,
+        hint: this.userInfo && this.userInfo.email,
+        callback: response => {
+          if (response.error) {
+            fail(response.error, response.error_description);
+          } else if (!google.accounts.oauth2.hasGrantedAllScopes(response, SHEETS_SCOPE)) {
+            fail('access_denied', 'Read access to Google Sheets was not granted');
+          } else {
+            resolve(response);
+          }
+        },
+        error_callback: error => fail(error.type, error.message)
+      });
+      client.requestAccessToken({ prompt });
+    });
+  }
+
+  /**
+   * Warn shortly before the token expires, and sign out when it does
+   */
+  scheduleExpiry(expiresAt) {
+    clearTimeout(this.warningTimer);
+    clearTimeout(this.expiryTimer);
+
+    const remaining = expiresAt - Date.now();
+    this.warningTimer = setTimeout(() => {
+      this.dispatchEvent(new CustomEvent('sessionwarning', { detail: { expiresAt } }));
+    }, Math.max(0, remaining - EXPIRY_WARNING));
+    this.expiryTimer = setTimeout(() => {
+      this.dispatchEvent(new CustomEvent('sessionexpired'));
+      this.signOut('expired');
+    }, Math.max(0, remaining));
   }
 
   /**
@@ -55,24 +403,56 @@ class AuthManager {
   }
 
   /**
-   * Sign out user
+   * Forget the session without leaving the page
    */
-  signOut() {
-    // Clear stored credentials
-    sessionStorage.removeItem('google_token');
-    sessionStorage.removeItem('user_info');
+  clearCredentials() {
+    clearTimeout(this.warningTimer);
+    clearTimeout(this.expiryTimer);
+    try {
+      sessionStorage.removeItem('google_token');
+      sessionStorage.removeItem('user_info');
+    } catch (error) {
+      console.error('Error clearing stored credentials:', error);
+    }
 
     // Reset local state
     this.token = null;
     this.userInfo = null;
+    this.verified = null;
+    this.accessToken = null;
+    this.accessTokenExpiry = 0;
+  }
+
+  /**
+   * Run `cleanup()` (which may return a promise) before every sign-out,
+   * including the one at expiry, e.g. to forget data saved in the browser
+   */
+  setSignOutCleanup(cleanup) {
+    this.signOutCleanup = cleanup;
+  }
+
+  /**
+   * Sign out user
+   * @param {string} reason - shown on the sign-in page (e.g. 'expired')
+   */
+  async signOut(reason) {
+    if (this.signOutCleanup) {
+      try {
+        await this.signOutCleanup();
+      } catch (error) {
+        console.error('Error cleaning up before sign-out:', error);
+      }
+    }
+    this.clearCredentials();
 
     // Sign out from Google
     if (typeof google !== 'undefined' && google.accounts) {
       google.accounts.id.disableAutoSelect();
     }
 
-    // Redirect to login page
-    window.location.href = 'index.html';
+    // Redirect to login page, keeping the view in the hash for after sign-in
+    const query = reason ? `?reason=${encodeURIComponent(reason)}` : '';
+    window.location.href = `index.html${query}${window.location.hash}`;
   }
 
   /**
@@ -91,5 +471,14 @@ const authManager = new AuthManager();
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = AuthManager;
-}
\ No newline at end of file
+  module.exports = {
+    AuthManager,
+    JwksKeySource,
+    StaticKeySource,
+    verifyIdToken,
+    decodeJwt,
+    SHEETS_SCOPE,
+    parseJwt,
+    GOOGLE_ISSUERS
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * Card Navigation Module
+ * Picks the card an arrow key moves to, from where the cards are on screen,
+ * so it works the same for every layout (grids, spheres, helixes...)
+ *
+ * Points are screen positions { x, y } in pixels (y grows downwards), one per
+ * card; null for cards that can't be moved to (e.g. behind the camera).
+ */
+
+// Arrow keys and the screen direction they move in
+const NAVIGATION_KEYS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 }
+};
+
+// How much sideways distance counts against a candidate, relative to distance ahead
+const ACROSS_WEIGHT = 2;
+
+/**
+ * Index of the nearest point in a direction from points[fromIndex], or -1
+ * Points within 45 degrees of the direction win; past that, anything ahead.
+ */
+function findNeighbor(points, fromIndex, direction) {
+  const from = points[fromIndex];
+  if (!from) return -1;
+
+  let best = -1;
+  let bestScore = Infinity;
+  let bestInCone = false;
+  points.forEach((point, index) => {
+    if (!point || index === fromIndex) return;
+
+    const dx = point.x - from.x;
+    const dy = point.y - from.y;
+    const along = dx * direction.x + dy * direction.y;
+    const across = Math.abs(dx * direction.y - dy * direction.x);
+    if (along <= 0) return;
+
+    const inCone = across <= along;
+    const score = along + across * ACROSS_WEIGHT;
+    if ((inCone && !bestInCone) || (inCone === bestInCone && score < bestScore)) {
+      best = index;
+      bestScore = score;
+      bestInCone = inCone;
+    }
+  });
+  return best;
+}
+
+/**
+ * Index of the point nearest to (x, y), or -1 when there are none
+ */
+function findNearest(points, x, y) {
+  let best = -1;
+  let bestDistance = Infinity;
+  points.forEach((point, index) => {
+    if (!point) return;
+    const distance = Math.hypot(point.x - x, point.y - y);
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Layout picked by a number key: '1' is the first of `layouts`, up to '9'
+ * Returns the layout name, or null.
+ */
+function layoutForKey(key, layouts) {
+  if (!/^[1-9]$/.test(key)) return null;
+  const layout = layouts[Number(key) - 1];
+  return layout ? layout.name : null;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { NAVIGATION_KEYS, findNeighbor, findNearest, layoutForKey };
+}
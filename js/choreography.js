@@ -0,0 +1,130 @@
+/**
+ * Choreography Module
+ * Plans how cards move during a layout transition: when each card starts,
+ * how long it takes, and any point it passes through on the way
+ *
+ * Choreographies:
+ * - random: every card starts at once and takes 1x-2x the duration
+ * - stagger: cards set off one after another, in layout order
+ * - wave: cards set off in a wave spreading out from the layout's center
+ * - explode: cards burst outwards from where they are, then assemble into
+ *   the layout in a random order
+ *
+ * Positions are { x, y, z }. A plan is
+ * { total, steps: [{ delay, duration, via?, viaDuration? }] }, one step per
+ * card, times in ms; `via` is a point the card goes through first, taking
+ * `viaDuration` (after `delay`) before `duration` more to reach its target.
+ */
+
+const CHOREOGRAPHIES = ['random', 'stagger', 'wave', 'explode'];
+
+// Easing families (see tween.js); each has In, Out and InOut, except Linear.None
+const EASING_FAMILIES = [
+  'Quadratic', 'Cubic', 'Quartic', 'Quintic', 'Sinusoidal',
+  'Exponential', 'Circular', 'Elastic', 'Back', 'Bounce'
+];
+
+// Share of the transition spent bursting outwards in 'explode'
+const EXPLODE_SHARE = 0.4;
+
+// How far cards fly out in 'explode', beyond the spread of where they were
+const EXPLODE_DISTANCE = 1500;
+
+/**
+ * Check an easing name such as 'Exponential.InOut' or 'Linear.None'
+ */
+function isEasingName(name) {
+  if (name === 'Linear.None') return true;
+  const [family, variant] = String(name).split('.');
+  return EASING_FAMILIES.includes(family) && ['In', 'Out', 'InOut'].includes(variant);
+}
+
+/**
+ * Easing to use when a transition takes over from one still running: the
+ * 'Out' variant of the same family, so cards keep moving instead of
+ * starting again from rest
+ */
+function interruptedEasing(name) {
+  const [family] = String(name).split('.');
+  return EASING_FAMILIES.includes(family) ? `${family}.Out` : name;
+}
+
+/**
+ * Average of a list of points
+ */
+function centerOfPoints(points) {
+  const sum = points.reduce((total, point) => ({
+    x: total.x + point.x,
+    y: total.y + point.y,
+    z: total.z + point.z
+  }), { x: 0, y: 0, z: 0 });
+  const count = Math.max(1, points.length);
+  return { x: sum.x / count, y: sum.y / count, z: sum.z / count };
+}
+
+/**
+ * Distance between two points
+ */
+function pointDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+/**
+ * Plan a transition from `from` to `to` positions (same order) over `duration`
+ * Unknown choreographies plan as 'random'. Pass `random` to make plans repeatable.
+ */
+function planTransition(choreography, from, to, duration, random = Math.random) {
+  const count = to.length;
+  let steps;
+
+  if (choreography === 'stagger') {
+    // The last card sets off when the first arrives
+    steps = to.map((point, index) => ({
+      delay: count > 1 ? (index / (count - 1)) * duration : 0,
+      duration
+    }));
+  } else if (choreography === 'wave') {
+    const center = centerOfPoints(to);
+    const distances = to.map(point => pointDistance(point, center));
+    const farthest = Math.max(0, ...distances) || 1;
+    steps = distances.map(value => ({ delay: (value / farthest) * duration, duration }));
+  } else if (choreography === 'explode') {
+    const center = centerOfPoints(from);
+    const spread = Math.max(0, ...from.map(point => pointDistance(point, center)));
+    const viaDuration = duration * EXPLODE_SHARE;
+    steps = from.map(point => {
+      // Straight out from the center; cards at the center pick a random direction
+      let direction = { x: point.x - center.x, y: point.y - center.y, z: point.z - center.z };
+      let length = Math.hypot(direction.x, direction.y, direction.z);
+      if (length < 1e-6) {
+        direction = { x: random() - 0.5, y: random() - 0.5, z: random() - 0.5 };
+        length = Math.hypot(direction.x, direction.y, direction.z);
+      }
+      if (length < 1e-6) {
+        direction = { x: 0, y: 0, z: 1 };
+        length = 1;
+      }
+      const reach = spread + EXPLODE_DISTANCE;
+      return {
+        delay: 0,
+        via: {
+          x: center.x + (direction.x / length) * reach,
+          y: center.y + (direction.y / length) * reach,
+          z: center.z + (direction.z / length) * reach
+        },
+        viaDuration,
+        duration: duration * (1 - EXPLODE_SHARE) * (1 + random())
+      };
+    });
+  } else {
+    steps = to.map(() => ({ delay: 0, duration: duration * (1 + random()) }));
+  }
+
+  const total = steps.reduce((longest, step) => Math.max(longest, step.delay + (step.viaDuration || 0) + step.duration), 0);
+  return { total, steps };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CHOREOGRAPHIES, EASING_FAMILIES, isEasingName, interruptedEasing, planTransition };
+}
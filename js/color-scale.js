@@ -0,0 +1,281 @@
+/**
+ * Color Scale Module
+ * Maps a data field to card colors, and describes the legend for it
+ *
+ * Scale spec: { field, type, ... }
+ * - threshold:   { thresholds: [100000, 200000] } - below the first bound,
+ *                then up to and including each following bound, then above
+ * - quantile:    { buckets: 3 } - equal-count buckets computed from the data
+ * - continuous:  { log: false } - colors interpolated between min and max
+ * - categorical: { palette: [...] } - one color per distinct text value
+ * Numeric scales use `colors` (low -> high); three-bucket threshold and
+ * quantile scales use the low/medium/high-worth CSS classes instead.
+ */
+
+const COLOR_RAMP = ['#dc2626', '#ea580c', '#16a34a'];
+
+const CATEGORICAL_PALETTE = [
+  '#2563eb', '#db2777', '#16a34a', '#ea580c', '#7c3aed',
+  '#0891b2', '#ca8a04', '#dc2626', '#4b5563', '#059669'
+];
+
+const BUCKET_CLASSES = ['low-worth', 'medium-worth', 'high-worth'];
+
+const COLOR_SCALE_TYPES = ['threshold', 'quantile', 'continuous', 'categorical'];
+
+/**
+ * Linear interpolation between two '#rrggbb' colors
+ */
+function mixColors(from, to, t) {
+  const a = parseInt(from.slice(1), 16);
+  const b = parseInt(to.slice(1), 16);
+  const channel = shift => {
+    const start = (a >> shift) & 255;
+    const end = (b >> shift) & 255;
+    return Math.round(start + (end - start) * t);
+  };
+  return `#${((1 << 24) | (channel(16) << 16) | (channel(8) << 8) | channel(0)).toString(16).slice(1)}`;
+}
+
+/**
+ * Color at position t (0..1) along a list of colors
+ */
+function colorAt(colors, t) {
+  if (colors.length === 1) return colors[0];
+  const clamped = Math.min(1, Math.max(0, t));
+  const scaled = clamped * (colors.length - 1);
+  const index = Math.min(colors.length - 2, Math.floor(scaled));
+  return mixColors(colors[index], colors[index + 1], scaled - index);
+}
+
+/**
+ * Spread `count` colors evenly along a list of colors
+ */
+function sampleColors(colors, count) {
+  return Array.from({ length: count }, (_, i) => colorAt(colors, count === 1 ? 0.5 : i / (count - 1)));
+}
+
+class ColorScale {
+  /**
+   * @param {Object} spec - see module comment
+   * @param {Array} data - items, used for quantiles, domains and categories
+   * @param {Function} format - formats numeric values for legend labels
+   */
+  constructor(spec, data = [], format = value => String(value)) {
+    this.field = spec.field || 'netWorth';
+    this.type = COLOR_SCALE_TYPES.includes(spec.type) ? spec.type : 'threshold';
+    this.colors = spec.colors || COLOR_RAMP;
+    this.format = format;
+    this.spec = spec;
+
+    if (this.type === 'categorical') {
+      this.initCategorical(data, spec.palette || CATEGORICAL_PALETTE);
+    } else if (this.type === 'continuous') {
+      this.initContinuous(data, !!spec.log);
+    } else {
+      const thresholds = this.type === 'quantile'
+        ? ColorScale.quantiles(this.numericValues(data), spec.buckets || 3)
+        : (spec.thresholds || ColorScale.equalThresholds(this.numericValues(data), 3));
+      this.initBuckets(thresholds);
+    }
+  }
+
+  /**
+   * Numeric value of the scale field, or NaN
+   */
+  valueOf(item) {
+    const value = item[this.field];
+    return typeof value === 'number' ? value : parseFloat(value);
+  }
+
+  numericValues(data) {
+    return data.map(item => this.valueOf(item)).filter(value => !isNaN(value)).sort((a, b) => a - b);
+  }
+
+  /**
+   * Bucket bounds that put roughly the same number of values in each bucket
+   */
+  static quantiles(sortedValues, buckets) {
+    if (sortedValues.length === 0) return [];
+    // The first bound is exclusive and the others inclusive (see bucketOf), so
+    // the first is the first value of bucket 2 and the rest the last of their bucket
+    const bounds = [];
+    for (let i = 1; i < buckets; i++) {
+      const index = Math.floor((i * sortedValues.length) / buckets) - (i === 1 ? 0 : 1);
+      bounds.push(sortedValues[Math.max(0, index)]);
+    }
+    return Array.from(new Set(bounds));
+  }
+
+  /**
+   * Bucket bounds that split the value range into equal widths
+   */
+  static equalThresholds(sortedValues, buckets) {
+    if (sortedValues.length === 0) return [];
+    const min = sortedValues[0];
+    const max = sortedValues[sortedValues.length - 1];
+    return Array.from({ length: buckets - 1 }, (_, i) => min + ((max - min) * (i + 1)) / buckets);
+  }
+
+  initBuckets(thresholds) {
+    this.thresholds = thresholds.slice().sort((a, b) => a - b);
+    const count = this.thresholds.length + 1;
+
+    // Three buckets keep the original card styles; other counts get ramp colors
+    this.bucketStyles = count === BUCKET_CLASSES.length && !this.spec.colors
+      ? BUCKET_CLASSES.map(className => ({ className }))
+      : sampleColors(this.colors, count).map(color => ({ color }));
+  }
+
+  initContinuous(data, log) {
+    const values = this.numericValues(data).filter(value => !log || value > 0);
+    this.log = log;
+    this.min = values.length ? values[0] : 0;
+    this.max = values.length ? values[values.length - 1] : 1;
+  }
+
+  initCategorical(data, palette) {
+    // Most common values get the first (most distinct) colors
+    const counts = new Map();
+    data.forEach(item => {
+      const key = this.categoryOf(item);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    this.categories = Array.from(counts.keys())
+      .sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    this.palette = palette;
+  }
+
+  categoryOf(item) {
+    const value = String(item[this.field] ?? '').trim();
+    return value || 'Unknown';
+  }
+
+  /**
+   * Bucket index of a numeric value (threshold/quantile scales)
+   */
+  bucketOf(value) {
+    if (isNaN(value) || this.thresholds.length === 0) return 0;
+    if (value < this.thresholds[0]) return 0;
+    for (let i = 1; i < this.thresholds.length; i++) {
+      if (value <= this.thresholds[i]) return i;
+    }
+    return this.thresholds.length;
+  }
+
+  /**
+   * Stand-in for a numeric value that only its bucket may show (threshold/quantile
+   * scales): the middle of the bucket, or half a neighbouring bucket past the
+   * outer bounds, and the bucket's legend label
+   * @returns {{ value: number, label: string }}
+   */
+  bucketStandIn(value) {
+    const thresholds = this.thresholds;
+    const index = this.bucketOf(value);
+    const label = this.legend().entries[index].label;
+
+    let middle = 0;
+    if (thresholds.length === 1) {
+      middle = thresholds[0] + (index === 0 ? -1 : 1) * (Math.abs(thresholds[0]) || 1) / 2;
+    } else if (thresholds.length > 1) {
+      const last = thresholds.length - 1;
+      if (index === 0) {
+        middle = thresholds[0] - (thresholds[1] - thresholds[0]) / 2;
+      } else if (index > last) {
+        middle = thresholds[last] + (thresholds[last] - thresholds[last - 1]) / 2;
+      } else {
+        middle = (thresholds[index - 1] + thresholds[index]) / 2;
+      }
+    }
+    return { value: middle, label };
+  }
+
+  /**
+   * Position of a value between min and max, 0..1 (continuous scales)
+   */
+  positionOf(value) {
+    const transform = this.log ? v => Math.log10(v) : v => v;
+    if (isNaN(value) || (this.log && value <= 0)) return 0;
+    const span = transform(this.max) - transform(this.min);
+    return span === 0 ? 0.5 : (transform(value) - transform(this.min)) / span;
+  }
+
+  /**
+   * Card style for an item: { className } or { color }
+   */
+  classify(item) {
+    if (this.type === 'categorical') {
+      const index = this.categories.indexOf(this.categoryOf(item));
+      return { color: this.palette[(index === -1 ? 0 : index) % this.palette.length] };
+    }
+    if (this.type === 'continuous') {
+      return { color: colorAt(this.colors, this.positionOf(this.valueOf(item))) };
+    }
+    return this.bucketStyles[this.bucketOf(this.valueOf(item))];
+  }
+
+  /**
+   * Legend description
+   * { type: 'swatches' | 'gradient', gradient?, entries: [{ label, className?, color?, match(item) }] }
+   */
+  legend() {
+    if (this.type === 'categorical') {
+      return {
+        type: 'swatches',
+        entries: this.categories.map((category, index) => ({
+          label: category,
+          color: this.palette[index % this.palette.length],
+          match: item => this.categoryOf(item) === category
+        }))
+      };
+    }
+
+    if (this.type === 'continuous') {
+      // Four clickable ranges along the gradient
+      const segments = 4;
+      const invert = t => (this.log
+        ? Math.pow(10, Math.log10(this.min) + t * (Math.log10(this.max) - Math.log10(this.min)))
+        : this.min + t * (this.max - this.min));
+      return {
+        type: 'gradient',
+        gradient: this.colors,
+        entries: Array.from({ length: segments }, (_, i) => {
+          const from = invert(i / segments);
+          const to = invert((i + 1) / segments);
+          return {
+            label: `${this.format(from)} – ${this.format(to)}`,
+            color: colorAt(this.colors, (i + 0.5) / segments),
+            match: item => {
+              const value = this.valueOf(item);
+              return value >= from && (i === segments - 1 ? value <= to : value < to);
+            }
+          };
+        })
+      };
+    }
+
+    return {
+      type: 'swatches',
+      entries: this.bucketStyles.map((style, index) => {
+        const lower = this.thresholds[index - 1];
+        const upper = this.thresholds[index];
+        let label;
+        if (this.thresholds.length === 0) {
+          label = 'All';
+        } else if (index === 0) {
+          label = `< ${this.format(upper)}`;
+        } else if (index === this.thresholds.length) {
+          label = `> ${this.format(lower)}`;
+        } else {
+          label = `${this.format(lower)} – ${this.format(upper)}`;
+        }
+        return { label, ...style, match: item => this.bucketOf(this.valueOf(item)) === index };
+      })
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ColorScale, COLOR_RAMP, CATEGORICAL_PALETTE, COLOR_SCALE_TYPES, mixColors, colorAt };
+}
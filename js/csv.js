@@ -0,0 +1,253 @@
+/**
+ * CSV Module
+ * RFC 4180 CSV parser that works in the browser and under Node
+ *
+ * - Quoted fields may contain delimiters, newlines and escaped quotes ("")
+ * - Accepts CRLF, LF and CR line endings, and strips a leading BOM
+ * - Delimiter is configurable (',', ';', '\t') or detected from the header row
+ * - Input can be fed in chunks (CsvParser.push) so large files stream
+ */
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+class CsvParser {
+  /**
+   * @param {Object} options
+   * @param {string} options.delimiter - ',', ';', '\t' or 'auto' (default ',')
+   * @param {boolean} options.trim - trim whitespace around unquoted fields (default false)
+   * @param {Function} options.onRow - called with each completed row; when
+   *   omitted, rows are collected and returned by end()
+   */
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || ',';
+    this.trim = !!options.trim;
+    this.onRow = options.onRow || null;
+
+    this.rows = [];
+    this.row = [];
+    this.field = '';
+    this.quoted = false;       // Current field started with a quote
+    this.inQuotes = false;     // Inside a quoted section
+    this.pendingQuote = false; // Saw a quote inside quotes; next char decides
+    this.pendingCR = false;    // Saw CR; swallow a following LF
+    this.closed = false;       // Past the closing quote of the current field
+    this.started = false;      // Seen any input (for BOM handling)
+    this.buffered = '';        // Input held back until the delimiter is known
+    this.lineNumber = 1;
+  }
+
+  /**
+   * Feed the next chunk of text
+   * With delimiter 'auto', input is held back until the header row is
+   * complete (or the input ends), since chunks can split it anywhere.
+   */
+  push(chunk) {
+    if (this.delimiter === 'auto') {
+      this.buffered += chunk;
+      if (headerEnd(this.buffered) === -1) return this;
+      return this.flushBuffered();
+    }
+    return this.consume(chunk);
+  }
+
+  /**
+   * Pick the delimiter from the input held back so far, and parse it
+   */
+  flushBuffered() {
+    const text = this.buffered;
+    this.buffered = '';
+    this.delimiter = detectDelimiter(text.replace(/^\uFEFF/, ''));
+    return this.consume(text);
+  }
+
+  /**
+   * Parse text with a known delimiter
+   */
+  consume(chunk) {
+    let text = chunk;
+
+    if (!this.started && text.length > 0) {
+      this.started = true;
+      if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1);
+      }
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (this.pendingCR) {
+        this.pendingCR = false;
+        if (char === '\n') continue;
+      }
+
+      if (this.pendingQuote) {
+        this.pendingQuote = false;
+        if (char === '"') {
+          // Escaped quote ("")
+          this.field += '"';
+          continue;
+        }
+        // Closing quote; fall through to handle char outside quotes
+        this.inQuotes = false;
+        this.closed = true;
+      }
+
+      if (this.inQuotes) {
+        if (char === '"') {
+          this.pendingQuote = true;
+        } else {
+          if (char === '\n') this.lineNumber++;
+          this.field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && this.field.trim() === '' && !this.quoted) {
+        // Opening quote (whitespace before it is ignored)
+        this.field = '';
+        this.quoted = true;
+        this.inQuotes = true;
+      } else if (char === this.delimiter) {
+        this.endField();
+      } else if (char === '\n' || char === '\r') {
+        this.endField();
+        this.endRow();
+        this.lineNumber++;
+        this.pendingCR = char === '\r';
+      } else if (this.closed && char === ' ') {
+        // Padding between a closing quote and the delimiter
+      } else {
+        this.field += char;
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Finish parsing; returns the collected rows (empty when onRow is used)
+   */
+  end() {
+    // Input too short to hold a line break
+    if (this.delimiter === 'auto') {
+      this.flushBuffered();
+    }
+
+    if (this.pendingQuote) {
+      this.pendingQuote = false;
+      this.inQuotes = false;
+    }
+    if (this.inQuotes) {
+      throw new Error(`Unterminated quoted field starting before line ${this.lineNumber}`);
+    }
+
+    // Last row without a trailing newline
+    if (this.field !== '' || this.row.length > 0 || this.quoted) {
+      this.endField();
+      this.endRow();
+    }
+
+    return this.rows;
+  }
+
+  endField() {
+    // Quoted fields keep their content exactly
+    this.row.push(this.quoted || !this.trim ? this.field : this.field.trim());
+    this.field = '';
+    this.quoted = false;
+    this.closed = false;
+  }
+
+  endRow() {
+    const row = this.row;
+    this.row = [];
+    if (this.onRow) {
+      this.onRow(row);
+    } else {
+      this.rows.push(row);
+    }
+  }
+}
+
+/**
+ * Index of the first line break outside quotes (the end of the header row),
+ * or -1 when there is none yet
+ */
+function headerEnd(text) {
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Guess the delimiter from the header row (the candidate that splits it most)
+ * Quoted sections, line breaks in them included, are ignored.
+ */
+function detectDelimiter(text) {
+  const end = headerEnd(text);
+  const header = (end === -1 ? text : text.slice(0, end)).replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+  CSV_DELIMITERS.forEach(delimiter => {
+    const count = header.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Parse a whole CSV string into rows (arrays of strings)
+ */
+function parseCsv(text, options = {}) {
+  return new CsvParser(options).push(text).end();
+}
+
+/**
+ * Parse a ReadableStream of text or bytes (e.g. fetch response.body, or a
+ * File's stream()) chunk by chunk. Calls onRow for each row when given,
+ * otherwise resolves to all rows.
+ */
+async function parseCsvStream(stream, options = {}) {
+  const parser = new CsvParser(options);
+  const decoder = new TextDecoder('utf-8');
+  const reader = stream.getReader();
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(typeof value === 'string' ? value : decoder.decode(value, { stream: true }));
+  }
+  parser.push(decoder.decode());
+
+  return parser.end();
+}
+
+/**
+ * Turn rows back into CSV text, quoting fields only when needed
+ */
+function stringifyCsv(rows, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const newline = options.newline || '\r\n';
+  const needsQuotes = new RegExp(`["\\r\\n${delimiter === '\t' ? '\\t' : delimiter}]|^\\s|\\s$`);
+
+  return rows.map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return needsQuotes.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(delimiter)).join(newline);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CsvParser, parseCsv, parseCsvStream, stringifyCsv, detectDelimiter, CSV_DELIMITERS };
+}
@@ -1,145 +1,492 @@
 /**
  * Data Management Module
- * Handles data loading from Google Sheets and placeholder data
+ * Handles data loading from the configured source, the saved copy of the
+ * last good load, and placeholder data for demo mode
  */
 
-class DataManager {
+// Retry an unreachable source after this long, doubling up to the maximum (ms)
+const REVALIDATE_DELAY = 5000;
+const REVALIDATE_MAX_DELAY = 5 * 60 * 1000;
+
+/**
+ * Events:
+ * - datachange: a refresh found differences ({ detail: { added, removed, changed } })
+ * - statuschange: where the shown data comes from changed ({ detail: status }, see setStatus)
+ */
+class DataManager extends EventTarget {
   constructor() {
+    super();
     this.data = [];
     this.isLoaded = false;
+    this.validationReport = null;
+    this.source = null;
+    this.pollTimer = null;
+    this.pollInterval = 0;
+    this.refreshing = null;
+    this.role = null; // No permissions until setRole (from the access policy after sign-in)
+    this.accessTokenProvider = null;
+    this.idTokenProvider = null;
+    this.loadError = null;
+    this.status = { state: 'loading' };
+    this.loadedAt = null;
+    this.revalidateTimer = null;
+    this.revalidateDelay = 0;
+
+    // Last good dataset, shown when the source can't be reached (dataset-cache.js is a global in the browser)
+    const cache = typeof DatasetCache !== 'undefined' ? { DatasetCache } : require('./dataset-cache.js');
+    this.cache = new cache.DatasetCache();
+    this.savedRows = null;
+
+    // Try again as soon as the browser is back online
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', () => {
+        if (this.status.state === 'offline') this.revalidate();
+      });
+    }
+
+    // Column mapping, overridable from config (schema.js is a global in the browser)
+    const schema = typeof SheetSchema !== 'undefined'
+      ? { SheetSchema, DEFAULT_SCHEMA }
+      : require('./schema.js');
+    const schemaFields = typeof CONFIG !== 'undefined' && CONFIG.SHEET_SCHEMA ? CONFIG.SHEET_SCHEMA : schema.DEFAULT_SCHEMA;
+    this.schema = new schema.SheetSchema(schemaFields, {
+      money: value => this.parseMoneyValue(value)
+    });
   }
 
   /**
    * Initialize and load data
+   * Falls back to the saved copy of the last good load (and keeps retrying
+   * the source in the background). Without one, the error is thrown: made-up
+   * data is only shown in demo mode.
    */
   async init() {
+    if (this.isDemoMode()) {
+      this.loadPlaceholderData();
+      this.setStatus({ state: 'demo', source: 'Demo data', asOf: Date.now() });
+      this.isLoaded = true;
+      return this.data;
+    }
+
+    let source = null;
     try {
-      // Try to load from Google Sheets first
-      await this.loadFromGoogleSheets();
+      source = this.getConfiguredSource();
+      await this.loadFromSource(source);
     } catch (error) {
-      console.warn('Could not load from Google Sheets, using placeholder data:', error);
-      // Fallback to placeholder data
-      this.loadPlaceholderData();
+      this.loadError = error;
+      if (!(await this.loadFromCache(source, error))) {
+        throw error;
+      }
     }
     this.isLoaded = true;
     return this.data;
   }
 
   /**
-   * Load data from Google Sheets
-   * This will be implemented once the Google Sheet is available
+   * Demo mode (CONFIG.DEMO_MODE, or ?demo in the page URL) shows placeholder data
    */
-  async loadFromGoogleSheets() {
-    if (!CONFIG.GOOGLE_SHEET_ID || CONFIG.GOOGLE_SHEET_ID === 'YOUR_GOOGLE_SHEET_ID_HERE') {
-      throw new Error('Google Sheet ID not configured');
+  isDemoMode() {
+    if (typeof CONFIG !== 'undefined' && CONFIG.DEMO_MODE) return true;
+    return typeof location !== 'undefined' && new URLSearchParams(location.search).has('demo');
+  }
+
+  /**
+   * Show the saved copy of the last good load after `error`, and retry
+   * `source` in the background. Resolves to false when there is no copy.
+   */
+  async loadFromCache(source, error) {
+    if (!this.canCache()) return false;
+
+    let record = null;
+    try {
+      record = await this.cache.load();
+    } catch (cacheError) {
+      console.warn('Could not read the saved dataset:', cacheError);
     }
-    const spreadsheetId = CONFIG.GOOGLE_SHEET_ID;
+    if (!record) return false;
 
-    const url = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/gviz/tq?tqx=out:csv`;
+    console.warn(`Could not load from data source, showing the copy saved ${new Date(record.savedAt).toISOString()}:`, error);
+    await this.loadFromSource(this.cache.constructor.sourceFor(record));
 
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch data: ${response.statusText}`);
+    // Refreshes go back to the real source
+    this.source = source;
+    this.setStatus({ state: 'offline', source: record.source, asOf: record.savedAt, error });
+    if (source) this.scheduleRevalidation();
+    return true;
+  }
+
+  /**
+   * Forget the saved dataset (e.g. on sign-out, so the next user can't see it)
+   */
+  async clearCache() {
+    this.savedRows = null;
+    try {
+      await this.cache.clear();
+    } catch (error) {
+      console.warn('Could not clear the saved dataset:', error);
+    }
+  }
+
+  /**
+   * Record where the shown data comes from and announce it
+   * status: { state: 'live' | 'offline' | 'demo', source, asOf, error? }
+   * - source: description of the source the data came from
+   * - asOf: ms timestamp of when that data was loaded
+   * - error: why the source couldn't be reached (offline only)
+   */
+  setStatus(status) {
+    this.status = status;
+    if (status.state !== 'offline') {
+      clearTimeout(this.revalidateTimer);
+      this.revalidateTimer = null;
+      this.revalidateDelay = 0;
     }
+    this.dispatchEvent(new CustomEvent('statuschange', { detail: status }));
+  }
 
-    // Get CSV text (not JSON!)
-    const csvText = await response.text();
+  /**
+   * Retry the source later, waiting longer after each failure
+   */
+  scheduleRevalidation() {
+    if (this.revalidateTimer) return;
+    this.revalidateDelay = Math.min(REVALIDATE_MAX_DELAY, this.revalidateDelay ? this.revalidateDelay * 2 : REVALIDATE_DELAY);
+    this.revalidateTimer = setTimeout(() => {
+      this.revalidateTimer = null;
+      this.revalidate();
+    }, this.revalidateDelay);
+  }
 
-    if (!csvText || csvText.length === 0) {
-      throw new Error('No data found in sheet');
+  /**
+   * Try the source again now; a success replaces the saved copy on screen
+   * (through datachange) and sets the status back to live
+   */
+  async revalidate() {
+    clearTimeout(this.revalidateTimer);
+    this.revalidateTimer = null;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this.scheduleRevalidation();
+      return;
+    }
+    try {
+      await this.refresh();
+    } catch (error) {
+      console.warn('Data source still unavailable:', error);
     }
+  }
 
-    // Parse CSV using PapaParse if available
-    let rows;
-    if (typeof Papa !== 'undefined') {
-      const parsed = Papa.parse(csvText, {
-        header: false,
-        skipEmptyLines: true
-      });
-      rows = parsed.data;
-    } else {
-      // Fallback simple CSV parser
-      rows = this.parseCSV(csvText);
+  /**
+   * Get the active data source: the one picked in the UI, else CONFIG.DATA_SOURCE,
+   * else the Sheets API when signed in with an access token, else the public
+   * Google Sheet CSV. Roles that may not see exact net worth get the app server.
+   */
+  getConfiguredSource() {
+    return this.createSource(this.getSourceSpec());
+  }
+
+  /**
+   * Create a source adapter from a spec, signed in when tokens are available
+   */
+  createSource(spec) {
+    const defaults = {};
+    if (this.accessTokenProvider) defaults.getAccessToken = this.accessTokenProvider;
+    if (this.idTokenProvider) defaults.getIdToken = this.idTokenProvider;
+    const sources = typeof createDataSource !== 'undefined' ? { createDataSource } : require('./sources.js');
+    return sources.createDataSource(spec, defaults);
+  }
+
+  /**
+   * Read Google Sheets with the signed-in user's OAuth token
+   * `provider(options)` resolves to a bearer token (see AuthManager.getAccessToken).
+   */
+  setAccessTokenProvider(provider) {
+    this.accessTokenProvider = provider;
+  }
+
+  /**
+   * Prove who is signed in to the app server (see ApiSource)
+   * `provider()` resolves to the user's Google ID token.
+   */
+  setIdTokenProvider(provider) {
+    this.idTokenProvider = provider;
+  }
+
+  /**
+   * Get the spec ({ type, ...options }) of the active data source
+   */
+  getSourceSpec() {
+    const configured = typeof CONFIG !== 'undefined' && CONFIG.DATA_SOURCE;
+
+    // Every other source hands the browser exact figures: roles that may not
+    // see them only read from the app server, which sends buckets instead
+    if (!this.can('viewNetWorth')) {
+      return configured && configured.type === 'api' ? configured : { type: 'api' };
     }
 
+    try {
+      const stored = localStorage.getItem('data_source');
+      if (stored) return JSON.parse(stored);
+    } catch (error) {
+      console.warn('Ignoring stored data source:', error);
+    }
+    if (configured) return configured;
+
+    // Signed-in users can read private sheets through the Sheets API
+    return { type: this.accessTokenProvider ? 'sheets-api' : 'gviz' };
+  }
+
+  /**
+   * Remember the data source picked in the UI (pass null to go back to config)
+   * File sources can't be stored, so they only apply to the current page
+   */
+  setSourceSpec(spec) {
+    if (spec && spec.type !== 'file') {
+      localStorage.setItem('data_source', JSON.stringify(spec));
+    } else if (!spec) {
+      localStorage.removeItem('data_source');
+    }
+  }
+
+  /**
+   * Load data from Google Sheets (public CSV endpoint)
+   */
+  async loadFromGoogleSheets() {
+    return this.loadFromSource(this.createSource({ type: 'gviz' }));
+  }
+
+  /**
+   * Load, map and validate rows from a data source adapter (see sources.js)
+   */
+  async loadFromSource(source, previous = []) {
+    if (source.type !== 'api' && !this.can('viewNetWorth')) {
+      throw new Error(`${source.describe()} has exact net worth figures; this account may only load data from the app server`);
+    }
+    const rows = await source.load();
+
     if (!rows || rows.length <= 1) {
-      throw new Error('No data rows found in sheet');
-    }
-
-    // Parse the data (skip first row which is header)
-    // Expected columns: Name, Photo, Age, Country, Interest, Net Worth
-    this.data = rows.slice(1).map((row, index) => {
-      // Skip empty rows
-      if (!row || !row[0]) return null;
-
-      return {
-        id: index + 1,
-        name: row[0] || `Person ${index + 1}`,
-        photoUrl: row[1] || 'https://via.placeholder.com/60',
-        age: row[2] || '',
-        country: row[3] || '',
-        interest: row[4] || '',
-        netWorth: this.parseNetWorth(row[5] || '0'),
-        initials: this.getInitials(row[0] || `P${index + 1}`)
-      };
-    }).filter(item => item !== null);
-
-    console.log(`✅ Loaded ${this.data.length} items from Google Sheets`);
+      throw new Error('No data rows found in source');
+    }
+
+    // Map columns by header name and validate every row (sources that
+    // validate server-side report on the original sheet instead)
+    const { items, report } = this.schema.mapRows(rows);
+    this.validationReport = source.report || report;
+
+    const { issues, rowCount, validCount } = this.validationReport;
+    if (issues.length > 0) {
+      console.warn(`Sheet validation: ${issues.length} issue(s), ${rowCount - validCount} row(s) skipped`);
+    }
+
+    this.data = this.assignKeys(
+      items.map((item, index) => this.restrictItem(this.normalizeItem(item, index))),
+      previous
+    );
+
+    this.source = source;
+
+    if (source.type !== 'cache') {
+      this.loadedAt = Date.now();
+      this.saveToCache(source, rows);
+      this.setStatus({ state: 'live', source: source.describe(), asOf: this.loadedAt });
+    }
     return this.data;
   }
 
   /**
-   * Simple CSV parser (fallback if PapaParse not available)
+   * Whether the saved copy may be used: it holds the sheet's rows as loaded,
+   * exact figures included, so only roles that may see them get one
    */
-  parseCSV(csvText) {
-    const lines = csvText.split('\n');
-    const rows = [];
-
-    for (let line of lines) {
-      if (!line.trim()) continue;
-
-      const row = [];
-      let current = '';
-      let inQuotes = false;
-
-      for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-
-        if (char === '"') {
-          inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-          row.push(current.trim());
-          current = '';
-        } else {
-          current += char;
+  canCache() {
+    return this.can('viewNetWorth');
+  }
+
+  /**
+   * Save freshly loaded rows as the last good dataset (in the background)
+   * Dropped files aren't saved: they can't be reloaded to refresh them.
+   */
+  saveToCache(source, rows) {
+    if (!this.canCache() || source.type === 'file' || rows === this.savedRows) return;
+    this.savedRows = rows;
+    this.cache.save({ rows, report: source.report || null, source: source.describe(), savedAt: this.loadedAt })
+      .catch(error => console.warn('Could not save the dataset for offline use:', error));
+  }
+
+  /**
+   * Reload the current source and announce what changed
+   * Concurrent calls share the same request. Resolves to the diff.
+   */
+  refresh() {
+    if (!this.source) {
+      return Promise.reject(new Error('No data source to refresh'));
+    }
+    if (this.refreshing) return this.refreshing;
+
+    const previous = this.data;
+    this.refreshing = this.loadFromSource(this.source, previous)
+      .then(data => {
+        const diff = this.diffData(previous, data);
+        if (diff.added.length || diff.removed.length || diff.changed.length) {
+          this.dispatchEvent(new CustomEvent('datachange', { detail: diff }));
+        }
+        return diff;
+      })
+      .catch(error => {
+        // Keep showing what we have, marked as out of date, and retry later
+        if (this.status.state === 'live') {
+          this.setStatus({ state: 'offline', source: this.status.source, asOf: this.status.asOf, error });
         }
+        if (this.status.state === 'offline') {
+          this.scheduleRevalidation();
+        }
+        throw error;
+      })
+      .finally(() => {
+        this.refreshing = null;
+      });
+
+    return this.refreshing;
+  }
+
+  /**
+   * Poll the source every `interval` ms (0 stops polling)
+   * Polls are skipped while the page is hidden.
+   */
+  startPolling(interval) {
+    this.stopPolling();
+    this.pollInterval = interval;
+    if (!interval) return;
+
+    const poll = () => {
+      this.pollTimer = setTimeout(async () => {
+        if (typeof document === 'undefined' || !document.hidden) {
+          try {
+            await this.refresh();
+          } catch (error) {
+            console.warn('Polling the data source failed:', error);
+          }
+        }
+        if (this.pollTimer) poll();
+      }, interval);
+    };
+    poll();
+  }
+
+  /**
+   * Stop polling the source
+   */
+  stopPolling() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    this.pollInterval = 0;
+  }
+
+  /**
+   * Give each item a stable key (from the schema key field) and keep the ids
+   * of items that were already loaded, so cards can be matched across reloads
+   */
+  assignKeys(items, previous = []) {
+    const keyField = this.schema.keyField;
+    const previousIds = new Map(previous.map(item => [item.key, item.id]));
+    const seen = new Map();
+    let nextId = previous.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+
+    return items.map(item => {
+      // Repeated keys get a suffix: "Alex Smith", "Alex Smith#2", ...
+      const base = String(item[keyField] ?? '');
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      const key = count > 1 ? `${base}#${count}` : base;
+
+      const id = previousIds.has(key) ? previousIds.get(key) : nextId++;
+      return { ...item, key, id };
+    });
+  }
+
+  /**
+   * Compare two keyed datasets
+   * Returns { added: [item], removed: [item], changed: [{ before, after }] }
+   */
+  diffData(previous, next) {
+    const previousByKey = new Map(previous.map(item => [item.key, item]));
+    const nextKeys = new Set(next.map(item => item.key));
+    const fingerprint = item => JSON.stringify(item, (key, value) => (key === 'rowNumber' ? undefined : value));
+
+    const added = [];
+    const changed = [];
+    next.forEach(item => {
+      const before = previousByKey.get(item.key);
+      if (!before) {
+        added.push(item);
+      } else if (fingerprint(before) !== fingerprint(item)) {
+        changed.push({ before, after: item });
       }
+    });
 
-      row.push(current.trim());
-      rows.push(row);
-    }
+    const removed = previous.filter(item => !nextKeys.has(item.key));
 
-    return rows;
+    return { added, removed, changed };
   }
 
   /**
-   * Parse net worth string to number
+   * Fill in display defaults for a mapped item
    */
-  parseNetWorth(netWorthStr) {
-    if (typeof netWorthStr === 'number') return netWorthStr;
+  normalizeItem(item, index) {
+    const name = item.name || `Person ${index + 1}`;
+    return {
+      ...item,
+      name: name,
+      photoUrl: item.photoUrl || 'https://via.placeholder.com/60',
+      age: item.age !== undefined ? item.age : '',
+      country: item.country || '',
+      interest: item.interest || '',
+      netWorth: item.netWorth || 0,
+      initials: this.getInitials(name)
+    };
+  }
+
+  /**
+   * Parse CSV text into rows
+   */
+  parseCSV(csvText) {
+    return parseCsvRows(csvText);
+  }
 
-    // Remove currency symbols and convert to number
-    const cleaned = netWorthStr.replace(/[$,]/g, '');
+  /**
+   * Money settings from config
+   * - locale: separator convention for ambiguous amounts, and display locale
+   * - currency: assumed for amounts without one, and used for display
+   * - rates: when set, amounts in other currencies are converted to `currency`
+   *   (value of one unit in `currency`, e.g. { EUR: 1.08 }); otherwise amounts
+   *   are taken at face value
+   */
+  getMoneyOptions() {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {};
+    return {
+      locale: config.MONEY_LOCALE || 'en-US',
+      currency: config.CURRENCY || 'USD',
+      rates: config.EXCHANGE_RATES || null
+    };
+  }
 
-    // Handle K (thousands) and M (millions) suffixes
-    if (cleaned.includes('K') || cleaned.includes('k')) {
-      return parseFloat(cleaned) * 1000;
-    }
-    if (cleaned.includes('M') || cleaned.includes('m')) {
-      return parseFloat(cleaned) * 1000000;
-    }
+  /**
+   * Parse an amount in any supported style into the display currency
+   * Throws with a readable reason (used by the sheet schema).
+   */
+  parseMoneyValue(value) {
+    // money.js is a global in the browser
+    const money = typeof parseAmount !== 'undefined' ? { parseAmount } : require('./money.js');
+    return money.parseAmount(value, this.getMoneyOptions());
+  }
 
-    return parseFloat(cleaned) || 0;
+  /**
+   * Parse net worth string to number ("1.2B", "(50,000)", "€ 1.000.000"...)
+   * Returns NaN when the value isn't an amount.
+   */
+  parseNetWorth(netWorthStr) {
+    try {
+      return this.parseMoneyValue(netWorthStr);
+    } catch (error) {
+      return NaN;
+    }
   }
 
   /**
@@ -155,7 +502,7 @@ class DataManager {
   }
 
   /**
-   * Load placeholder data for testing
+   * Load placeholder data for demo mode
    * Generates 200 items (20x10 for table layout)
    */
   loadPlaceholderData() {
@@ -196,33 +543,85 @@ class DataManager {
       });
     }
 
+    this.data = this.assignKeys(this.data.map(item => this.restrictItem(item)));
     return this.data;
   }
 
   /**
-   * Get color class based on net worth
+   * Set the signed-in user's role (see access.js); call before loading data
+   */
+  setRole(role) {
+    this.role = role;
+  }
+
+  /**
+   * Check whether the current role may use a feature, e.g. 'viewNetWorth'
+   */
+  can(permission) {
+    const access = typeof roleCan !== 'undefined' ? { roleCan } : require('./access.js');
+    return access.roleCan(this.role, permission);
+  }
+
+  /**
+   * Net worth buckets from the configured color thresholds
+   * (default: < $100K, $100K-$200K, > $200K)
+   */
+  getNetWorthScale() {
+    const thresholds = (typeof CONFIG !== 'undefined' && CONFIG.COLOR_THRESHOLDS) || [100000, 200000];
+    const { ColorScale: Scale } = typeof ColorScale !== 'undefined' ? { ColorScale } : require('./color-scale.js');
+    return new Scale({ type: 'threshold', field: 'netWorth', thresholds }, [], value => this.formatMoneyValue(value));
+  }
+
+  /**
+   * Show net worth as its bucket for roles that may not see it
+   * This is display only: those roles get their data from the app server,
+   * already in buckets (see getSourceSpec). The value stays the middle of the
+   * bucket (so colors, layouts and filters still work) and the sheet's own net
+   * worth column shows the bucket label.
+   */
+  restrictItem(item) {
+    if (this.can('viewNetWorth')) return item;
+
+    const { value: netWorth, label } = this.getNetWorthScale().bucketStandIn(item.netWorth);
+
+    // Hide the figure in the sheet's own columns too
+    const entry = this.schema.fields.find(field => field.field === 'netWorth');
+    const names = entry ? [entry.field, ...(entry.aliases || [])] : ['netWorth'];
+    const normalize = header => this.schema.constructor.normalizeHeader(header);
+    const headers = new Set(names.map(normalize));
+    const raw = item.raw && Object.fromEntries(Object.entries(item.raw)
+      .map(([header, value]) => [header, headers.has(normalize(header)) ? label : value]));
+
+    return { ...item, netWorth, netWorthBucket: label, ...(raw ? { raw } : {}) };
+  }
+
+  /**
+   * Get color class based on net worth, using the configured thresholds
+   * Cards use VisualizationApp's color scale, which can color by other fields.
    */
   getColorClass(netWorth) {
-    if (netWorth < 100000) {
-      return 'low-worth'; // Red
-    } else if (netWorth <= 200000) {
-      return 'medium-worth'; // Orange
-    } else {
-      return 'high-worth'; // Green
-    }
+    return this.getNetWorthScale().classify({ netWorth }).className || '';
   }
 
   /**
-   * Format net worth for display
+   * Format net worth for display: compact amount ($1.5M), or its bucket for
+   * roles that may not see exact figures
    */
   formatNetWorth(netWorth) {
-    if (netWorth >= 1000000) {
-      return `$${(netWorth / 1000000).toFixed(2)}M`;
-    } else if (netWorth >= 1000) {
-      return `$${(netWorth / 1000).toFixed(0)}K`;
-    } else {
-      return `$${netWorth.toFixed(0)}`;
+    if (!this.can('viewNetWorth')) {
+      const scale = this.getNetWorthScale();
+      return scale.legend().entries[scale.bucketOf(netWorth)].label;
     }
+    return this.formatMoneyValue(netWorth);
+  }
+
+  /**
+   * Format an amount, compact, in the configured currency
+   */
+  formatMoneyValue(amount) {
+    const money = typeof formatMoney !== 'undefined' ? { formatMoney } : require('./money.js');
+    const { locale, currency } = this.getMoneyOptions();
+    return money.formatMoney(amount, { locale, currency, compact: true });
   }
 
   /**
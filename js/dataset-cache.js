@@ -0,0 +1,146 @@
+/**
+ * Dataset Cache Module
+ * Keeps the last dataset that loaded successfully, so the app can show it
+ * (marked as out of date) when the data source can't be reached
+ *
+ * Record: { rows, report, source, savedAt }
+ * - rows: the source's raw rows (mapped again with the current schema and role)
+ * - report: the source's own validation report, if it has one
+ * - source: describe() of the source it came from
+ * - savedAt: ms timestamp of the load
+ */
+
+const CACHE_DB_NAME = 'visualization-cache';
+const CACHE_STORE_NAME = 'datasets';
+const LAST_DATASET_KEY = 'last';
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Key-value store on IndexedDB
+ */
+class IndexedDbStore {
+  constructor({ factory = typeof indexedDB !== 'undefined' ? indexedDB : null, name = CACHE_DB_NAME } = {}) {
+    this.factory = factory;
+    this.name = name;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.factory) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+    if (!this.db) {
+      const request = this.factory.open(this.name, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE_NAME);
+      this.db = requestToPromise(request);
+      // A failed open can be retried later
+      this.db.catch(() => {
+        this.db = null;
+      });
+    }
+    return this.db;
+  }
+
+  async run(mode, operation) {
+    const db = await this.open();
+    const transaction = db.transaction(CACHE_STORE_NAME, mode);
+    return requestToPromise(operation(transaction.objectStore(CACHE_STORE_NAME)));
+  }
+
+  get(key) {
+    return this.run('readonly', store => store.get(key));
+  }
+
+  put(key, value) {
+    return this.run('readwrite', store => store.put(value, key));
+  }
+
+  delete(key) {
+    return this.run('readwrite', store => store.delete(key));
+  }
+}
+
+/**
+ * Key-value store in memory (no persistence; used where IndexedDB isn't)
+ */
+class MemoryStore {
+  constructor() {
+    this.values = new Map();
+  }
+
+  async get(key) {
+    return this.values.get(key);
+  }
+
+  async put(key, value) {
+    this.values.set(key, structuredClone(value));
+  }
+
+  async delete(key) {
+    this.values.delete(key);
+  }
+}
+
+class DatasetCache {
+  /**
+   * @param {Object} store - get/put/delete(key) store (default: IndexedDB if available)
+   */
+  constructor(store = DatasetCache.defaultStore()) {
+    this.store = store;
+  }
+
+  static defaultStore() {
+    return typeof indexedDB !== 'undefined' ? new IndexedDbStore() : new MemoryStore();
+  }
+
+  /**
+   * Save a dataset that just loaded
+   * @returns {Object} the saved record
+   */
+  async save({ rows, report = null, source, savedAt = Date.now() }) {
+    const record = { rows, report, source, savedAt };
+    await this.store.put(LAST_DATASET_KEY, record);
+    return record;
+  }
+
+  /**
+   * The last saved dataset, or null
+   */
+  async load() {
+    const record = await this.store.get(LAST_DATASET_KEY);
+    return record && Array.isArray(record.rows) ? record : null;
+  }
+
+  /**
+   * Forget the saved dataset (e.g. when signing out)
+   */
+  clear() {
+    return this.store.delete(LAST_DATASET_KEY);
+  }
+
+  /**
+   * A data source adapter that replays a saved record (see sources.js)
+   */
+  static sourceFor(record) {
+    return {
+      type: 'cache',
+      report: record.report,
+      describe: () => `Saved copy of ${record.source}`,
+      load: async () => record.rows
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DatasetCache, IndexedDbStore, MemoryStore };
+}
@@ -0,0 +1,169 @@
+/**
+ * Deep Link Module
+ * Keeps the URL hash in step with the view (layout, filters, sort, colors,
+ * camera, focused card) so it can be shared, and restores views from the hash on
+ * load and on back/forward
+ *
+ * Layout, filter, color and focus changes add a history entry; camera moves
+ * replace the current one. The camera is only written once the user has moved
+ * it: until then each layout frames itself, which a link reproduces exactly.
+ */
+
+import { getLayout } from './layouts.js';
+import { createFilterState, isFilterEmpty, matchesFilters } from './filters.js';
+
+// Wait for changes to settle before writing the URL (ms)
+const WRITE_DEBOUNCE = 300;
+
+/**
+ * Describe the current view (see view-state.js)
+ */
+export function captureViewState(app, filterPanel, { includeCamera = true } = {}) {
+  const state = {
+    layout: app.currentLayout,
+    layoutOptions: app.layoutOptions[app.currentLayout] || {},
+    filters: filterPanel ? filterPanel.getFilters() : createFilterState(),
+    filterMode: app.filterMode,
+    sort: app.sort,
+    color: { field: app.colorSpec.field, type: app.colorSpec.type },
+    card: app.focused ? app.focused.object.userData.item.key : null
+  };
+  if (includeCamera) {
+    state.camera = app.getCameraView();
+  }
+  return state;
+}
+
+/**
+ * Set the filters and filter mode, through the filter panel when there is one
+ * Filters left out are cleared.
+ */
+export function applyFilters(app, filterPanel, filters = {}, mode = 'hide') {
+  const state = { ...createFilterState(), ...filters };
+  if (filterPanel) {
+    filterPanel.setFilters(state, mode);
+  } else {
+    app.setFilter(isFilterEmpty(state) ? null : item => matchesFilters(item, state), mode);
+  }
+}
+
+/**
+ * Bring up a view; parts missing from the state go back to their defaults
+ * Resolves once the cards are in place and the focused card (if any) has been
+ * brought forward. Another layout change meanwhile leaves the card unfocused.
+ */
+export async function applyViewState(app, filterPanel, state) {
+  // Colors, with the configured scale or thresholds where they apply
+  const defaults = app.getDefaultColorSpec();
+  const color = state.color || defaults;
+  if (color.field !== app.colorSpec.field || color.type !== app.colorSpec.type) {
+    const spec = { field: color.field, type: color.type };
+    if (spec.type === 'threshold' && spec.field === 'netWorth' && typeof CONFIG !== 'undefined') {
+      spec.thresholds = CONFIG.COLOR_THRESHOLDS || [100000, 200000];
+    }
+    app.setColorScale(defaults.field === spec.field && defaults.type === spec.type ? defaults : spec);
+  }
+
+  applyFilters(app, filterPanel, state.filters, state.filterMode);
+
+  // Card order
+  app.setSort(state.sort || []);
+
+  // Layout, framed unless the state has its own camera
+  const fallback = (typeof CONFIG !== 'undefined' && CONFIG.DEFAULT_LAYOUT) || 'table';
+  const layout = state.layout && getLayout(state.layout) ? state.layout : fallback;
+  app.resetLayoutOptions(layout, state.layoutOptions || {});
+  const arrived = app.changeLayout(layout, undefined, { frame: !state.camera });
+  if (state.camera) {
+    app.setCameraView(state.camera);
+  }
+
+  if (state.card === undefined || state.card === null || !(await arrived)) return;
+  if (!app.focusCardByKey(state.card)) {
+    console.warn(`Linked card "${state.card}" is not in the data`);
+  }
+}
+
+/**
+ * Sync the view with the URL hash
+ * Call once the scene, filter panel and legend exist.
+ */
+export function createDeepLinks(app, { filterPanel = null } = {}) {
+  let applying = false;
+  let cameraMoved = false;
+  let writeTimer = null;
+  let pushPending = false;
+  let replacing = false;
+  let lastHash = window.location.hash;
+
+  const write = push => {
+    if (applying) return;
+    pushPending = pushPending || (push && !replacing);
+    clearTimeout(writeTimer);
+    writeTimer = setTimeout(() => {
+      const hash = `#${encodeViewState(captureViewState(app, filterPanel, { includeCamera: cameraMoved }))}`;
+      const shouldPush = pushPending;
+      pushPending = false;
+      if (hash === window.location.hash) return;
+
+      lastHash = hash;
+      if (shouldPush) {
+        history.pushState(null, '', hash);
+      } else {
+        history.replaceState(null, '', hash);
+      }
+    }, WRITE_DEBOUNCE);
+  };
+
+  const apply = async hash => {
+    clearTimeout(writeTimer);
+    pushPending = false;
+    lastHash = hash;
+
+    const state = decodeViewState(hash);
+    cameraMoved = !!state.camera;
+    applying = true;
+    try {
+      await applyViewState(app, filterPanel, state);
+    } finally {
+      applying = false;
+    }
+  };
+
+  app.addEventListener('layoutchange', event => {
+    // A framed layout sets its own camera again
+    if (event.detail.frame && !applying) cameraMoved = false;
+    write(true);
+  });
+  app.addEventListener('filterchange', () => write(true));
+  app.addEventListener('sortchange', () => write(true));
+  app.addEventListener('colorscalechange', () => write(true));
+  app.addEventListener('cardfocus', () => write(true));
+  app.addEventListener('cardblur', () => write(true));
+  app.controls.addEventListener('end', () => {
+    cameraMoved = true;
+    write(false);
+  });
+
+  // Back/forward, and links pasted into the address bar
+  window.addEventListener('hashchange', () => {
+    if (window.location.hash !== lastHash) {
+      apply(window.location.hash);
+    }
+  });
+
+  // Opened from a link
+  if (window.location.hash.length > 1) {
+    apply(window.location.hash);
+  }
+
+  return {
+    apply,
+    capture: () => captureViewState(app, filterPanel, { includeCamera: cameraMoved }),
+    // While on (e.g. during a presentation), the URL follows the view without
+    // adding a history entry for every change
+    setReplacing: on => {
+      replacing = on;
+    }
+  };
+}
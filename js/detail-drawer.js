@@ -0,0 +1,77 @@
+/**
+ * Detail Drawer Module
+ * Shows every field of the focused card's data row
+ */
+
+// Item fields left out of the field list (shown in the heading, or internal)
+const HIDDEN_FIELDS = ['photoUrl', 'initials', 'raw'];
+
+/**
+ * Get the label/value pairs to show for an item
+ * Uses the original sheet row when available, so unmapped columns are included
+ */
+export function getDetailFields(item) {
+  if (item.raw) {
+    return Object.entries(item.raw).map(([label, value]) => ({ label, value }));
+  }
+
+  return Object.entries(item)
+    .filter(([key]) => !HIDDEN_FIELDS.includes(key))
+    .map(([key, value]) => ({
+      label: key,
+      value: key === 'netWorth' ? dataManager.formatNetWorth(value) : value
+    }));
+}
+
+/**
+ * Create the drawer and open/close it as cards are focused
+ */
+export function createDetailDrawer(container, app) {
+  const close = () => app.unfocusCard();
+
+  const open = item => {
+    container.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'drawer-header';
+
+    const avatar = document.createElement('img');
+    avatar.className = 'drawer-avatar';
+    avatar.src = item.photoUrl;
+    avatar.alt = item.name;
+    header.appendChild(avatar);
+
+    const title = document.createElement('div');
+    title.className = 'drawer-title';
+    title.textContent = item.name;
+    header.appendChild(title);
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'drawer-close';
+    closeButton.setAttribute('aria-label', 'Close');
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', close);
+    header.appendChild(closeButton);
+
+    container.appendChild(header);
+
+    const list = document.createElement('dl');
+    list.className = 'drawer-fields';
+    getDetailFields(item).forEach(({ label, value }) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const definition = document.createElement('dd');
+      definition.textContent = value === '' || value === null || value === undefined ? '—' : value;
+      list.appendChild(term);
+      list.appendChild(definition);
+    });
+    container.appendChild(list);
+
+    container.classList.add('open');
+  };
+
+  app.addEventListener('cardfocus', event => open(event.detail.item));
+  app.addEventListener('cardblur', () => container.classList.remove('open'));
+
+  return { open, close };
+}
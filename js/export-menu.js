@@ -0,0 +1,173 @@
+/**
+ * Export Menu Module
+ * Downloads the people in view (CSV, JSON, Excel) and saves or loads scene
+ * files that restore the layout, every card's place and the camera
+ */
+
+import { captureViewState, applyViewState } from './deep-link.js';
+
+/**
+ * File name with today's date, e.g. people-2024-05-01.csv
+ */
+export function datedFileName(base, extension) {
+  return `${base}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Hand data to the browser as a file download
+ */
+export function download(data, mimeType, fileName) {
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Save the current view as a scene object (see export.js)
+ */
+export function captureScene(app, filterPanel) {
+  return createScene({
+    view: captureViewState(app, filterPanel, { includeCamera: false }),
+    camera: app.getCameraView(),
+    cards: app.getCardPoses()
+  });
+}
+
+/**
+ * Restore a scene from parseScene(): filters, colors and layout first, then
+ * every card's pose and the camera
+ * Resolves with the number of cards that were in the scene and the data.
+ */
+export async function applyScene(app, filterPanel, scene) {
+  const { card, ...view } = scene.view;
+  const viewing = applyViewState(app, filterPanel, { ...view, camera: scene.camera });
+  const placing = app.placeCards(scene.cards);
+  app.setCameraView(scene.camera);
+
+  // A view that fails to apply fails the load, rather than going unnoticed
+  const [placed] = await Promise.all([placing, viewing]);
+  if (card !== undefined && card !== null) {
+    app.focusCardByKey(card);
+  }
+  return placed;
+}
+
+/**
+ * Create the export panel
+ */
+export function createExportMenu(container, app, { filterPanel = null } = {}) {
+  const render = () => {
+    container.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.className = 'export-title';
+    title.textContent = 'Export';
+    container.appendChild(title);
+
+    const count = document.createElement('div');
+    count.className = 'export-count';
+    const visible = app.getVisibleItems().length;
+    count.textContent = `${visible} ${visible === 1 ? 'person' : 'people'} in view`;
+    container.appendChild(count);
+
+    const formats = document.createElement('div');
+    formats.className = 'export-formats';
+    Object.entries(EXPORT_FORMATS).forEach(([format, entry]) => {
+      const button = document.createElement('button');
+      button.className = 'export-btn';
+      button.textContent = entry.label;
+      button.title = `Download the people in view as .${entry.extension}`;
+      button.disabled = visible === 0;
+      button.addEventListener('click', () => exportPeople(format));
+      formats.appendChild(button);
+    });
+    container.appendChild(formats);
+
+    const sceneTitle = document.createElement('div');
+    sceneTitle.className = 'export-title';
+    sceneTitle.textContent = 'Scene';
+    container.appendChild(sceneTitle);
+
+    const sceneButtons = document.createElement('div');
+    sceneButtons.className = 'export-formats';
+
+    const saveButton = document.createElement('button');
+    saveButton.className = 'export-btn';
+    saveButton.textContent = 'Save scene';
+    saveButton.title = 'Download the layout, card positions and camera';
+    saveButton.addEventListener('click', saveScene);
+    sceneButtons.appendChild(saveButton);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) loadScene(fileInput.files[0]);
+      fileInput.value = '';
+    });
+
+    const loadButton = document.createElement('button');
+    loadButton.className = 'export-btn';
+    loadButton.textContent = 'Load scene...';
+    loadButton.addEventListener('click', () => fileInput.click());
+    sceneButtons.append(loadButton, fileInput);
+    container.appendChild(sceneButtons);
+
+    const status = document.createElement('div');
+    status.className = 'export-status';
+    container.appendChild(status);
+  };
+
+  const setStatus = (message, isError) => {
+    const status = container.querySelector('.export-status');
+    if (status) {
+      status.textContent = message;
+      status.classList.toggle('error', !!isError);
+    }
+  };
+
+  const exportPeople = format => {
+    try {
+      const items = app.getVisibleItems();
+      const file = exportItems(items, format);
+      download(file.data, file.mimeType, datedFileName('people', file.extension));
+      setStatus(`Exported ${items.length} ${items.length === 1 ? 'person' : 'people'}.`);
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      setStatus(error.message, true);
+    }
+  };
+
+  const saveScene = () => {
+    const scene = captureScene(app, filterPanel);
+    download(JSON.stringify(scene, null, 2), 'application/json', datedFileName('scene', 'json'));
+    setStatus(`Saved a scene with ${scene.cards.length} cards.`);
+  };
+
+  const loadScene = async file => {
+    try {
+      const scene = parseScene(await file.text());
+      const placed = await applyScene(app, filterPanel, scene);
+      const missing = scene.cards.length - placed;
+      setStatus(missing > 0
+        ? `Scene loaded. ${missing} of its cards are no longer in the data or in view.`
+        : 'Scene loaded.');
+    } catch (error) {
+      console.error('Error loading scene:', error);
+      setStatus(error.message, true);
+    }
+  };
+
+  // Keep the count current
+  app.addEventListener('filterchange', render);
+
+  render();
+
+  return { render, exportPeople, saveScene, loadScene };
+}
@@ -0,0 +1,371 @@
+/**
+ * Export Module
+ * Writes the people in view as CSV, JSON or XLSX, and saves/reads scene files
+ * that put every card and the camera back where they were
+ *
+ * Rows are the items DataManager produced, minus what only the cards need
+ * (the raw sheet row and initials). Columns the schema doesn't know about
+ * are kept: nested under `extra` in JSON, as their own columns in tables.
+ * For roles that only see net worth buckets, the bucket is exported instead
+ * of the stand-in amount the cards are placed with.
+ *
+ * Scene file:
+ * {
+ *   type: 'visualization-scene',
+ *   version: 1,
+ *   savedAt: '2024-05-01T12:00:00.000Z',
+ *   view: { layout, layoutOptions, filters, filterMode, sort, color, card },  // see view-state.js
+ *   camera: { position: [x, y, z], target: [x, y, z], up: [x, y, z] },
+ *   cards: [{ key: 'Alex Smith', position: [x, y, z], rotation: [x, y, z] }]
+ * }
+ */
+
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  xlsx: {
+    label: 'Excel',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  }
+};
+
+const SCENE_TYPE = 'visualization-scene';
+const SCENE_VERSION = 1;
+
+// Item fields that are only there for drawing cards
+const OMITTED_FIELDS = ['raw', 'initials'];
+
+/**
+ * Items as exported records (see the module comment)
+ */
+function exportRecords(items) {
+  return items.map(item => {
+    const record = {};
+    Object.keys(item).forEach(field => {
+      if (OMITTED_FIELDS.includes(field)) return;
+      if (field === 'netWorth' && item.netWorthBucket !== undefined) return;
+      record[field] = item[field];
+    });
+    return record;
+  });
+}
+
+/**
+ * Records as a table: a header row, then one row per record
+ * Columns are every field in order of first appearance, `extra` columns last.
+ */
+function tabulate(records) {
+  const fields = [];
+  const extraColumns = [];
+  records.forEach(record => {
+    Object.keys(record).forEach(field => {
+      if (field !== 'extra' && !fields.includes(field)) fields.push(field);
+    });
+    Object.keys(record.extra || {}).forEach(column => {
+      if (!extraColumns.includes(column)) extraColumns.push(column);
+    });
+  });
+
+  const rows = records.map(record => [
+    ...fields.map(field => record[field] ?? ''),
+    ...extraColumns.map(column => (record.extra || {})[column] ?? '')
+  ]);
+  return [[...fields, ...extraColumns], ...rows];
+}
+
+/**
+ * CSV text for the items
+ */
+function exportCsv(items) {
+  // csv.js is a global in the browser
+  const csv = typeof stringifyCsv !== 'undefined' ? { stringifyCsv } : require('./csv.js');
+  return csv.stringifyCsv(tabulate(exportRecords(items)));
+}
+
+/**
+ * JSON text for the items
+ */
+function exportJson(items) {
+  return JSON.stringify(exportRecords(items), null, 2);
+}
+
+/**
+ * CRC-32 of a byte array, as used by zip files
+ */
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Zip files without compressing them
+ * @param {Array} files - [{ name, data }] with string (UTF-8) or Uint8Array data
+ * @returns {Uint8Array}
+ */
+function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const entries = files.map(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    return { name, data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  // Fields shared by local and central headers: version, UTF-8 names, stored, time, sizes
+  const writeCommon = entry => {
+    view.setUint16(offset, 20, true);
+    view.setUint16(offset + 2, 0x0800, true);
+    view.setUint16(offset + 4, 0, true);
+    view.setUint16(offset + 6, dosTime, true);
+    view.setUint16(offset + 8, dosDate, true);
+    view.setUint32(offset + 10, entry.crc, true);
+    view.setUint32(offset + 14, entry.data.length, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint16(offset + 22, entry.name.length, true);
+    view.setUint16(offset + 24, 0, true);
+    offset += 26;
+  };
+
+  entries.forEach(entry => {
+    entry.offset = offset;
+    view.setUint32(offset, 0x04034b50, true);
+    offset += 4;
+    writeCommon(entry);
+    bytes.set(entry.name, offset);
+    offset += entry.name.length;
+    bytes.set(entry.data, offset);
+    offset += entry.data.length;
+  });
+
+  const centralOffset = offset;
+  entries.forEach(entry => {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true);
+    offset += 6;
+    writeCommon(entry);
+    // Comment length, disk, internal and external attributes, then the local header offset
+    view.setUint16(offset, 0, true);
+    view.setUint16(offset + 2, 0, true);
+    view.setUint16(offset + 4, 0, true);
+    view.setUint32(offset + 6, 0, true);
+    view.setUint32(offset + 10, entry.offset, true);
+    offset += 14;
+    bytes.set(entry.name, offset);
+    offset += entry.name.length;
+  });
+
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, centralOffset, true);
+
+  return bytes;
+}
+
+/**
+ * Escape text for XML, dropping characters XML can't hold
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column letters: 0 -> A, 25 -> Z, 26 -> AA
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Worksheet XML for a table; numbers stay numbers, the header row is bold
+ */
+function sheetXml(rows) {
+  const rowsXml = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+      const style = rowIndex === 0 ? ' s="1"' : '';
+      if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      }
+      if (value === '' || value === null || value === undefined) return '';
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    });
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${rowsXml.join('')}</sheetData></worksheet>`;
+}
+
+/**
+ * XLSX workbook (a single "People" sheet) for the items
+ * @returns {Uint8Array}
+ */
+function exportXlsx(items, date = new Date()) {
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  const rels = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${rels}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${xml}<workbook xmlns="${main}" xmlns:r="${rels}">` +
+        '<sheets><sheet name="People" sheetId="1" r:id="rId1"/></sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${rels}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="${rels}/styles" Target="styles.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/styles.xml',
+      data: `${xml}<styleSheet xmlns="${main}">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>'
+    },
+    { name: 'xl/worksheets/sheet1.xml', data: sheetXml(tabulate(exportRecords(items))) }
+  ], date);
+}
+
+/**
+ * Export items in one of EXPORT_FORMATS
+ * @returns {{ data: string|Uint8Array, mimeType: string, extension: string }}
+ */
+function exportItems(items, format) {
+  const entry = EXPORT_FORMATS[format];
+  if (!entry) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const writers = { csv: exportCsv, json: exportJson, xlsx: exportXlsx };
+  return { data: writers[format](items), mimeType: entry.mimeType, extension: entry.extension };
+}
+
+/**
+ * Build a scene file object (see the module comment)
+ */
+function createScene({ view, camera, cards }, date = new Date()) {
+  return {
+    type: SCENE_TYPE,
+    version: SCENE_VERSION,
+    savedAt: date.toISOString(),
+    view,
+    camera,
+    cards
+  };
+}
+
+/**
+ * Read a scene file's text, checking it is one this app can restore
+ * Throws an Error saying what is wrong otherwise.
+ */
+function parseScene(text) {
+  let scene;
+  try {
+    scene = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (error) {
+    throw new Error(`Not a scene file: ${error.message}`);
+  }
+
+  if (!scene || scene.type !== SCENE_TYPE) {
+    throw new Error('Not a scene file: it was not saved from this app.');
+  }
+  if (!Number.isInteger(scene.version) || scene.version > SCENE_VERSION) {
+    throw new Error(`Scene version ${scene.version} was saved by a newer version of this app.`);
+  }
+
+  const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+  const camera = scene.camera;
+  if (!camera || !isVector(camera.position) || !isVector(camera.target) || (camera.up && !isVector(camera.up))) {
+    throw new Error('Scene camera is missing or malformed.');
+  }
+  if (!Array.isArray(scene.cards)) {
+    throw new Error('Scene has no cards.');
+  }
+  scene.cards.forEach((card, index) => {
+    if (!card || typeof card.key !== 'string' || !isVector(card.position) || !isVector(card.rotation)) {
+      throw new Error(`Scene card ${index + 1} is malformed.`);
+    }
+  });
+
+  // view-state.js is a global in the browser
+  const viewState = typeof checkViewState !== 'undefined' ? { checkViewState } : require('./view-state.js');
+  const view = scene.view === undefined || scene.view === null ? {} : viewState.checkViewState(scene.view, 'Scene view');
+
+  return {
+    ...scene,
+    view,
+    camera: { position: camera.position, target: camera.target, up: camera.up || [0, 1, 0] }
+  };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EXPORT_FORMATS,
+    exportRecords,
+    exportItems,
+    exportCsv,
+    exportJson,
+    exportXlsx,
+    createZip,
+    createScene,
+    parseScene
+  };
+}
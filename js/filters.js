@@ -0,0 +1,263 @@
+/**
+ * Filter Panel Module
+ * Side panel for filtering cards by country, interest, age, net worth and name
+ */
+
+// Delay before applying text/number input changes (ms)
+const INPUT_DEBOUNCE = 250;
+
+/**
+ * Create an empty filter state (matches everything)
+ */
+export function createFilterState() {
+  return {
+    search: '',
+    countries: [],
+    interests: [],
+    ageMin: null,
+    ageMax: null,
+    netWorthMin: null,
+    netWorthMax: null
+  };
+}
+
+/**
+ * Check whether no filter is active
+ */
+export function isFilterEmpty(filters) {
+  return !filters.search &&
+    filters.countries.length === 0 &&
+    filters.interests.length === 0 &&
+    filters.ageMin === null && filters.ageMax === null &&
+    filters.netWorthMin === null && filters.netWorthMax === null;
+}
+
+/**
+ * Check whether a data item passes every active filter
+ */
+export function matchesFilters(item, filters) {
+  if (filters.search) {
+    const name = String(item.name || '').toLowerCase();
+    if (!name.includes(filters.search.toLowerCase())) return false;
+  }
+
+  if (filters.countries.length && !filters.countries.includes(item.country)) return false;
+  if (filters.interests.length && !filters.interests.includes(item.interest)) return false;
+
+  const age = parseFloat(item.age);
+  if (filters.ageMin !== null && !(age >= filters.ageMin)) return false;
+  if (filters.ageMax !== null && !(age <= filters.ageMax)) return false;
+
+  if (filters.netWorthMin !== null && !(item.netWorth >= filters.netWorthMin)) return false;
+  if (filters.netWorthMax !== null && !(item.netWorth <= filters.netWorthMax)) return false;
+
+  return true;
+}
+
+/**
+ * Get the sorted distinct non-empty values of a field
+ */
+function distinctValues(data, field) {
+  return Array.from(new Set(data.map(item => item[field]).filter(Boolean))).sort();
+}
+
+/**
+ * Build a titled fieldset
+ */
+function createSection(title) {
+  const section = document.createElement('fieldset');
+  section.className = 'filter-section';
+  const legend = document.createElement('legend');
+  legend.textContent = title;
+  section.appendChild(legend);
+  return section;
+}
+
+/**
+ * Build a checkbox list for a categorical field
+ */
+function createCheckboxList(values, selected, onChange) {
+  const list = document.createElement('div');
+  list.className = 'filter-options';
+
+  values.forEach(value => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = value;
+    checkbox.checked = selected.includes(value);
+    checkbox.addEventListener('change', () => {
+      const checked = Array.from(list.querySelectorAll('input:checked')).map(input => input.value);
+      onChange(checked);
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${value}`));
+    list.appendChild(label);
+  });
+
+  return list;
+}
+
+/**
+ * Build a min/max pair of inputs
+ * `parse` turns the input text into a number (or null when empty/invalid)
+ */
+function createRangeInputs(placeholders, values, parse, onChange) {
+  const range = document.createElement('div');
+  range.className = 'filter-range';
+
+  const inputs = placeholders.map((placeholder, i) => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = placeholder;
+    input.value = values[i] === null ? '' : values[i];
+    range.appendChild(input);
+    return input;
+  });
+
+  let timer = null;
+  inputs.forEach(input => {
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => onChange(inputs.map(el => parse(el.value))), INPUT_DEBOUNCE);
+    });
+  });
+
+  return range;
+}
+
+/**
+ * Parse a range bound; empty or invalid input means "no bound"
+ */
+function parseBound(text) {
+  if (!text.trim()) return null;
+  const value = parseFloat(text);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Parse a net worth bound, accepting the same formats as the sheet (100K, $1.5M...)
+ */
+function parseMoneyBound(text) {
+  if (!text.trim()) return null;
+  const value = dataManager.parseNetWorth(text);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Create the filter panel and wire it to the visualization
+ */
+export function createFilterPanel(container, app) {
+  let filters = createFilterState();
+  let mode = app.filterMode;
+
+  const apply = () => {
+    app.setFilter(isFilterEmpty(filters) ? null : item => matchesFilters(item, filters), mode);
+    updateCount();
+  };
+
+  const update = changes => {
+    filters = { ...filters, ...changes };
+    apply();
+  };
+
+  const count = document.createElement('div');
+  count.className = 'filter-count';
+
+  const updateCount = () => {
+    const matching = app.objects.filter(object => app.matchesFilter(object)).length;
+    count.textContent = `Showing ${matching} of ${app.objects.length}`;
+  };
+
+  const render = () => {
+    const data = app.data;
+    container.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'filter-header';
+    header.innerHTML = '<span>Filters</span>';
+    const reset = document.createElement('button');
+    reset.className = 'filter-reset';
+    reset.textContent = 'Reset';
+    reset.addEventListener('click', () => {
+      filters = createFilterState();
+      render();
+      apply();
+    });
+    header.appendChild(reset);
+    container.appendChild(header);
+
+    // Free-text search on name
+    const searchSection = createSection('Name');
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.placeholder = 'Search by name...';
+    search.value = filters.search;
+    let searchTimer = null;
+    search.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => update({ search: search.value.trim() }), INPUT_DEBOUNCE);
+    });
+    searchSection.appendChild(search);
+    container.appendChild(searchSection);
+
+    const countrySection = createSection('Country');
+    countrySection.appendChild(createCheckboxList(distinctValues(data, 'country'), filters.countries,
+      countries => update({ countries })));
+    container.appendChild(countrySection);
+
+    const interestSection = createSection('Interest');
+    interestSection.appendChild(createCheckboxList(distinctValues(data, 'interest'), filters.interests,
+      interests => update({ interests })));
+    container.appendChild(interestSection);
+
+    const ageSection = createSection('Age');
+    ageSection.appendChild(createRangeInputs(['Min', 'Max'], [filters.ageMin, filters.ageMax], parseBound,
+      ([ageMin, ageMax]) => update({ ageMin, ageMax })));
+    container.appendChild(ageSection);
+
+    const worthSection = createSection('Net Worth');
+    worthSection.appendChild(createRangeInputs(['Min (e.g. 100K)', 'Max (e.g. 1M)'],
+      [filters.netWorthMin, filters.netWorthMax], parseMoneyBound,
+      ([netWorthMin, netWorthMax]) => update({ netWorthMin, netWorthMax })));
+    container.appendChild(worthSection);
+
+    // Whether non-matching cards are removed from the layout or just dimmed
+    const modeSection = createSection('Non-matching cards');
+    ['hide', 'dim'].forEach(value => {
+      const label = document.createElement('label');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'filter-mode';
+      radio.value = value;
+      radio.checked = mode === value;
+      radio.addEventListener('change', () => {
+        mode = value;
+        apply();
+      });
+      label.appendChild(radio);
+      label.appendChild(document.createTextNode(value === 'hide' ? ' Remove' : ' Dim'));
+      modeSection.appendChild(label);
+    });
+    container.appendChild(modeSection);
+
+    container.appendChild(count);
+    updateCount();
+  };
+
+  render();
+
+  return {
+    // Rebuild the panel after the dataset changes (new countries, interests...)
+    refresh() {
+      render();
+    },
+    getFilters: () => filters,
+    setFilters(next, nextMode = mode) {
+      filters = { ...createFilterState(), ...next };
+      mode = nextMode;
+      render();
+      apply();
+    }
+  };
+}
@@ -0,0 +1,630 @@
+/**
+ * Layout Registry Module
+ * Maps layout names to the functions that position cards in 3D space
+ */
+
+import * as THREE from 'three';
+
+const layouts = new Map();
+
+/**
+ * Register a layout
+ *
+ * `compute(data, options, context)` receives the data items (in sort order),
+ * the merged layout options and a context, and returns one THREE.Object3D
+ * target per item (same order). Options set to 'auto' should be derived from
+ * data.length and context.aspect.
+ *
+ * Context: { aspect, groups }: the viewport's aspect ratio, and when the
+ * cards are sorted by a category, its runs of items ([{ label, start, count }],
+ * see sort.js; null otherwise) for layouts that can show group headers.
+ *
+ * Instead of an array, compute may return { targets, decorations }, where each
+ * decoration is { text, className, position, rotation?, width?, height? } and
+ * is rendered as a CSS3D object while the layout is active (labels, axes...).
+ *
+ * `controls` optionally lists option pickers for the control bar:
+ * [{ option, label, choices: [{ value, label }] }]
+ */
+export function registerLayout(name, definition) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Layout name must be a non-empty string');
+  }
+  if (!definition || typeof definition.compute !== 'function') {
+    throw new Error(`Layout "${name}" must provide a compute(data, options) function`);
+  }
+
+  layouts.set(name, {
+    name: name,
+    label: definition.label || name.toUpperCase(),
+    options: { ...(definition.options || {}) },
+    controls: definition.controls || [],
+    compute: definition.compute
+  });
+
+  // Let the control bar know a new layout is available
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent('layoutregistered', { detail: { name } }));
+  }
+}
+
+/**
+ * Get a registered layout by name
+ */
+export function getLayout(name) {
+  return layouts.get(name) || null;
+}
+
+/**
+ * Get all registered layouts, in registration order
+ */
+export function getLayouts() {
+  return Array.from(layouts.values());
+}
+
+/**
+ * Resolve an 'auto' option, falling back to the computed value
+ */
+function resolve(value, computed) {
+  return value === 'auto' || value === undefined ? computed : value;
+}
+
+// Distance from a group header to its first row of cards, and from a group's
+// last row to the next header (in card rows)
+const GROUP_HEADER_GAP = 0.75;
+const GROUP_GAP = 1.25;
+
+/**
+ * Table with a header above each group, and each group starting a new row
+ */
+function groupedTable(data, groups, columns, spacingX, spacingY) {
+  const targets = new Array(data.length);
+  const decorations = [];
+  const width = (columns - 1) * spacingX + 120;
+
+  // Lay out from the first header at y = 0 downwards, then center vertically
+  let y = 0;
+  let bottom = 0;
+  groups.forEach(group => {
+    decorations.push({
+      className: 'group-header',
+      text: `${group.label} (${group.count})`,
+      width,
+      position: new THREE.Vector3(0, y, 0)
+    });
+
+    const top = y - spacingY * GROUP_HEADER_GAP;
+    for (let i = 0; i < group.count; i++) {
+      const object = new THREE.Object3D();
+      const col = i % columns;
+      const row = Math.floor(i / columns);
+      object.position.set((col - (columns - 1) / 2) * spacingX, top - row * spacingY, 0);
+      targets[group.start + i] = object;
+    }
+
+    bottom = top - (Math.ceil(group.count / columns) - 1) * spacingY;
+    y = bottom - spacingY * GROUP_GAP;
+  });
+
+  const offset = -bottom / 2;
+  targets.forEach(object => { object.position.y += offset; });
+  decorations.forEach(decoration => { decoration.position.y += offset; });
+
+  return { targets, decorations };
+}
+
+/**
+ * Table layout: rows of cards facing the camera
+ */
+registerLayout('table', {
+  label: 'TABLE',
+  options: {
+    columns: 'auto',
+    spacingX: 160,
+    spacingY: 180,
+    groupHeaders: 'on'  // When sorted by a category: each group starts a row under its header
+  },
+  controls: [
+    {
+      option: 'groupHeaders',
+      label: 'Group headers',
+      choices: [
+        { value: 'on', label: 'Show' },
+        { value: 'off', label: 'Hide' }
+      ]
+    }
+  ],
+  compute(data, options, context) {
+    const { spacingX, spacingY } = options;
+
+    // Pick the column count that makes the table's shape match the viewport
+    const columns = Math.max(1, resolve(options.columns,
+      Math.ceil(Math.sqrt((data.length * context.aspect * spacingY) / spacingX))));
+    const rows = Math.ceil(data.length / columns);
+
+    if (options.groupHeaders === 'on' && context.groups) {
+      return groupedTable(data, context.groups, columns, spacingX, spacingY);
+    }
+
+    return data.map((item, index) => {
+      const object = new THREE.Object3D();
+
+      const col = index % columns;
+      const row = Math.floor(index / columns);
+
+      object.position.x = (col - (columns - 1) / 2) * spacingX;
+      object.position.y = ((rows - 1) / 2 - row) * spacingY;
+      object.position.z = 0;
+
+      return object;
+    });
+  }
+});
+
+/**
+ * Sphere layout: cards spread evenly over a sphere, facing outward
+ */
+registerLayout('sphere', {
+  label: 'SPHERE',
+  options: {
+    radius: 'auto',
+    spacing: 225  // Approximate distance between neighbouring cards
+  },
+  compute(data, options) {
+    // Give every card roughly spacing^2 of the sphere's surface
+    const radius = resolve(options.radius,
+      Math.max(300, options.spacing * Math.sqrt(data.length / (4 * Math.PI))));
+
+    return data.map((item, index) => {
+      const object = new THREE.Object3D();
+
+      const phi = Math.acos(-1 + (2 * index) / data.length);
+      const theta = Math.sqrt(data.length * Math.PI) * phi;
+
+      object.position.x = radius * Math.cos(theta) * Math.sin(phi);
+      object.position.y = radius * Math.sin(theta) * Math.sin(phi);
+      object.position.z = radius * Math.cos(phi);
+
+      const vector = new THREE.Vector3();
+      vector.copy(object.position).multiplyScalar(2);
+
+      object.lookAt(vector);
+
+      return object;
+    });
+  }
+});
+
+/**
+ * Double helix layout: two strands offset by 180 degrees
+ */
+registerLayout('helix', {
+  label: 'HELIX',
+  options: {
+    radius: 'auto',   // How wide the spiral is
+    arcSpacing: 105,  // Distance between neighbouring cards along a strand
+    pitch: 1260       // Height of one full turn
+  },
+  compute(data, options, context) {
+    const { arcSpacing, pitch } = options;
+    const perStrand = Math.ceil(data.length / 2);
+
+    // Solve for the radius whose height/width ratio matches the viewport:
+    // height = turns * pitch, turns = perStrand * arcSpacing / (2 * PI * radius)
+    const radius = resolve(options.radius, Math.max(400,
+      Math.sqrt((perStrand * arcSpacing * pitch * context.aspect) / (4 * Math.PI))));
+
+    const angleStep = arcSpacing / radius;
+    const verticalSpacing = (pitch * angleStep) / (2 * Math.PI);
+
+    // Center the helix vertically
+    const top = ((perStrand - 1) * verticalSpacing) / 2;
+
+    return data.map((item, index) => {
+      const object = new THREE.Object3D();
+
+      // Even numbers = Strand 0, Odd numbers = Strand 1
+      const strand = index % 2;
+
+      // Divide by 2 so both strands climb at the same speed
+      const strandIndex = Math.floor(index / 2);
+
+      // Add 180 degrees (Math.PI) to the second strand
+      const phaseOffset = strand * Math.PI;
+
+      // Angle (theta) around the Y-axis
+      const theta = strandIndex * angleStep + phaseOffset;
+
+      object.position.x = radius * Math.cos(theta);
+      object.position.y = -(strandIndex * verticalSpacing) + top;
+      object.position.z = radius * Math.sin(theta);
+
+      // Rotate the object to face outward from the center
+      const vector = new THREE.Vector3();
+      vector.x = object.position.x * 2;
+      vector.y = object.position.y;
+      vector.z = object.position.z * 2;
+      object.lookAt(vector);
+
+      return object;
+    });
+  }
+});
+
+/**
+ * 3D grid layout: columns x rows x depth
+ */
+registerLayout('grid', {
+  label: 'GRID',
+  options: {
+    columns: 'auto',  // x-axis
+    rows: 'auto',     // y-axis
+    depth: 5,         // z-axis
+    spacing: 200
+  },
+  compute(data, options, context) {
+    const { depth, spacing } = options;
+
+    // Each depth layer holds a 2D grid shaped like the viewport
+    const perLayer = Math.ceil(data.length / depth);
+    const columns = Math.max(1, resolve(options.columns,
+      Math.ceil(Math.sqrt(perLayer * context.aspect))));
+    const rows = Math.max(1, resolve(options.rows, Math.ceil(perLayer / columns)));
+
+    return data.map((item, index) => {
+      const object = new THREE.Object3D();
+
+      const x = index % columns;
+      const layer = Math.floor(index / columns);
+      const y = Math.floor(layer / depth);
+      const z = layer % depth;
+
+      object.position.x = (x - (columns - 1) / 2) * spacing;
+      object.position.y = (y - (rows - 1) / 2) * spacing;
+      object.position.z = (z - (depth - 1) / 2) * spacing;
+
+      return object;
+    });
+  }
+});
+
+/**
+ * Tetrahedron (Pyramid) layout
+ * Stacks cards in triangular layers: 1, 3, 6, 10, 15...
+ */
+registerLayout('tetrahedron', {
+  label: 'PYRAMID',
+  options: {
+    spacing: 180,  // Horizontal distance between cards
+    height: 160    // Vertical distance between layers
+  },
+  compute(data, options) {
+    const { spacing, height } = options;
+
+    // Number of layers needed: the smallest L with L(L+1)(L+2)/6 >= data.length
+    let layers = 1;
+    while ((layers * (layers + 1) * (layers + 2)) / 6 < data.length) {
+      layers++;
+    }
+
+    // Y offset so the pyramid sits centered on screen
+    const top = ((layers + 1) / 2) * height;
+
+    // Counters to track where we are in the pyramid
+    let layer = 1; // Current horizontal layer (1 = top)
+    let row = 0;   // Current row within the triangle layer
+    let col = 0;   // Current item within the row
+
+    return data.map(() => {
+      const object = new THREE.Object3D();
+
+      // If we finish a row (col > row), move to next row
+      if (col > row) {
+        col = 0;
+        row++;
+      }
+      // If we finish a layer (row >= layer), move to next layer (downwards)
+      if (row >= layer) {
+        row = 0;
+        col = 0;
+        layer++;
+      }
+
+      // X: (col - row/2) shifts the row to be symmetrical
+      object.position.x = (col - row / 2) * spacing;
+
+      // Z: (row - (layer-1)/2) centers the triangle depth-wise
+      object.position.z = (row - (layer - 1) / 2) * spacing;
+
+      // Y: Moves down for each layer
+      object.position.y = -(layer * height) + top;
+
+      // Cards stay flat, facing the camera, so they are easy to read
+
+      col++;
+      return object;
+    });
+  }
+});
+
+/**
+ * Cluster layout: one labelled sub-sphere (or flat block) per group
+ */
+registerLayout('cluster', {
+  label: 'CLUSTER',
+  options: {
+    groupBy: 'country',
+    shape: 'sphere',
+    spacing: 225,  // Distance between neighbouring cards within a cluster
+    gap: 300       // Empty space between clusters
+  },
+  controls: [
+    {
+      option: 'groupBy',
+      label: 'Group by',
+      choices: [
+        { value: 'country', label: 'Country' },
+        { value: 'interest', label: 'Interest' },
+        { value: 'ageBucket', label: 'Age' }
+      ]
+    },
+    {
+      option: 'shape',
+      label: 'Shape',
+      choices: [
+        { value: 'sphere', label: 'Sphere' },
+        { value: 'block', label: 'Block' }
+      ]
+    }
+  ],
+  compute(data, options, context) {
+    const { groupBy, shape, spacing, gap } = options;
+    // sort.js (a global) groups the items
+    const groups = groupIndices(data, groupBy);
+
+    // Size each cluster: radius for spheres, half width/height for blocks
+    const sizes = groups.map(([, indices]) => {
+      const count = indices.length;
+      if (shape === 'block') {
+        const columns = Math.ceil(Math.sqrt(count));
+        const rows = Math.ceil(count / columns);
+        return { columns, halfWidth: (columns * 140) / 2, halfHeight: (rows * 170) / 2 };
+      }
+      const radius = count > 1 ? Math.max(150, spacing * Math.sqrt(count / (4 * Math.PI))) : 0;
+      return { radius, halfWidth: radius + 60, halfHeight: radius + 80 };
+    });
+
+    // Lay the clusters out on a grid of equal cells shaped like the viewport
+    const cellSize = Math.max(...sizes.map(size => Math.max(size.halfWidth, size.halfHeight))) * 2 + gap;
+    const gridColumns = Math.max(1, Math.ceil(Math.sqrt(groups.length * context.aspect)));
+    const gridRows = Math.ceil(groups.length / gridColumns);
+
+    const targets = new Array(data.length);
+    const decorations = [];
+
+    groups.forEach(([key, indices], groupIndex) => {
+      const size = sizes[groupIndex];
+      const center = new THREE.Vector3(
+        (groupIndex % gridColumns - (gridColumns - 1) / 2) * cellSize,
+        ((gridRows - 1) / 2 - Math.floor(groupIndex / gridColumns)) * cellSize,
+        0
+      );
+
+      indices.forEach((dataIndex, i) => {
+        const object = new THREE.Object3D();
+
+        if (shape === 'block') {
+          const col = i % size.columns;
+          const row = Math.floor(i / size.columns);
+          object.position.set(
+            center.x - size.halfWidth + 70 + col * 140,
+            center.y + size.halfHeight - 85 - row * 170,
+            center.z
+          );
+        } else if (indices.length === 1) {
+          object.position.copy(center);
+        } else {
+          // Same spiral as the sphere layout, around the cluster center
+          const phi = Math.acos(-1 + (2 * i) / indices.length);
+          const theta = Math.sqrt(indices.length * Math.PI) * phi;
+          const offset = new THREE.Vector3(
+            size.radius * Math.cos(theta) * Math.sin(phi),
+            size.radius * Math.sin(theta) * Math.sin(phi),
+            size.radius * Math.cos(phi)
+          );
+          object.position.copy(center).add(offset);
+          object.lookAt(offset.multiplyScalar(2).add(center));
+        }
+
+        targets[dataIndex] = object;
+      });
+
+      decorations.push({
+        className: 'cluster-label',
+        text: `${key} (${indices.length})`,
+        position: new THREE.Vector3(center.x, center.y + size.halfHeight + 60, center.z)
+      });
+    });
+
+    return { targets, decorations };
+  }
+});
+
+// Fields the scatter layout can put on an axis; text fields are spread out as categories
+const SCATTER_FIELDS = {
+  age: { label: 'Age', numeric: true },
+  netWorth: { label: 'Net Worth', numeric: true },
+  country: { label: 'Country', numeric: false },
+  interest: { label: 'Interest', numeric: false }
+};
+
+const compactNumber = new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 });
+
+/**
+ * Pick ~count "nice" tick values (1, 2, 5 x 10^n steps) covering [min, max]
+ */
+function niceTicks(min, max, count) {
+  const span = max - min || 1;
+  const rawStep = span / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+    ticks.push(Number(value.toPrecision(12)));
+  }
+  return ticks;
+}
+
+/**
+ * Build an axis scale mapping field values onto [-length/2, length/2]
+ * Returns { map(item), ticks: [{ position, label }] }
+ */
+function createAxisScale(data, field, type, length) {
+  const half = length / 2;
+
+  if (!SCATTER_FIELDS[field] || !SCATTER_FIELDS[field].numeric) {
+    // Categorical: evenly spaced bands in alphabetical order
+    const categories = Array.from(new Set(data.map(item => getGroupKey(item, field)))).sort();
+    const step = length / Math.max(1, categories.length);
+    const positionOf = key => -half + step * (categories.indexOf(key) + 0.5);
+    return {
+      map: item => positionOf(getGroupKey(item, field)),
+      ticks: categories.map(category => ({ position: positionOf(category), label: category }))
+    };
+  }
+
+  const values = data.map(item => parseFloat(item[field])).filter(value => !isNaN(value));
+  const useLog = type === 'log';
+  const valid = useLog ? values.filter(value => value > 0) : values;
+
+  let min = valid.length ? Math.min(...valid) : (useLog ? 1 : 0);
+  let max = valid.length ? Math.max(...valid) : min + 1;
+  if (max === min) max = useLog ? min * 10 : min + 1;
+
+  const transform = useLog ? value => Math.log10(value) : value => value;
+  const lo = transform(min);
+  const hi = transform(max);
+
+  // Missing or out-of-domain values (e.g. <= 0 on a log axis) sit at the axis start
+  const positionOf = value => {
+    if (isNaN(value) || (useLog && value <= 0)) return -half;
+    return -half + ((transform(value) - lo) / (hi - lo)) * length;
+  };
+
+  // Log axes tick at powers of ten, unless the domain spans less than a decade
+  const powers = useLog && Math.floor(hi) > Math.ceil(lo)
+    ? niceTicks(Math.ceil(lo), Math.floor(hi), Math.floor(hi) - Math.ceil(lo))
+    : [];
+  const tickValues = powers.length
+    ? powers.map(power => Math.pow(10, power))
+    : niceTicks(min, max, 6);
+
+  return {
+    map: item => positionOf(parseFloat(item[field])),
+    ticks: tickValues
+      .filter(value => value >= min && value <= max)
+      .map(value => ({ position: positionOf(value), label: compactNumber.format(value) }))
+  };
+}
+
+/**
+ * Build the axis line, tick labels and title decorations for one axis
+ */
+function axisDecorations(axis, scale, title, length) {
+  const half = length / 2;
+  const origin = new THREE.Vector3(-half, -half, -half);
+  const direction = new THREE.Vector3(axis === 'x' ? 1 : 0, axis === 'y' ? 1 : 0, axis === 'z' ? 1 : 0);
+
+  // Axis line divs are horizontal, so rotate them onto the Y and Z axes
+  const rotation = new THREE.Euler(0, axis === 'z' ? -Math.PI / 2 : 0, axis === 'y' ? Math.PI / 2 : 0);
+  const pointAt = distance => origin.clone().addScaledVector(direction, distance + half);
+
+  // Labels sit just outside the axis line
+  const labelOffset = axis === 'y'
+    ? new THREE.Vector3(-120, 0, 0)
+    : new THREE.Vector3(0, -60, 0);
+
+  const decorations = [{
+    className: 'axis-line',
+    position: pointAt(0),
+    rotation: rotation,
+    width: length,
+    height: 2
+  }];
+
+  scale.ticks.forEach(tick => {
+    decorations.push({
+      className: 'axis-tick',
+      text: tick.label,
+      position: pointAt(tick.position).add(labelOffset)
+    });
+  });
+
+  decorations.push({
+    className: 'axis-title',
+    text: title,
+    position: pointAt(half + 150).add(labelOffset)
+  });
+
+  return decorations;
+}
+
+const scatterFieldChoices = Object.entries(SCATTER_FIELDS).map(([value, field]) => ({ value, label: field.label }));
+const scaleChoices = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'log', label: 'Log' }
+];
+
+/**
+ * Scatter layout: maps numeric (or categorical) fields onto the X/Y/Z axes
+ */
+registerLayout('scatter', {
+  label: 'SCATTER',
+  options: {
+    xField: 'age',
+    yField: 'netWorth',
+    zField: 'country',
+    xScale: 'linear',
+    yScale: 'log',  // Net worth spans several orders of magnitude
+    zScale: 'linear',
+    size: 'auto'    // Length of each axis
+  },
+  controls: [
+    { option: 'xField', label: 'X', choices: scatterFieldChoices },
+    { option: 'xScale', label: 'X scale', choices: scaleChoices },
+    { option: 'yField', label: 'Y', choices: scatterFieldChoices },
+    { option: 'yScale', label: 'Y scale', choices: scaleChoices },
+    { option: 'zField', label: 'Z', choices: scatterFieldChoices },
+    { option: 'zScale', label: 'Z scale', choices: scaleChoices }
+  ],
+  compute(data, options) {
+    const length = resolve(options.size, Math.max(1600, Math.sqrt(data.length) * 160));
+
+    const scales = {
+      x: createAxisScale(data, options.xField, options.xScale, length),
+      y: createAxisScale(data, options.yField, options.yScale, length),
+      z: createAxisScale(data, options.zField, options.zScale, length)
+    };
+
+    // Cards stay unrotated so they face the default camera
+    const targets = data.map(item => {
+      const object = new THREE.Object3D();
+      object.position.set(scales.x.map(item), scales.y.map(item), scales.z.map(item));
+      return object;
+    });
+
+    const titleOf = (field, scale) => {
+      const label = SCATTER_FIELDS[field] ? SCATTER_FIELDS[field].label : field;
+      return scale === 'log' && SCATTER_FIELDS[field] && SCATTER_FIELDS[field].numeric ? `${label} (log)` : label;
+    };
+
+    const decorations = [
+      ...axisDecorations('x', scales.x, titleOf(options.xField, options.xScale), length),
+      ...axisDecorations('y', scales.y, titleOf(options.yField, options.yScale), length),
+      ...axisDecorations('z', scales.z, titleOf(options.zField, options.zScale), length)
+    ];
+
+    return { targets, decorations };
+  }
+});
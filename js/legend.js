@@ -0,0 +1,138 @@
+/**
+ * Legend Module
+ * Color-by pickers and a legend generated from the app's current color scale
+ */
+
+// Fields cards can be colored by; numeric fields support every scale type
+const COLOR_FIELDS = [
+  { value: 'netWorth', label: 'Net Worth', numeric: true },
+  { value: 'age', label: 'Age', numeric: true },
+  { value: 'country', label: 'Country', numeric: false },
+  { value: 'interest', label: 'Interest', numeric: false }
+];
+
+const NUMERIC_TYPES = [
+  { value: 'threshold', label: 'Thresholds' },
+  { value: 'quantile', label: 'Quantiles' },
+  { value: 'continuous', label: 'Continuous' }
+];
+
+/**
+ * Build a labelled select
+ */
+function createSelect(labelText, choices, value, onChange) {
+  const label = document.createElement('label');
+  label.className = 'legend-option';
+  label.textContent = labelText;
+
+  const select = document.createElement('select');
+  choices.forEach(choice => {
+    const option = document.createElement('option');
+    option.value = choice.value;
+    option.textContent = choice.label;
+    option.selected = choice.value === value;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => onChange(select.value));
+
+  label.appendChild(select);
+  return label;
+}
+
+/**
+ * Create the legend inside a container element
+ * Clicking an entry highlights the matching cards; clicking it again clears.
+ */
+export function createLegend(container, app) {
+  let activeIndex = null;
+
+  /**
+   * Switch the field, keeping the type when the new field supports it
+   */
+  function setField(field) {
+    const numeric = COLOR_FIELDS.find(entry => entry.value === field).numeric;
+    const type = numeric
+      ? (app.colorSpec.type === 'categorical' ? 'threshold' : app.colorSpec.type)
+      : 'categorical';
+
+    // Configured thresholds only make sense for the field they were written for
+    const spec = { field, type };
+    if (type === 'threshold' && field === 'netWorth' && typeof CONFIG !== 'undefined') {
+      spec.thresholds = CONFIG.COLOR_THRESHOLDS || [100000, 200000];
+    }
+    app.setColorScale(spec);
+  }
+
+  function setType(type) {
+    app.setColorScale({ ...app.colorSpec, type });
+  }
+
+  function render() {
+    const scale = app.colorScale;
+    const legend = scale.legend();
+    const field = COLOR_FIELDS.find(entry => entry.value === scale.field);
+
+    container.innerHTML = '';
+
+    const controls = document.createElement('div');
+    controls.className = 'legend-controls';
+    controls.appendChild(createSelect('Color by', COLOR_FIELDS, scale.field, setField));
+    if (!field || field.numeric) {
+      controls.appendChild(createSelect('Scale', NUMERIC_TYPES, scale.type, setType));
+    }
+    container.appendChild(controls);
+
+    if (legend.type === 'gradient') {
+      const bar = document.createElement('div');
+      bar.className = 'legend-bar';
+      bar.style.background = `linear-gradient(to right, ${legend.gradient.join(', ')})`;
+      container.appendChild(bar);
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'legend-entries';
+    legend.entries.forEach((entry, index) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'legend-entry';
+      button.classList.toggle('active', index === activeIndex);
+
+      const swatch = document.createElement('span');
+      swatch.className = 'legend-swatch';
+      if (entry.className) {
+        swatch.classList.add(entry.className);
+      } else {
+        swatch.style.background = entry.color;
+      }
+
+      const label = document.createElement('span');
+      label.className = 'legend-label';
+      label.textContent = entry.label;
+
+      button.append(swatch, label);
+      button.addEventListener('click', () => {
+        activeIndex = activeIndex === index ? null : index;
+        app.setHighlight(activeIndex === null ? null : entry.match);
+        render();
+      });
+
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  }
+
+  // A new scale has different entries, so any highlight is dropped
+  app.addEventListener('colorscalechange', () => {
+    if (activeIndex !== null) {
+      activeIndex = null;
+      app.setHighlight(null);
+    }
+    render();
+  });
+
+  render();
+
+  return { render };
+}
@@ -0,0 +1,225 @@
+/**
+ * Money Module
+ * Parses amounts written in many styles and formats them for display
+ *
+ * Parsing understands:
+ * - Currency symbols and ISO codes on either side: "$5", "€ 1.000.000", "USD 300000", "300000 EUR"
+ * - Magnitude suffixes: K, M/mn/million, B/bn/billion, T/tn/trillion ("1.2B", "-20k")
+ * - Negatives: leading/trailing minus, or accounting parentheses "(50,000)"
+ * - Locale separators: "1,234.56", "1.234,56", "1 234,56", "1'234.56"
+ * A lone separator followed by exactly three digits ("1,000" / "1.000") is
+ * read with the locale's convention.
+ */
+
+// Symbols, longest first so "HK$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['HK$', 'HKD'], ['US$', 'USD'], ['CN¥', 'CNY'], ['RMB', 'CNY'], ['S$', 'SGD'], ['A$', 'AUD'],
+  ['C$', 'CAD'], ['R$', 'BRL'], ['RM', 'MYR'], ['Rp', 'IDR'], ['$', 'USD'], ['€', 'EUR'],
+  ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'], ['₩', 'KRW'], ['฿', 'THB'], ['₱', 'PHP'], ['₫', 'VND']
+];
+
+// Symbols as tokens of their own: their letters may not run into other
+// letters, so "RM" is not the start of "RMB" and "Rp" not part of a word
+const SYMBOL_PATTERNS = CURRENCY_SYMBOLS.map(([symbol, currency]) => {
+  const escaped = symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const before = /^[A-Za-z]/.test(symbol) ? '(?<![A-Za-z])' : '';
+  const after = /[A-Za-z]$/.test(symbol) ? '(?![A-Za-z])' : '';
+  return [new RegExp(before + escaped + after), currency];
+});
+
+const MONEY_SUFFIXES = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mn: 1e6, mm: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9,
+  t: 1e12, tn: 1e12, trillion: 1e12
+};
+
+/**
+ * Check whether a three-letter code is a currency (all uppercase codes when
+ * the runtime can't list currencies)
+ */
+function isCurrencyCode(code) {
+  if (typeof Intl !== 'undefined' && Intl.supportedValuesOf) {
+    return Intl.supportedValuesOf('currency').includes(code.toUpperCase());
+  }
+  return /^[A-Z]{3}$/.test(code);
+}
+
+/**
+ * Decimal separator of a locale ('.' for en-US, ',' for de-DE)
+ */
+function decimalSeparator(locale) {
+  const part = new Intl.NumberFormat(locale).formatToParts(1.1).find(p => p.type === 'decimal');
+  return part ? part.value : '.';
+}
+
+/**
+ * Turn "1.234.567,89" style digits into a number, working out which
+ * separator is the decimal point
+ */
+function parseDigits(digits, locale) {
+  const text = digits.replace(/[\s'’]/g, '');
+  if (!/^\d[\d.,]*$|^[.,]\d+$/.test(text)) return NaN;
+
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+  let decimal = null;
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both present: whichever comes last is the decimal point
+    decimal = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const count = text.split(separator).length - 1;
+    const fraction = text.slice(text.lastIndexOf(separator) + 1);
+    if (count === 1 && fraction.length !== 3) {
+      decimal = separator;
+    } else if (count === 1) {
+      decimal = separator === decimalSeparator(locale) ? separator : null;
+    }
+  }
+
+  if (!decimal) {
+    return Number(text.replace(/[.,]/g, ''));
+  }
+  const withoutGrouping = text.split(decimal === '.' ? ',' : '.').join('');
+  if (withoutGrouping.split(decimal).length > 2) return NaN;
+  return Number(withoutGrouping.replace(decimal, '.'));
+}
+
+/**
+ * Parse an amount
+ *
+ * @param {string|number} value
+ * @param {Object} options
+ * @param {string} options.locale - separator convention for ambiguous input (default 'en-US')
+ * @param {string} options.currency - currency assumed when none is written (default 'USD')
+ * @returns {{ amount: number, currency: string }}
+ * @throws {Error} with a readable reason when the value isn't an amount
+ */
+function parseMoney(value, options = {}) {
+  const locale = options.locale || 'en-US';
+  let currency = null;
+
+  if (typeof value === 'number') {
+    if (!isFinite(value)) throw new Error(`"${value}" is not an amount`);
+    return { amount: value, currency: options.currency || 'USD' };
+  }
+
+  const original = String(value);
+  let text = original.replace(/[  ]/g, ' ').replace(/[−–]/g, '-').trim();
+  let negative = false;
+
+  // Accounting negatives: (50,000)
+  const parenthesized = text.match(/^\((.*)\)$/);
+  if (parenthesized) {
+    negative = true;
+    text = parenthesized[1].trim();
+  }
+
+  // Currency symbol or ISO code, before or after the number
+  const symbol = SYMBOL_PATTERNS.find(([pattern]) => pattern.test(text));
+  if (symbol) {
+    currency = symbol[1];
+    text = text.replace(symbol[0], ' ');
+  }
+  const code = text.match(/(^|[\s\d-])([A-Za-z]{3})(?=$|[\s\d-])/);
+  if (code && isCurrencyCode(code[2]) && !(code[2].toLowerCase() in MONEY_SUFFIXES)) {
+    if (currency && currency !== code[2].toUpperCase()) {
+      throw new Error(`"${original}" has two currencies`);
+    }
+    currency = code[2].toUpperCase();
+    text = text.slice(0, code.index + code[1].length) + text.slice(code.index + code[0].length);
+  }
+  text = text.trim();
+
+  // Sign on either side: -20k, 20k-, $-20k
+  const leading = text.match(/^([+-])\s*(.*)$/);
+  const trailing = !leading && text.match(/^(.*?)\s*([+-])$/);
+  if (leading) {
+    negative = negative !== (leading[1] === '-');
+    text = leading[2];
+  } else if (trailing) {
+    negative = negative !== (trailing[2] === '-');
+    text = trailing[1];
+  }
+
+  // Number followed by an optional magnitude suffix ("1.2B", "1.5 million")
+  const match = text.match(/^([\d.,\s'’]*\d[\d.,'’]*|[.,]\d+)\s*([A-Za-z]*)\.?$/);
+  if (!match) {
+    throw new Error(`"${original}" is not an amount`);
+  }
+
+  let multiplier = 1;
+  if (match[2]) {
+    multiplier = MONEY_SUFFIXES[match[2].toLowerCase()];
+    if (!multiplier) throw new Error(`"${original}" has an unknown suffix "${match[2]}"`);
+  }
+
+  const number = parseDigits(match[1], locale);
+  if (isNaN(number)) {
+    throw new Error(`"${original}" is not an amount`);
+  }
+
+  return {
+    amount: (negative ? -number : number) * multiplier,
+    currency: currency || options.currency || 'USD'
+  };
+}
+
+/**
+ * Convert an amount between currencies with a rate table
+ * Rates give the value of one unit of each currency in the base currency,
+ * e.g. base USD: { EUR: 1.08, MYR: 0.21 }. The base currency itself is 1.
+ *
+ * @throws {Error} when a rate is missing
+ */
+function convertMoney(amount, from, to, rates = {}, baseCurrency = to) {
+  if (from === to) return amount;
+  const rate = currency => {
+    if (currency === baseCurrency) return 1;
+    if (typeof rates[currency] !== 'number') throw new Error(`No exchange rate for ${currency}`);
+    return rates[currency];
+  };
+  return (amount * rate(from)) / rate(to);
+}
+
+/**
+ * Parse an amount into `currency`: converted with `rates` when they are
+ * given, otherwise taken at face value (see parseMoney and convertMoney)
+ *
+ * @param {string|number} value
+ * @param {Object} options - { locale, currency, rates }
+ * @returns {number}
+ * @throws {Error} when the value isn't an amount or a rate is missing
+ */
+function parseAmount(value, options = {}) {
+  const { amount, currency } = parseMoney(value, options);
+  return options.rates ? convertMoney(amount, currency, options.currency || 'USD', options.rates) : amount;
+}
+
+/**
+ * Format an amount with Intl.NumberFormat
+ *
+ * @param {number} amount
+ * @param {Object} options
+ * @param {string} options.locale - display locale (default 'en-US')
+ * @param {string} options.currency - ISO code (default 'USD')
+ * @param {boolean} options.compact - "$1.5M" instead of "$1,500,000"
+ */
+function formatMoney(amount, options = {}) {
+  const { locale = 'en-US', currency = 'USD', compact = false } = options;
+  const format = { style: 'currency', currency, minimumFractionDigits: 0 };
+  if (compact) {
+    format.notation = 'compact';
+    format.maximumFractionDigits = Math.abs(amount) >= 1e6 ? 2 : 0;
+  } else {
+    format.maximumFractionDigits = 0;
+  }
+  return new Intl.NumberFormat(locale, format).format(amount);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseMoney, convertMoney, parseAmount, formatMoney, CURRENCY_SYMBOLS, MONEY_SUFFIXES };
+}
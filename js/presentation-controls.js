@@ -0,0 +1,336 @@
+/**
+ * Presentation Controls Module
+ * Plays presentation scripts (see presentation.js) on the scene: each step
+ * sets its layout, filters and focused card, flies the camera along its path
+ * and holds, with the camera slowly orbiting, before the next one
+ *
+ * Scripts are loaded from a file, or built here from the current view one
+ * step at a time and saved. Kiosk mode plays full screen with the header and
+ * controls hidden; leaving full screen (Esc) brings them back.
+ */
+
+import { getLayout } from './layouts.js';
+import { captureViewState, applyFilters } from './deep-link.js';
+import { datedFileName, download } from './export-menu.js';
+
+/**
+ * Bring up one step; resolves once its cards and camera are in place
+ * Parts a step leaves out stay as they are.
+ */
+export async function applyStep(app, filterPanel, step) {
+  if (step.filters || step.filterMode) {
+    const filters = step.filters || captureViewState(app, filterPanel, { includeCamera: false }).filters;
+    applyFilters(app, filterPanel, filters, step.filterMode || app.filterMode);
+  }
+
+  const moves = [];
+  if (step.layout || step.layoutOptions) {
+    const layout = step.layout || app.currentLayout;
+    if (step.layoutOptions) {
+      app.resetLayoutOptions(layout, step.layoutOptions);
+    }
+    // The step's camera path replaces the layout's own framing
+    moves.push(app.changeLayout(layout, undefined, { frame: !step.camera }));
+  } else if (step.camera && app.focused) {
+    app.unfocusCard();
+  }
+  if (step.camera) {
+    moves.push(app.flyCamera(step.camera.path, step.camera.duration));
+  }
+  await Promise.all(moves);
+
+  if (step.card === null) {
+    app.unfocusCard();
+  } else if (step.card !== undefined && !app.focusCardByKey(step.card)) {
+    console.warn(`Presentation card "${step.card}" is not in view`);
+  }
+}
+
+/**
+ * Create the presentation panel
+ */
+export function createPresentationPanel(container, app, { filterPanel = null, deepLinks = null } = {}) {
+  let script = null;
+  let index = -1;
+  let state = 'stopped';
+  let run = 0;
+  let holdTimer = null;
+  let holdLeft = null;
+  let holdStarted = 0;
+  let kiosk = false;
+  let kioskWanted = false;
+
+  const render = () => {
+    container.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.className = 'presentation-title';
+    title.textContent = 'Presentation';
+    container.appendChild(title);
+
+    const summary = document.createElement('div');
+    summary.className = 'presentation-summary';
+    if (!script) {
+      summary.textContent = 'No script loaded. Load one, or add views as steps.';
+    } else {
+      const count = script.steps.length;
+      summary.textContent = `${script.title || 'Untitled'}: ${count} ${count === 1 ? 'step' : 'steps'}` +
+        (state === 'stopped' ? '' : `, on step ${index + 1}${state === 'paused' ? ' (paused)' : ''}`);
+    }
+    container.appendChild(summary);
+
+    const player = document.createElement('div');
+    player.className = 'presentation-buttons';
+    const playButton = button(state === 'playing' ? 'Pause' : 'Play', () => (state === 'playing' ? pause() : play()));
+    playButton.disabled = !script;
+    const nextButton = button('Next', next, 'Go to the next step');
+    nextButton.disabled = !script || (state !== 'stopped' && nextStepIndex(script, index) < 0);
+    // A finished presentation can still be orbiting
+    const stopButton = button('Stop', stop);
+    stopButton.disabled = state === 'stopped' && !app.autoRotate;
+    player.append(playButton, nextButton, stopButton);
+    container.appendChild(player);
+
+    const kioskLabel = document.createElement('label');
+    kioskLabel.className = 'presentation-option';
+    const kioskInput = document.createElement('input');
+    kioskInput.type = 'checkbox';
+    kioskInput.checked = kioskWanted;
+    kioskInput.addEventListener('change', () => {
+      kioskWanted = kioskInput.checked;
+    });
+    kioskLabel.append(kioskInput, 'Kiosk: play full screen without controls');
+    container.appendChild(kioskLabel);
+
+    const editor = document.createElement('div');
+    editor.className = 'presentation-buttons';
+    editor.appendChild(button('Add this view', addView, 'Add the layout, filters, focused card and camera as a step'));
+    const clearButton = button('Clear', clear, 'Remove every step');
+    clearButton.disabled = !script;
+    editor.appendChild(clearButton);
+    container.appendChild(editor);
+
+    const files = document.createElement('div');
+    files.className = 'presentation-buttons';
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) loadFile(fileInput.files[0]);
+      fileInput.value = '';
+    });
+    const saveButton = button('Save script', save, 'Download the script as JSON');
+    saveButton.disabled = !script;
+    files.append(button('Load script...', () => fileInput.click()), fileInput, saveButton);
+    container.appendChild(files);
+
+    const status = document.createElement('div');
+    status.className = 'presentation-status';
+    container.appendChild(status);
+  };
+
+  const button = (text, onClick, tooltip) => {
+    const element = document.createElement('button');
+    element.className = 'presentation-btn';
+    element.textContent = text;
+    if (tooltip) element.title = tooltip;
+    element.addEventListener('click', onClick);
+    return element;
+  };
+
+  // Steps replace the page's history entry while a presentation runs, so
+  // Back leaves the presentation instead of stepping through it
+  const setState = next => {
+    state = next;
+    if (deepLinks) deepLinks.setReplacing(state !== 'stopped');
+  };
+
+  const setStatus = (message, isError) => {
+    const status = container.querySelector('.presentation-status');
+    if (status) {
+      status.textContent = message;
+      status.classList.toggle('error', !!isError);
+    }
+  };
+
+  // Kiosk: full screen (when the browser allows it) with the controls hidden
+  const enterKiosk = () => {
+    kiosk = true;
+    document.body.classList.add('kiosk');
+    const page = document.documentElement;
+    if (page.requestFullscreen && !document.fullscreenElement) {
+      page.requestFullscreen().catch(error => console.warn('Could not go full screen:', error));
+    }
+  };
+
+  const leaveKiosk = () => {
+    if (!kiosk) return;
+    kiosk = false;
+    document.body.classList.remove('kiosk');
+    if (document.fullscreenElement && document.exitFullscreen) {
+      document.exitFullscreen();
+    }
+  };
+
+  document.addEventListener('fullscreenchange', () => {
+    if (!document.fullscreenElement) leaveKiosk();
+  });
+  window.addEventListener('keydown', event => {
+    if (event.key === 'Escape') leaveKiosk();
+  });
+
+  // Hold on the current step, orbiting unless a card is in focus
+  const hold = () => {
+    holdStarted = Date.now();
+    app.setAutoRotate(app.focused ? 0 : script.autoRotate);
+    holdTimer = setTimeout(advance, holdLeft);
+  };
+
+  const showStep = async stepIndex => {
+    const token = ++run;
+    clearTimeout(holdTimer);
+    holdTimer = null;
+    holdLeft = null;
+    app.setAutoRotate(0);
+    index = stepIndex;
+    render();
+
+    const step = script.steps[index];
+    try {
+      await applyStep(app, filterPanel, step);
+    } catch (error) {
+      if (token !== run) return;
+      console.error('Error playing presentation step:', error);
+      const message = `Step ${index + 1} failed: ${error.message}`;
+      stop();
+      setStatus(message, true);
+      return;
+    }
+    // Stopped, or another step started, meanwhile
+    if (token !== run) return;
+    holdLeft = step.hold;
+    if (state === 'playing') hold();
+  };
+
+  const advance = () => {
+    holdTimer = null;
+    const nextIndex = nextStepIndex(script, index);
+    if (nextIndex >= 0) {
+      showStep(nextIndex);
+      return;
+    }
+    // The end: the camera keeps orbiting until stopped
+    setState('stopped');
+    render();
+  };
+
+  const play = () => {
+    if (!script) return;
+    // Full screen must be asked for straight from the click
+    if (kioskWanted) enterKiosk();
+
+    if (state === 'paused') {
+      setState('playing');
+      if (holdLeft !== null) hold();
+      render();
+      return;
+    }
+    setState('playing');
+    showStep(0);
+  };
+
+  const pause = () => {
+    if (state !== 'playing') return;
+    setState('paused');
+    if (holdTimer) {
+      clearTimeout(holdTimer);
+      holdTimer = null;
+      holdLeft = Math.max(0, holdLeft - (Date.now() - holdStarted));
+    }
+    app.setAutoRotate(0);
+    render();
+  };
+
+  // Step through by hand: from a stopped presentation this shows the first step, paused
+  const next = () => {
+    if (!script) return;
+    if (state === 'stopped') {
+      setState('paused');
+      showStep(0);
+      return;
+    }
+    const nextIndex = nextStepIndex(script, index);
+    if (nextIndex >= 0) showStep(nextIndex);
+  };
+
+  const stop = () => {
+    run++;
+    clearTimeout(holdTimer);
+    holdTimer = null;
+    holdLeft = null;
+    setState('stopped');
+    index = -1;
+    app.setAutoRotate(0);
+    leaveKiosk();
+    render();
+  };
+
+  // Scripts
+  const load = text => {
+    const parsed = parsePresentation(text);
+    parsed.steps.forEach((step, stepIndex) => {
+      if (step.layout && !getLayout(step.layout)) {
+        throw new Error(`Step ${stepIndex + 1} uses an unknown layout: ${step.layout}`);
+      }
+    });
+    stop();
+    script = parsed;
+    render();
+    return script;
+  };
+
+  const loadFile = async file => {
+    try {
+      load(await file.text());
+      setStatus(`Loaded ${file.name}.`);
+    } catch (error) {
+      console.error('Error loading presentation:', error);
+      setStatus(error.message, true);
+    }
+  };
+
+  const save = () => {
+    if (!script) return;
+    download(JSON.stringify(script, null, 2), 'application/json', datedFileName('presentation', 'json'));
+  };
+
+  const addView = () => {
+    const view = captureViewState(app, filterPanel, { includeCamera: false });
+    const step = {
+      layout: view.layout,
+      layoutOptions: view.layoutOptions,
+      filters: view.filters,
+      filterMode: view.filterMode,
+      camera: { path: [app.getCameraView()], duration: DEFAULT_CAMERA_DURATION },
+      hold: DEFAULT_HOLD
+    };
+    if (view.card !== null) {
+      step.card = view.card;
+    }
+    script = script || createPresentation();
+    script.steps.push(step);
+    render();
+    setStatus(`Added step ${script.steps.length}.`);
+  };
+
+  const clear = () => {
+    stop();
+    script = null;
+    render();
+  };
+
+  render();
+
+  return { render, load, play, pause, next, stop };
+}
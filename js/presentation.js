@@ -0,0 +1,182 @@
+/**
+ * Presentation Module
+ * Reads and writes presentation scripts: a list of steps played one after
+ * another, each setting a layout, filters or focused card, flying the camera
+ * along a path and then holding for a while
+ *
+ * Script (JSON):
+ * {
+ *   type: 'visualization-presentation',
+ *   version: 1,
+ *   title: 'Quarterly review',
+ *   loop: false,                        // start over after the last step
+ *   autoRotate: 4,                      // degrees per second while holding, 0 for none
+ *   steps: [{
+ *     layout: 'helix',                  // every part of a step is optional
+ *     layoutOptions: { groupBy: 'interest' },
+ *     filters: { countries: ['MY'] },   // replaces all filters (see view-state.js)
+ *     filterMode: 'hide' | 'dim',
+ *     card: 'Alex Smith',               // key of the card to focus, null to let go
+ *     camera: { path: [{ position: [x, y, z], target: [x, y, z], up: [x, y, z] }], duration: 3000 },
+ *     hold: 5000                        // ms to stay on the step once it is in place
+ *   }]
+ * }
+ *
+ * A step's camera may also be a single view ({ position, target, up }).
+ * Without a camera, a step with a layout frames it the way the layout buttons do.
+ */
+
+const PRESENTATION_TYPE = 'visualization-presentation';
+const PRESENTATION_VERSION = 1;
+
+// Defaults for steps and scripts that leave them out
+const DEFAULT_HOLD = 5000;
+const DEFAULT_CAMERA_DURATION = 3000;
+const AUTO_ROTATE_SPEED = 4;
+
+/**
+ * Check for [x, y, z]
+ */
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+/**
+ * Check a camera view ({ position, target, up? }), giving it an up vector
+ */
+function parseCameraView(view, where) {
+  if (!view || !isVector(view.position) || !isVector(view.target) || (view.up && !isVector(view.up))) {
+    throw new Error(`${where} has a malformed camera view.`);
+  }
+  return { position: view.position, target: view.target, up: view.up || [0, 1, 0] };
+}
+
+/**
+ * Check one step, filling in the hold and camera duration
+ */
+function parseStep(step, index) {
+  const where = `Step ${index + 1}`;
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    throw new Error(`${where} is malformed.`);
+  }
+
+  const parsed = {};
+  if (step.layout !== undefined) {
+    if (typeof step.layout !== 'string' || !step.layout) {
+      throw new Error(`${where} has a malformed layout.`);
+    }
+    parsed.layout = step.layout;
+  }
+  if (step.layoutOptions !== undefined) {
+    if (!step.layoutOptions || typeof step.layoutOptions !== 'object' || Array.isArray(step.layoutOptions)) {
+      throw new Error(`${where} has malformed layout options.`);
+    }
+    parsed.layoutOptions = { ...step.layoutOptions };
+  }
+  if (step.filters !== undefined) {
+    // view-state.js is a global in the browser
+    const viewState = typeof checkFilters !== 'undefined' ? { checkFilters } : require('./view-state.js');
+    parsed.filters = viewState.checkFilters(step.filters, where);
+  }
+  if (step.filterMode !== undefined) {
+    if (!['hide', 'dim'].includes(step.filterMode)) {
+      throw new Error(`${where} has an unknown filter mode: ${step.filterMode}`);
+    }
+    parsed.filterMode = step.filterMode;
+  }
+  if (step.card !== undefined) {
+    if (step.card !== null && typeof step.card !== 'string' && !Number.isFinite(step.card)) {
+      throw new Error(`${where} has a malformed card.`);
+    }
+    parsed.card = step.card;
+  }
+
+  parsed.camera = null;
+  if (step.camera !== undefined && step.camera !== null) {
+    const path = Array.isArray(step.camera.path) ? step.camera.path : [step.camera];
+    if (path.length === 0) {
+      throw new Error(`${where} has an empty camera path.`);
+    }
+    const duration = step.camera.duration === undefined ? DEFAULT_CAMERA_DURATION : step.camera.duration;
+    if (!Number.isFinite(duration) || duration < 0) {
+      throw new Error(`${where} has a malformed camera duration.`);
+    }
+    parsed.camera = { path: path.map(view => parseCameraView(view, where)), duration };
+  }
+
+  parsed.hold = step.hold === undefined ? DEFAULT_HOLD : step.hold;
+  if (!Number.isFinite(parsed.hold) || parsed.hold < 0) {
+    throw new Error(`${where} has a malformed hold time.`);
+  }
+  return parsed;
+}
+
+/**
+ * Build a presentation script object (see the module comment)
+ */
+function createPresentation({ title = '', loop = false, autoRotate = AUTO_ROTATE_SPEED, steps = [] } = {}) {
+  return {
+    type: PRESENTATION_TYPE,
+    version: PRESENTATION_VERSION,
+    title,
+    loop,
+    autoRotate,
+    steps
+  };
+}
+
+/**
+ * Read a presentation script's text, checking every step
+ * Throws an Error saying what is wrong otherwise.
+ */
+function parsePresentation(text) {
+  let script;
+  try {
+    script = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (error) {
+    throw new Error(`Not a presentation script: ${error.message}`);
+  }
+
+  if (!script || script.type !== PRESENTATION_TYPE) {
+    throw new Error('Not a presentation script: it has no "type": "visualization-presentation".');
+  }
+  if (!Number.isInteger(script.version) || script.version > PRESENTATION_VERSION) {
+    throw new Error(`Presentation version ${script.version} was written for a newer version of this app.`);
+  }
+  if (!Array.isArray(script.steps) || script.steps.length === 0) {
+    throw new Error('Presentation has no steps.');
+  }
+
+  const autoRotate = script.autoRotate === undefined ? AUTO_ROTATE_SPEED : script.autoRotate;
+  if (!Number.isFinite(autoRotate)) {
+    throw new Error('Presentation auto-rotate speed must be a number (degrees per second).');
+  }
+
+  return createPresentation({
+    title: typeof script.title === 'string' ? script.title : '',
+    loop: script.loop === true,
+    autoRotate,
+    steps: script.steps.map(parseStep)
+  });
+}
+
+/**
+ * Index of the step after `index`, wrapping around when the script loops
+ * Returns -1 after the last step of a script that doesn't.
+ */
+function nextStepIndex(script, index) {
+  if (index + 1 < script.steps.length) return index + 1;
+  return script.loop ? 0 : -1;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_HOLD,
+    DEFAULT_CAMERA_DURATION,
+    AUTO_ROTATE_SPEED,
+    createPresentation,
+    parsePresentation,
+    nextStepIndex
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Sheet Schema Module
+ * Maps sheet columns to item fields by header name and validates each row
+ */
+
+/**
+ * Default schema: one entry per item field
+ * - field: property name on the item
+ * - aliases: header names accepted for the column (case/punctuation-insensitive)
+ * - type: string | integer | number | url | money
+ * - required: rows without a valid value are rejected
+ * - key: identifies the same person across reloads (first key field wins)
+ */
+const DEFAULT_SCHEMA = [
+  { field: 'name', aliases: ['Name', 'Full Name'], type: 'string', required: true, key: true },
+  { field: 'photoUrl', aliases: ['Photo', 'Photo URL', 'Image', 'Avatar'], type: 'url', required: false },
+  { field: 'age', aliases: ['Age'], type: 'integer', required: false },
+  { field: 'country', aliases: ['Country'], type: 'string', required: false },
+  { field: 'interest', aliases: ['Interest', 'Interests', 'Hobby'], type: 'string', required: false },
+  { field: 'netWorth', aliases: ['Net Worth', 'Worth'], type: 'money', required: true }
+];
+
+/**
+ * Built-in type converters: return the converted value or throw with a reason
+ */
+const SCHEMA_TYPES = {
+  string: value => value,
+  integer: value => {
+    if (!/^[+-]?\d+$/.test(value)) throw new Error(`"${value}" is not a whole number`);
+    return parseInt(value, 10);
+  },
+  number: value => {
+    const number = Number(value.replace(/,/g, ''));
+    if (isNaN(number)) throw new Error(`"${value}" is not a number`);
+    return number;
+  },
+  url: value => {
+    if (!/^(https?:)?\/\/|^data:|^\.{0,2}\//i.test(value)) throw new Error(`"${value}" is not a URL`);
+    return value;
+  },
+  money: value => {
+    // money.js is a global in the browser
+    const money = typeof parseMoney !== 'undefined' ? { parseMoney } : require('./money.js');
+    return money.parseMoney(value).amount;
+  }
+};
+
+class SheetSchema {
+  /**
+   * @param {Array} fields - schema entries (see DEFAULT_SCHEMA)
+   * @param {Object} types - extra/overriding type converters, e.g. { money: fn }
+   */
+  constructor(fields = DEFAULT_SCHEMA, types = {}) {
+    this.fields = fields;
+    this.types = { ...SCHEMA_TYPES, ...types };
+  }
+
+  /**
+   * Get the field that identifies a row across reloads
+   */
+  get keyField() {
+    const entry = this.fields.find(field => field.key);
+    return entry ? entry.field : 'name';
+  }
+
+  /**
+   * Normalize a header for matching: "Net Worth ($)" -> "networth"
+   */
+  static normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Find the column index of every schema field from the header row
+   */
+  mapHeaders(headers) {
+    const normalized = headers.map(header => SheetSchema.normalizeHeader(header));
+    const columns = {};
+    const missing = [];
+
+    this.fields.forEach(entry => {
+      const candidates = [entry.field, ...(entry.aliases || [])].map(name => SheetSchema.normalizeHeader(name));
+      const index = normalized.findIndex((header, i) =>
+        candidates.includes(header) && !Object.values(columns).includes(i));
+      if (index === -1) {
+        missing.push(entry);
+      } else {
+        columns[entry.field] = index;
+      }
+    });
+
+    const mapped = Object.values(columns);
+    const extra = headers
+      .map((header, index) => ({ header, index }))
+      .filter(column => !mapped.includes(column.index));
+
+    return { columns, missing, extra };
+  }
+
+  /**
+   * Map raw rows (first row = headers) to items and a validation report
+   *
+   * Report: { rowCount, validCount, issues: [{ row, column, reason, severity }] }
+   * Row numbers are 1-based sheet rows, so the first data row is row 2.
+   * Rows with errors are left out of `items`; warnings keep the row. When a
+ * required column is missing altogether, every row is left out.
+   */
+  mapRows(rows) {
+    const headers = (rows[0] || []).map((header, i) => String(header).trim() || `Column ${i + 1}`);
+    const { columns, missing, extra } = this.mapHeaders(headers);
+    const items = [];
+    const issues = [];
+    let rowCount = 0;
+
+    missing.forEach(entry => {
+      issues.push({
+        row: 1,
+        column: entry.field,
+        reason: `Missing column (expected one of: ${[entry.field, ...(entry.aliases || [])].join(', ')})`,
+        severity: entry.required ? 'error' : 'warning'
+      });
+    });
+
+    const missingRequired = missing.some(entry => entry.required);
+    rows.slice(1).forEach((row, index) => {
+      const rowNumber = index + 2;
+
+      // Blank lines are not rows
+      if (!row || row.every(cell => String(cell ?? '').trim() === '')) return;
+      rowCount++;
+
+      // Without a required column no row is valid (the header issue says why)
+      if (missingRequired) return;
+
+      const item = {};
+      const rowIssues = [];
+
+      this.fields.forEach(entry => {
+        if (!(entry.field in columns)) return;
+
+        const column = headers[columns[entry.field]];
+        const value = String(row[columns[entry.field]] ?? '').trim();
+
+        if (value === '') {
+          if (entry.required) {
+            rowIssues.push({ row: rowNumber, column, reason: 'Required value is missing', severity: 'error' });
+          }
+          return;
+        }
+
+        const convert = this.types[entry.type] || this.types.string;
+        try {
+          item[entry.field] = convert(value);
+        } catch (error) {
+          rowIssues.push({
+            row: rowNumber,
+            column,
+            reason: error.message,
+            severity: entry.required ? 'error' : 'warning'
+          });
+        }
+      });
+
+      issues.push(...rowIssues);
+      if (rowIssues.some(issue => issue.severity === 'error')) return;
+
+      // Keep columns the schema doesn't know about, and the full row by header
+      item.extra = {};
+      extra.forEach(column => {
+        item.extra[column.header] = row[column.index] ?? '';
+      });
+      item.raw = {};
+      headers.forEach((header, i) => {
+        item.raw[header] = row[i] ?? '';
+      });
+      item.rowNumber = rowNumber;
+
+      items.push(item);
+    });
+
+    return {
+      items,
+      report: { rowCount, validCount: items.length, issues }
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SheetSchema, DEFAULT_SCHEMA, SCHEMA_TYPES };
+}
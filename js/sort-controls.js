@@ -0,0 +1,72 @@
+/**
+ * Sort Controls Module
+ * "Sort by" pickers for the card order: a field and direction per key, with
+ * further keys ("then by") breaking ties
+ */
+
+/**
+ * Create the sort controls
+ */
+export function createSortControls(container, app) {
+  const render = () => {
+    container.innerHTML = '';
+    const sort = app.sort;
+
+    // One picker per key, plus an empty one to add the next key
+    const count = Math.min(sort.length + 1, MAX_SORT_KEYS);
+    for (let index = 0; index < count; index++) {
+      const key = sort[index] || null;
+
+      const label = document.createElement('label');
+      label.className = 'layout-option';
+      label.textContent = index === 0 ? 'Sort by' : 'Then by';
+
+      const select = document.createElement('select');
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = index === 0 ? 'Sheet order' : '—';
+      select.appendChild(none);
+      SORT_FIELDS.forEach(entry => {
+        // A field is only used once
+        if (sort.some((other, otherIndex) => otherIndex !== index && other.field === entry.field)) return;
+        const option = document.createElement('option');
+        option.value = entry.field;
+        option.textContent = entry.label;
+        option.selected = key !== null && key.field === entry.field;
+        select.appendChild(option);
+      });
+      select.addEventListener('change', () => {
+        const next = sort.slice();
+        if (select.value) {
+          next[index] = { field: select.value, direction: key ? key.direction : 'asc' };
+        } else {
+          next.splice(index, 1);
+        }
+        app.setSort(next);
+      });
+      label.appendChild(select);
+      container.appendChild(label);
+
+      if (key) {
+        const direction = document.createElement('button');
+        direction.className = 'control-btn sort-direction';
+        const descending = key.direction === 'desc';
+        direction.textContent = descending ? '↓' : '↑';
+        direction.title = descending ? 'Descending (click for ascending)' : 'Ascending (click for descending)';
+        direction.setAttribute('aria-label', `${getSortField(key.field).label}: ${descending ? 'descending' : 'ascending'}`);
+        direction.addEventListener('click', () => {
+          const next = sort.slice();
+          next[index] = { ...key, direction: descending ? 'asc' : 'desc' };
+          app.setSort(next);
+        });
+        container.appendChild(direction);
+      }
+    }
+  };
+
+  app.addEventListener('sortchange', render);
+
+  render();
+
+  return { render };
+}
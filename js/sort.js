@@ -0,0 +1,178 @@
+/**
+ * Sort Module
+ * Orders cards by one or more fields before a layout places them, and finds
+ * the groups a categorical sort makes (for layouts that show group headers)
+ * or a grouping field makes (for layouts that place groups apart)
+ *
+ * Sort: [{ field: 'country', direction: 'asc' }, { field: 'netWorth', direction: 'desc' }]
+ * Later keys break ties in earlier ones; items equal on every key keep their
+ * data order. Missing values always go last.
+ */
+
+// Fields cards can be sorted by; 'category' fields form groups
+const SORT_FIELDS = [
+  { field: 'name', label: 'Name', type: 'text' },
+  { field: 'age', label: 'Age', type: 'number' },
+  { field: 'country', label: 'Country', type: 'category' },
+  { field: 'interest', label: 'Interest', type: 'category' },
+  { field: 'netWorth', label: 'Net worth', type: 'number' }
+];
+
+// Most keys a sort can have
+const MAX_SORT_KEYS = 3;
+
+/**
+ * Get a sort field definition by name
+ */
+function getSortField(field) {
+  return SORT_FIELDS.find(entry => entry.field === field) || null;
+}
+
+/**
+ * Value an item is sorted by, or null when it has none
+ */
+function sortValue(item, definition) {
+  const value = item[definition.field];
+  if (definition.type === 'number') {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return isNaN(number) ? null : number;
+  }
+  const text = String(value ?? '').trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Compare two items by a sort (negative: a first)
+ */
+function compareItems(a, b, sort) {
+  for (const key of sort) {
+    const definition = getSortField(key.field);
+    if (!definition) continue;
+
+    const valueA = sortValue(a, definition);
+    const valueB = sortValue(b, definition);
+    if (valueA === null || valueB === null) {
+      if (valueA !== valueB) return valueA === null ? 1 : -1;
+      continue;
+    }
+
+    const order = definition.type === 'number'
+      ? valueA - valueB
+      : valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: 'base' });
+    if (order !== 0) {
+      return key.direction === 'desc' ? -order : order;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Sorted copy of a list; `getItem` maps list entries (e.g. card objects) to items
+ */
+function sortItems(list, sort, getItem = entry => entry) {
+  if (!sort || sort.length === 0) return list.slice();
+  return list
+    .map((entry, index) => ({ entry, item: getItem(entry), index }))
+    .sort((a, b) => compareItems(a.item, b.item, sort) || a.index - b.index)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Runs of equal values in sorted items, when the first sort key is a category
+ * Returns [{ label, start, count }], or null when the sort makes no groups.
+ */
+function getSortGroups(items, sort) {
+  const definition = sort && sort.length > 0 ? getSortField(sort[0].field) : null;
+  if (!definition || definition.type !== 'category') return null;
+
+  const groups = [];
+  items.forEach((item, index) => {
+    const label = sortValue(item, definition) ?? 'Unknown';
+    const last = groups[groups.length - 1];
+    if (last && last.label.toLowerCase() === label.toLowerCase()) {
+      last.count++;
+    } else {
+      groups.push({ label, start: index, count: 1 });
+    }
+  });
+  return groups;
+}
+
+/**
+ * Get the value a card is grouped by (cluster and scatter layouts)
+ * 'ageBucket' groups ages by decade; other fields group by their text value
+ */
+function getGroupKey(item, field) {
+  if (field === 'ageBucket') {
+    const age = parseInt(item.age, 10);
+    if (isNaN(age)) return 'Unknown';
+    const decade = Math.floor(age / 10) * 10;
+    return `${decade}-${decade + 9}`;
+  }
+
+  const value = String(item[field] ?? '').trim();
+  return value || 'Unknown';
+}
+
+/**
+ * Group item indices by field: [[key, indices]], largest groups first (age
+ * buckets in age order, Unknown last)
+ */
+function groupIndices(data, field) {
+  const groups = new Map();
+  data.forEach((item, index) => {
+    const key = getGroupKey(item, field);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+
+  const entries = Array.from(groups.entries());
+  if (field === 'ageBucket') {
+    const bucketStart = key => {
+      const start = parseInt(key, 10);
+      return Number.isNaN(start) ? Infinity : start;
+    };
+    entries.sort((a, b) => bucketStart(a[0]) - bucketStart(b[0]));
+  } else {
+    entries.sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+  }
+  return entries;
+}
+
+/**
+ * Write a sort as text: 'country,-netWorth' ('-' means descending)
+ */
+function formatSort(sort) {
+  return (sort || []).map(key => `${key.direction === 'desc' ? '-' : ''}${key.field}`).join(',');
+}
+
+/**
+ * Read a sort written by formatSort, dropping unknown and repeated fields
+ */
+function parseSort(text) {
+  const sort = [];
+  String(text || '').split(',').forEach(part => {
+    const match = /^\s*(-?)(\w+)\s*$/.exec(part);
+    if (!match || !getSortField(match[2]) || sort.some(key => key.field === match[2])) return;
+    if (sort.length < MAX_SORT_KEYS) {
+      sort.push({ field: match[2], direction: match[1] ? 'desc' : 'asc' });
+    }
+  });
+  return sort;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SORT_FIELDS,
+    MAX_SORT_KEYS,
+    getSortField,
+    compareItems,
+    sortItems,
+    getSortGroups,
+    getGroupKey,
+    groupIndices,
+    formatSort,
+    parseSort
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * Data Source Panel Module
+ * Lets the user pick the data source, and load CSV/JSON files dropped on the page
+ */
+
+// Extra inputs each source type needs, keyed by the source option they set
+const SOURCE_FIELDS = {
+  'gviz': [{ option: 'sheet', label: 'Sheet name (optional)' }],
+  'sheets-api': [{ option: 'range', label: 'Sheet / range', placeholder: 'Sheet1' }],
+  'json-url': [{ option: 'url', label: 'JSON URL', placeholder: 'https://...' }],
+  'api': [{ option: 'url', label: 'Endpoint', placeholder: 'api/data' }],
+  'file': []
+};
+
+// Auto-refresh choices (ms)
+const POLL_INTERVALS = [
+  { value: 0, label: 'Auto-refresh off' },
+  { value: 15000, label: 'Every 15 seconds' },
+  { value: 60000, label: 'Every minute' },
+  { value: 300000, label: 'Every 5 minutes' }
+];
+
+/**
+ * Create the source panel
+ * `onLoad(source)` loads data from the chosen source adapter
+ */
+export function createSourcePanel(container, onLoad) {
+  const render = () => {
+    const spec = dataManager.getSourceSpec();
+    container.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.className = 'source-title';
+    title.textContent = 'Data Source';
+    container.appendChild(title);
+
+    const current = document.createElement('div');
+    current.className = 'source-current';
+    current.textContent = dataManager.source ? dataManager.source.describe() : 'Placeholder data';
+    container.appendChild(current);
+
+    const select = document.createElement('select');
+    Object.entries(DATA_SOURCES).forEach(([type, entry]) => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = entry.label;
+      option.selected = type === spec.type;
+      select.appendChild(option);
+    });
+    container.appendChild(select);
+
+    const fields = document.createElement('div');
+    fields.className = 'source-fields';
+    container.appendChild(fields);
+
+    const inputs = {};
+    const renderFields = () => {
+      fields.innerHTML = '';
+      Object.keys(inputs).forEach(key => delete inputs[key]);
+
+      SOURCE_FIELDS[select.value].forEach(field => {
+        const label = document.createElement('label');
+        label.textContent = field.label;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = field.placeholder || '';
+        input.value = select.value === spec.type && spec[field.option] ? spec[field.option] : '';
+        label.appendChild(input);
+        fields.appendChild(label);
+        inputs[field.option] = input;
+      });
+
+      if (select.value === 'file') {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.csv,.json,text/csv,application/json';
+        fileInput.addEventListener('change', () => {
+          if (fileInput.files[0]) loadFile(fileInput.files[0]);
+        });
+        fields.appendChild(fileInput);
+
+        const hint = document.createElement('div');
+        hint.className = 'source-hint';
+        hint.textContent = 'Or drop a CSV/JSON file anywhere on the page.';
+        fields.appendChild(hint);
+      }
+    };
+    select.addEventListener('change', renderFields);
+    renderFields();
+
+    const loadButton = document.createElement('button');
+    loadButton.className = 'source-load';
+    loadButton.textContent = 'Load';
+    loadButton.addEventListener('click', async () => {
+      if (select.value === 'file') return;
+
+      const nextSpec = { type: select.value };
+      Object.entries(inputs).forEach(([option, input]) => {
+        if (input.value.trim()) nextSpec[option] = input.value.trim();
+      });
+
+      try {
+        await load(dataManager.createSource(nextSpec));
+        dataManager.setSourceSpec(nextSpec);
+      } catch (error) {
+        // Already shown in the panel status
+      }
+    });
+    container.appendChild(loadButton);
+
+    // Live updates from the current source
+    const updates = document.createElement('div');
+    updates.className = 'source-updates';
+
+    const refreshButton = document.createElement('button');
+    refreshButton.className = 'source-refresh';
+    refreshButton.textContent = 'Check for updates';
+    refreshButton.disabled = !dataManager.source;
+    refreshButton.addEventListener('click', async () => {
+      setStatus('Checking for updates...');
+      try {
+        const diff = await dataManager.refresh();
+        setStatus(`${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed.`);
+      } catch (error) {
+        setStatus(error.message, true);
+      }
+    });
+    updates.appendChild(refreshButton);
+
+    const interval = document.createElement('select');
+    interval.className = 'source-interval';
+    POLL_INTERVALS.forEach(choice => {
+      const option = document.createElement('option');
+      option.value = choice.value;
+      option.textContent = choice.label;
+      option.selected = choice.value === dataManager.pollInterval;
+      interval.appendChild(option);
+    });
+    interval.disabled = !dataManager.source;
+    interval.addEventListener('change', () => dataManager.startPolling(Number(interval.value)));
+    updates.appendChild(interval);
+
+    container.appendChild(updates);
+
+    const status = document.createElement('div');
+    status.className = 'source-status';
+    container.appendChild(status);
+  };
+
+  const setStatus = (message, isError) => {
+    const status = container.querySelector('.source-status');
+    if (status) {
+      status.textContent = message;
+      status.classList.toggle('error', !!isError);
+    }
+  };
+
+  const load = async source => {
+    setStatus(`Loading ${source.describe()}...`);
+    try {
+      await onLoad(source);
+      render();
+      setStatus('Loaded.');
+    } catch (error) {
+      console.error('Error loading data source:', error);
+      setStatus(error.message, true);
+      throw error;
+    }
+  };
+
+  const loadFile = file => load(new FileSource({ file })).catch(() => {});
+
+  // Drop a file anywhere on the page to load it
+  let dragDepth = 0;
+  window.addEventListener('dragenter', event => {
+    if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+    dragDepth++;
+    document.body.classList.add('file-drag');
+  });
+  window.addEventListener('dragleave', () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) document.body.classList.remove('file-drag');
+  });
+  window.addEventListener('dragover', event => event.preventDefault());
+  window.addEventListener('drop', event => {
+    event.preventDefault();
+    dragDepth = 0;
+    document.body.classList.remove('file-drag');
+    const file = event.dataTransfer && event.dataTransfer.files[0];
+    if (file) loadFile(file);
+  });
+
+  render();
+
+  return { render, loadFile };
+}
@@ -0,0 +1,336 @@
+/**
+ * Data Sources Module
+ * Adapters that fetch raw rows (first row = headers) from different places
+ *
+ * Every adapter implements:
+ * - type: identifier used in config and the UI
+ * - describe(): short human-readable description
+ * - async load(): resolves to rows, an array of string arrays
+ */
+
+/**
+ * Get the CSV module (csv.js is a global in the browser)
+ */
+function csvModule() {
+  return typeof CsvParser !== 'undefined'
+    ? { parseCsv, parseCsvStream }
+    : require('./csv.js');
+}
+
+/**
+ * CSV options for sources: delimiter from config, detected by default
+ */
+function csvOptions() {
+  const config = typeof CONFIG !== 'undefined' ? CONFIG : {};
+  return { delimiter: config.CSV_DELIMITER || 'auto' };
+}
+
+/**
+ * Parse CSV text into rows
+ */
+function parseCsvRows(csvText) {
+  return csvModule().parseCsv(csvText, csvOptions());
+}
+
+/**
+ * Parse a CSV byte stream into rows without holding the whole text
+ */
+function parseCsvStreamRows(stream) {
+  return csvModule().parseCsvStream(stream, csvOptions());
+}
+
+/**
+ * Convert parsed JSON into rows
+ * Accepts an array of objects, an array of arrays, or { values | data | rows: [...] }
+ */
+function jsonToRows(json) {
+  const list = Array.isArray(json) ? json : (json && (json.values || json.data || json.rows));
+  if (!Array.isArray(list)) {
+    throw new Error('JSON must be an array of rows or objects');
+  }
+  if (list.length === 0 || Array.isArray(list[0])) {
+    return list.map(row => row.map(cell => (cell === null || cell === undefined ? '' : String(cell))));
+  }
+
+  // Array of objects: headers are the union of all keys, in first-seen order
+  const headers = [];
+  list.forEach(record => {
+    Object.keys(record).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+
+  return [
+    headers,
+    ...list.map(record => headers.map(key => {
+      const value = record[key];
+      return value === null || value === undefined ? '' : String(value);
+    }))
+  ];
+}
+
+/**
+ * Fetch a URL and fail with a readable error on HTTP errors
+ * The error's `status` holds the HTTP status.
+ */
+async function fetchOrThrow(url, options) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    const error = new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * Public Google Sheet through the gviz CSV endpoint (no credentials needed)
+ */
+class GvizCsvSource {
+  constructor({ sheetId, sheet } = {}) {
+    this.type = 'gviz';
+    this.sheetId = sheetId;
+    this.sheet = sheet || '';
+  }
+
+  describe() {
+    return `Google Sheet ${this.sheetId} (public CSV)`;
+  }
+
+  async load() {
+    if (!this.sheetId || this.sheetId === 'YOUR_GOOGLE_SHEET_ID_HERE') {
+      throw new Error('Google Sheet ID not configured');
+    }
+
+    let url = `https://docs.google.com/spreadsheets/d/${this.sheetId}/gviz/tq?tqx=out:csv`;
+    if (this.sheet) {
+      url += `&sheet=${encodeURIComponent(this.sheet)}`;
+    }
+
+    const response = await fetchOrThrow(url);
+    const rows = response.body
+      ? await parseCsvStreamRows(response.body)
+      : parseCsvRows(await response.text());
+    if (rows.length === 0) {
+      throw new Error('No data found in sheet');
+    }
+    return rows;
+  }
+}
+
+/**
+ * Google Sheets API v4 with a named sheet/range
+ *
+ * Private sheets are read with an OAuth bearer token: `getAccessToken(options)`
+ * resolves to a token, and is called again with { forceRefresh: true } when
+ * the API rejects it. Public sheets can use an API key instead.
+ */
+class SheetsApiSource {
+  constructor({ sheetId, apiKey, range, baseUrl, getAccessToken } = {}) {
+    this.type = 'sheets-api';
+    this.sheetId = sheetId;
+    this.apiKey = apiKey;
+    this.range = range || 'Sheet1';
+    this.baseUrl = baseUrl || 'https://sheets.googleapis.com/v4/spreadsheets';
+    this.getAccessToken = getAccessToken || null;
+  }
+
+  describe() {
+    return `Google Sheet ${this.sheetId}, range ${this.range} (Sheets API${this.getAccessToken ? ', signed in' : ''})`;
+  }
+
+  async load() {
+    if (!this.sheetId) {
+      throw new Error('Google Sheet ID not configured');
+    }
+    if (!this.getAccessToken && !this.apiKey) {
+      throw new Error('Google API key not configured');
+    }
+
+    const url = `${this.baseUrl}/${encodeURIComponent(this.sheetId)}/values/${encodeURIComponent(this.range)}`;
+    const json = this.getAccessToken
+      ? await this.fetchWithToken(url)
+      : await (await fetchOrThrow(`${url}?key=${encodeURIComponent(this.apiKey)}`)).json();
+
+    return jsonToRows({ values: json.values || [] });
+  }
+
+  /**
+   * Fetch with the bearer token, getting a fresh token once if it was rejected
+   * (expired, or access was revoked in the Google account)
+   */
+  async fetchWithToken(url) {
+    const request = async forceRefresh => {
+      const token = await this.getAccessToken({ forceRefresh });
+      return fetchOrThrow(url, { headers: { Authorization: `Bearer ${token}` } });
+    };
+
+    try {
+      return await (await request(false)).json();
+    } catch (error) {
+      if (error.status !== 401) throw error;
+    }
+
+    try {
+      return await (await request(true)).json();
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        const denied = new Error('Google refused access to the sheet. Sign in again and allow access to Google Sheets.');
+        denied.status = error.status;
+        denied.code = 'access_denied';
+        throw denied;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Remote JSON document (array of objects or array of rows)
+ */
+class JsonUrlSource {
+  constructor({ url } = {}) {
+    this.type = 'json-url';
+    this.url = url;
+  }
+
+  describe() {
+    return `JSON from ${this.url}`;
+  }
+
+  async load() {
+    if (!this.url) {
+      throw new Error('JSON URL not configured');
+    }
+    const json = await (await fetchOrThrow(this.url)).json();
+    return jsonToRows(json);
+  }
+}
+
+/**
+ * The app server's /api/data endpoint (see server/index.js): the sheet loaded
+ * and validated server-side, so no credentials reach the browser
+ *
+ * Requests carry the signed-in user's ID token from `getIdToken()`, which the
+ * server checks against the access policy. Reloads send the last ETag, and
+ * reuse the previous rows on 304.
+ * `report` holds the server's validation report for the sheet.
+ */
+class ApiSource {
+  constructor({ url, getIdToken } = {}) {
+    this.type = 'api';
+    this.url = url || 'api/data';
+    this.getIdToken = getIdToken || null;
+    this.etag = null;
+    this.rows = null;
+    this.report = null;
+  }
+
+  describe() {
+    return `App server (${this.url})`;
+  }
+
+  async load() {
+    const headers = this.etag && this.rows ? { 'If-None-Match': this.etag } : {};
+    const token = this.getIdToken ? await this.getIdToken() : null;
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(this.url, { headers });
+    if (response.status === 304) {
+      return this.rows;
+    }
+    if (!response.ok) {
+      const error = new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const json = await response.json();
+    this.etag = response.headers.get('ETag');
+    this.report = json.report || null;
+
+    // Items are already normalized; flatten them back into rows for the schema
+    // (which works out a net worth bucket again from the bucketed amount)
+    this.rows = jsonToRows((json.items || [])
+      .map(({ extra, rowNumber, netWorthBucket, ...fields }) => ({ ...fields, ...extra })));
+    return this.rows;
+  }
+}
+
+/**
+ * Local CSV or JSON file (e.g. dropped onto the page)
+ */
+class FileSource {
+  constructor({ file } = {}) {
+    this.type = 'file';
+    this.file = file;
+  }
+
+  describe() {
+    return `Local file ${this.file ? this.file.name : ''}`.trim();
+  }
+
+  async load() {
+    if (!this.file) {
+      throw new Error('No file selected');
+    }
+
+    const isJson = /\.json$/i.test(this.file.name) || this.file.type === 'application/json';
+    if (isJson) {
+      return jsonToRows(JSON.parse(await this.file.text()));
+    }
+    return this.file.stream
+      ? parseCsvStreamRows(this.file.stream())
+      : parseCsvRows(await this.file.text());
+  }
+}
+
+/**
+ * Available source types, with the label shown in the UI
+ */
+const DATA_SOURCES = {
+  'gviz': { label: 'Google Sheet (public CSV)', create: options => new GvizCsvSource(options) },
+  'sheets-api': { label: 'Google Sheets API', create: options => new SheetsApiSource(options) },
+  'json-url': { label: 'JSON URL', create: options => new JsonUrlSource(options) },
+  'api': { label: 'App server', create: options => new ApiSource(options) },
+  'file': { label: 'Local file', create: options => new FileSource(options) }
+};
+
+/**
+ * Create a source from a spec like { type: 'sheets-api', range: 'People!A1:Z' }
+ * Sheet ID, API key and Sheets API URL default to the values in CONFIG.
+ * `defaults` adds options the spec can't hold, e.g. { getAccessToken }.
+ */
+function createDataSource(spec = {}, defaults = {}) {
+  const type = spec.type || 'gviz';
+  const entry = DATA_SOURCES[type];
+  if (!entry) {
+    throw new Error(`Unknown data source type: ${type}`);
+  }
+
+  const config = typeof CONFIG !== 'undefined' ? CONFIG : {};
+  return entry.create({
+    sheetId: config.GOOGLE_SHEET_ID,
+    apiKey: config.GOOGLE_API_KEY,
+    baseUrl: config.SHEETS_API_URL,
+    ...defaults,
+    ...spec
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GvizCsvSource,
+    SheetsApiSource,
+    JsonUrlSource,
+    ApiSource,
+    FileSource,
+    DATA_SOURCES,
+    createDataSource,
+    parseCsvRows,
+    parseCsvStreamRows,
+    jsonToRows
+  };
+}
@@ -0,0 +1,45 @@
+/**
+ * Validation Report Module
+ * Shows sheet rows that were skipped or had problems while loading
+ */
+
+/**
+ * Render the report as a collapsible banner (hidden when there are no issues)
+ */
+export function renderValidationReport(container, report) {
+  container.innerHTML = '';
+  container.classList.remove('visible', 'expanded');
+
+  if (!report || report.issues.length === 0) return;
+
+  const skipped = report.rowCount - report.validCount;
+  const errors = report.issues.filter(issue => issue.severity === 'error').length;
+  const warnings = report.issues.length - errors;
+
+  const summary = document.createElement('button');
+  summary.className = 'validation-summary';
+  summary.textContent = `⚠ ${skipped} of ${report.rowCount} rows skipped` +
+    ` · ${errors} error(s), ${warnings} warning(s) — details`;
+  summary.addEventListener('click', () => container.classList.toggle('expanded'));
+  container.appendChild(summary);
+
+  const table = document.createElement('table');
+  table.className = 'validation-issues';
+  table.innerHTML = '<thead><tr><th>Row</th><th>Column</th><th>Problem</th></tr></thead>';
+
+  const body = document.createElement('tbody');
+  report.issues.forEach(issue => {
+    const tr = document.createElement('tr');
+    tr.className = issue.severity;
+    [issue.row, issue.column, issue.reason].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+  container.appendChild(table);
+
+  container.classList.add('visible');
+}
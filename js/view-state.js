@@ -0,0 +1,259 @@
+/**
+ * View State Module
+ * Encodes what the user is looking at into a URL hash, and back, so views
+ * can be shared as links and restored with back/forward
+ *
+ * State (every part optional when encoding):
+ * {
+ *   layout: 'helix',
+ *   layoutOptions: { groupBy: 'interest' },    // overrides of the layout's defaults
+ *   filters: { search, countries, interests, ageMin, ageMax, netWorthMin, netWorthMax },
+ *   filterMode: 'hide' | 'dim',
+ *   sort: [{ field: 'country', direction: 'asc' }],  // see sort.js
+ *   color: { field: 'country', type: 'categorical' },
+ *   camera: { position: [x, y, z], target: [x, y, z], up: [x, y, z] },
+ *   card: 'Alex Smith'                          // key of the focused card
+ * }
+ *
+ * Hash: #layout=helix&o.groupBy=interest&country=MY&country=CN&age=20..40
+ *       &worth=100000..&mode=dim&sort=country,-netWorth&color=country&scale=categorical
+ *       &cam=0,0,3000&target=0,0,0&card=Alex%20Smith
+ */
+
+// Hash parameter of each list filter
+const LIST_FILTERS = { countries: 'country', interests: 'interest' };
+
+// Hash parameter of each range filter, with its min/max fields
+const RANGE_FILTERS = { age: ['ageMin', 'ageMax'], worth: ['netWorthMin', 'netWorthMax'] };
+
+const LAYOUT_OPTION_PREFIX = 'o.';
+
+/**
+ * Round camera coordinates so links stay short
+ */
+function formatVector(vector, digits = 0) {
+  const factor = Math.pow(10, digits);
+  return vector.map(value => Math.round(value * factor) / factor).join(',');
+}
+
+/**
+ * Parse "x,y,z" into three numbers, or null
+ */
+function parseVector(text) {
+  if (!text) return null;
+  const values = text.split(',').map(Number);
+  return values.length === 3 && values.every(isFinite) ? values : null;
+}
+
+/**
+ * Parse "min..max" (either side may be empty) into [min, max], or null
+ */
+function parseRange(text) {
+  const match = /^(-?[\d.]*)\.\.(-?[\d.]*)$/.exec(text || '');
+  if (!match) return null;
+  const bound = value => (value === '' || isNaN(Number(value)) ? null : Number(value));
+  const range = [bound(match[1]), bound(match[2])];
+  return range[0] === null && range[1] === null ? null : range;
+}
+
+/**
+ * Layout option values come back as numbers when they look like numbers
+ */
+function parseOptionValue(text) {
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : text;
+}
+
+/**
+ * Encode a view state as a URL hash (without the leading '#')
+ */
+function encodeViewState(state) {
+  const params = new URLSearchParams();
+
+  if (state.layout) {
+    params.set('layout', state.layout);
+  }
+  Object.entries(state.layoutOptions || {}).forEach(([option, value]) => {
+    params.set(`${LAYOUT_OPTION_PREFIX}${option}`, String(value));
+  });
+
+  const filters = state.filters || {};
+  if (filters.search) {
+    params.set('q', filters.search);
+  }
+  Object.entries(LIST_FILTERS).forEach(([field, param]) => {
+    (filters[field] || []).forEach(value => params.append(param, value));
+  });
+  Object.entries(RANGE_FILTERS).forEach(([param, [minField, maxField]]) => {
+    const min = filters[minField];
+    const max = filters[maxField];
+    if ((min !== null && min !== undefined) || (max !== null && max !== undefined)) {
+      params.set(param, `${min ?? ''}..${max ?? ''}`);
+    }
+  });
+  if (state.filterMode && state.filterMode !== 'hide') {
+    params.set('mode', state.filterMode);
+  }
+
+  if (state.sort && state.sort.length > 0) {
+    // sort.js is a global in the browser
+    const sorting = typeof formatSort !== 'undefined' ? { formatSort } : require('./sort.js');
+    params.set('sort', sorting.formatSort(state.sort));
+  }
+
+  if (state.color) {
+    params.set('color', state.color.field);
+    params.set('scale', state.color.type);
+  }
+
+  if (state.camera) {
+    params.set('cam', formatVector(state.camera.position));
+    params.set('target', formatVector(state.camera.target));
+    const up = state.camera.up;
+    if (up && formatVector(up, 3) !== '0,1,0') {
+      params.set('up', formatVector(up, 3));
+    }
+  }
+
+  if (state.card !== undefined && state.card !== null) {
+    params.set('card', String(state.card));
+  }
+
+  // Commas are fine in a URL fragment, and keep coordinates readable
+  return params.toString().replace(/%2C/gi, ',');
+}
+
+/**
+ * Decode a URL hash ('#...' or without the '#') into a view state
+ * Unknown or malformed parameters are ignored. Filters always come back
+ * (empty when the hash has none); layout, sort, color, camera and card are
+ * left out when missing, meaning the app's defaults.
+ */
+function decodeViewState(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const state = {};
+
+  if (params.get('layout')) {
+    state.layout = params.get('layout');
+  }
+  params.forEach((value, key) => {
+    if (key.startsWith(LAYOUT_OPTION_PREFIX) && key.length > LAYOUT_OPTION_PREFIX.length) {
+      state.layoutOptions = state.layoutOptions || {};
+      state.layoutOptions[key.slice(LAYOUT_OPTION_PREFIX.length)] = parseOptionValue(value);
+    }
+  });
+
+  // A hash describes the whole view: no filter parameters means no filters
+  const filters = {
+    search: params.get('q') || '',
+    countries: [],
+    interests: [],
+    ageMin: null,
+    ageMax: null,
+    netWorthMin: null,
+    netWorthMax: null
+  };
+  Object.entries(LIST_FILTERS).forEach(([field, param]) => {
+    filters[field] = params.getAll(param).filter(Boolean);
+  });
+  Object.entries(RANGE_FILTERS).forEach(([param, [minField, maxField]]) => {
+    const range = parseRange(params.get(param));
+    if (range) {
+      [filters[minField], filters[maxField]] = range;
+    }
+  });
+  state.filters = filters;
+  state.filterMode = params.get('mode') === 'dim' ? 'dim' : 'hide';
+
+  const sorting = typeof parseSort !== 'undefined' ? { parseSort } : require('./sort.js');
+  const sort = sorting.parseSort(params.get('sort'));
+  if (sort.length > 0) {
+    state.sort = sort;
+  }
+
+  if (params.get('color')) {
+    state.color = { field: params.get('color'), type: params.get('scale') || 'threshold' };
+  }
+
+  const position = parseVector(params.get('cam'));
+  const target = parseVector(params.get('target'));
+  if (position && target) {
+    state.camera = { position, target, up: parseVector(params.get('up')) || [0, 1, 0] };
+  }
+
+  if (params.has('card') && params.get('card') !== '') {
+    state.card = params.get('card');
+  }
+
+  return state;
+}
+
+/**
+ * Check filters read from a file (a scene, a presentation step); only the ones
+ * named are kept. Throws an Error starting with `where` otherwise.
+ */
+function checkFilters(filters, where) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error(`${where} has malformed filters.`);
+  }
+
+  const rangeFields = Object.values(RANGE_FILTERS).flat();
+  Object.entries(filters).forEach(([field, value]) => {
+    let valid;
+    if (field === 'search') {
+      valid = typeof value === 'string';
+    } else if (field in LIST_FILTERS) {
+      valid = Array.isArray(value) && value.every(entry => typeof entry === 'string');
+    } else if (rangeFields.includes(field)) {
+      valid = value === null || Number.isFinite(value);
+    } else {
+      throw new Error(`${where} has an unknown filter: ${field}`);
+    }
+    if (!valid) {
+      throw new Error(`${where} has a malformed "${field}" filter.`);
+    }
+  });
+  return { ...filters };
+}
+
+/**
+ * Check a view state read from a file (e.g. a scene's view), camera aside
+ * Every part stays optional. Throws an Error starting with `where` saying
+ * which part is malformed.
+ */
+function checkViewState(state, where) {
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    throw new Error(`${where} is malformed.`);
+  }
+  const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+  const checked = { ...state };
+
+  if (state.layout !== undefined && (typeof state.layout !== 'string' || !state.layout)) {
+    throw new Error(`${where} has a malformed layout.`);
+  }
+  if (state.layoutOptions !== undefined && !isObject(state.layoutOptions)) {
+    throw new Error(`${where} has malformed layout options.`);
+  }
+  if (state.filters !== undefined) {
+    checked.filters = checkFilters(state.filters, where);
+  }
+  if (state.filterMode !== undefined && !['hide', 'dim'].includes(state.filterMode)) {
+    throw new Error(`${where} has an unknown filter mode: ${state.filterMode}`);
+  }
+  if (state.sort !== undefined && !(Array.isArray(state.sort) && state.sort.every(key =>
+    isObject(key) && typeof key.field === 'string' && ['asc', 'desc'].includes(key.direction)))) {
+    throw new Error(`${where} has a malformed sort.`);
+  }
+  if (state.color !== undefined && state.color !== null &&
+      !(isObject(state.color) && typeof state.color.field === 'string' && typeof state.color.type === 'string')) {
+    throw new Error(`${where} has a malformed color.`);
+  }
+  if (state.card !== undefined && state.card !== null && typeof state.card !== 'string' && !Number.isFinite(state.card)) {
+    throw new Error(`${where} has a malformed card.`);
+  }
+  return checked;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { encodeViewState, decodeViewState, checkFilters, checkViewState };
+}
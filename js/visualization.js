@@ -6,23 +6,143 @@
 import * as THREE from 'three';
 import { CSS3DRenderer, CSS3DObject } from 'three/addons/renderers/CSS3DRenderer.js';
 import { TrackballControls } from 'three/addons/controls/TrackballControls.js';
+import { registerLayout, getLayout, getLayouts } from './layouts.js';
+import { InstancedCardLayer, webglAvailable, CELL_HEIGHT } from './webgl-cards.js';
 
-class VisualizationApp {
+// Card size in CSS pixels (matches .element in style.css)
+const CARD_WIDTH = 120;
+const CARD_HEIGHT = 160;
+
+// Extra room around a layout when framing it with the camera
+const FRAME_MARGIN = 1.15;
+
+// Delay before re-laying out after the window is resized (ms)
+const RESIZE_DEBOUNCE = 300;
+
+// How far a focused card comes forward, and how far the camera sits in front of it
+const FOCUS_LIFT = 200;
+const FOCUS_DISTANCE = 450;
+
+// Pointer movement (px) above which a press counts as a drag, not a click
+const CLICK_TOLERANCE = 5;
+
+// How long removed cards take to fade out before leaving the scene (ms)
+const REMOVE_FADE = 600;
+
+// Above this many cards, 'auto' render mode draws them with WebGL
+const WEBGL_THRESHOLD = 500;
+
+// Most real CSS3D cards shown near the camera in WebGL mode
+const MAX_NEAR_CARDS = 120;
+
+// With reduced motion, how long the scene fades out before a layout change jumps into place (ms)
+const CROSSFADE_DURATION = 200;
+
+// How long the camera takes to bring a keyboard-selected card into view (ms)
+const REVEAL_DURATION = 500;
+
+// Selected cards beyond this part of the screen (in normalized coordinates) are brought into view
+const REVEAL_MARGIN = 0.8;
+
+/**
+ * Render modes:
+ * - css: every card is a CSS3D DOM node
+ * - webgl: cards are instanced quads (webgl-cards.js); the ones close enough
+ *   to the camera to look blurry get a real CSS3D card in front of them
+ * CONFIG.RENDER_MODE picks one, or 'auto' (default) switches to WebGL above
+ * CONFIG.WEBGL_THRESHOLD cards.
+ *
+ * Card state (focused, dimmed, hovered...) is kept as flags on each object
+ * (see setCardFlag) and mirrored as classes on its element, when it has one.
+ *
+ * Keyboard: arrow keys select the neighbouring card on screen, Enter or Space
+ * opens it, Escape closes it and number keys switch layouts. When the user
+ * prefers reduced motion, layout changes crossfade and everything else jumps
+ * into place instead of tweening.
+ *
+ * Events:
+ * - cardfocus: a card was clicked and focused ({ detail: { item } })
+ * - cardblur: the focused card was released
+ * - cardhover: the pointer moved onto a card, or off all cards ({ detail: { item | null } })
+ * - cardselect: the keyboard selection moved, or was cleared ({ detail: { item | null } })
+ * - colorscalechange: the color scale was rebuilt ({ detail: { scale } })
+ * - layoutchange: a layout was picked or its options changed ({ detail: { layout, options, frame } })
+ * - layoutstart: cards started moving to a layout ({ detail: { layout, choreography, duration } })
+ * - layoutend: the cards arrived, or another transition took over ({ detail: { layout, interrupted } })
+ * - filterchange: the card filter or filter mode changed
+ * - sortchange: the card order changed ({ detail: { sort } })
+ *
+ * Camera: flyCamera moves it along a path of views (presentations use it),
+ * and setAutoRotate orbits it slowly around its target while nothing else
+ * moves it.
+ */
+class VisualizationApp extends EventTarget {
   constructor(containerElement) {
+    super();
     this.container = containerElement;
     this.camera = null;
     this.scene = null;
     this.renderer = null;
     this.controls = null;
     this.objects = [];
-    this.targets = {
-      table: [],
-      sphere: [],
-      helix: [],
-      grid: [],
-      tetrahedron: []
-    };
-    this.currentLayout = 'table';
+    this.removingObjects = new Set(); // Removed cards still fading out (see applyDiff)
+    this.data = [];
+    this.targets = {};
+    this.decorations = {};
+    this.decorationObjects = [];
+    this.layoutOptions = {};
+    this.currentLayout = (typeof CONFIG !== 'undefined' && CONFIG.DEFAULT_LAYOUT) || 'table';
+    this.tweenDuration = typeof CONFIG !== 'undefined' && typeof CONFIG.TWEEN_DURATION === 'number'
+      ? CONFIG.TWEEN_DURATION
+      : 2000;
+    this.filter = null;
+    this.filterMode = 'hide';
+    this.sort = [];
+    this.focused = null;
+    this.colorSpec = this.getDefaultColorSpec();
+    this.colorScale = null;
+    this.highlight = null;
+    this.resizeTimer = null;
+    this.hovered = null;
+    this.selected = null;
+    this.renderRequested = false;
+
+    // Follow the system setting as it changes
+    const motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    this.reducedMotion = !!(motionQuery && motionQuery.matches);
+    if (motionQuery) {
+      motionQuery.addEventListener('change', event => {
+        this.reducedMotion = event.matches;
+      });
+    }
+    this.fadeTimer = null;
+    this.fadeChanges = [];
+
+    // Layout transitions (see transform): card tweens run in their own group
+    // so starting one doesn't stop the camera
+    this.cardTweens = new TWEEN.Group();
+    this.cameraTweens = [];
+    this.transition = null;
+
+    // Orbit the camera around its target (degrees per second, see setAutoRotate)
+    this.autoRotate = 0;
+    this.userMoving = false;
+    this.lastFrameTime = null;
+
+    // Whether the camera is somewhere a layout didn't put it (see refitLayout)
+    this.cameraMoved = false;
+    this.refitPending = false;
+    this.choreography = typeof CONFIG !== 'undefined' && CONFIG.LAYOUT_CHOREOGRAPHY ? CONFIG.LAYOUT_CHOREOGRAPHY : 'random';
+    this.easing = typeof CONFIG !== 'undefined' && CONFIG.LAYOUT_EASING ? CONFIG.LAYOUT_EASING : 'Exponential.InOut';
+
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {};
+    this.renderModeSetting = config.RENDER_MODE || 'auto';
+    this.webglThreshold = typeof config.WEBGL_THRESHOLD === 'number' ? config.WEBGL_THRESHOLD : WEBGL_THRESHOLD;
+    this.renderMode = 'css';
+    this.glRenderer = null;
+    this.cardLayer = null;
+    this.raycaster = new THREE.Raycaster();
+    this.frustum = new THREE.Frustum();
 
     this.init();
   }
@@ -51,6 +171,10 @@ class VisualizationApp {
     // Add mouse controls
     this.addControls();
 
+    // Click a card to focus it; click empty space or press Esc to go back
+    this.addClickHandling();
+    this.addKeyboardNavigation();
+
     // Handle window resize
     window.addEventListener('resize', () => this.onWindowResize(), false);
   }
@@ -63,6 +187,510 @@ class VisualizationApp {
     this.controls.minDistance = 500;
     this.controls.maxDistance = 6000;
     this.controls.addEventListener('change', () => this.render());
+
+    // Auto-rotation gives way while the user drags
+    this.controls.addEventListener('start', () => {
+      this.userMoving = true;
+      this.cameraMoved = true;
+    });
+    this.controls.addEventListener('end', () => {
+      this.userMoving = false;
+    });
+  }
+
+  /**
+   * Detect clicks on cards without interfering with TrackballControls drags
+   */
+  addClickHandling() {
+    const domElement = this.renderer.domElement;
+    let press = null;
+
+    // Capture phase: TrackballControls captures the pointer on pointerdown,
+    // which retargets the matching pointerup to the renderer element
+    domElement.addEventListener('pointerdown', event => {
+      press = { x: event.clientX, y: event.clientY, target: event.target };
+    }, true);
+
+    domElement.addEventListener('pointerup', event => {
+      if (!press) return;
+      const moved = Math.hypot(event.clientX - press.x, event.clientY - press.y);
+      const target = press.target;
+      press = null;
+      if (moved > CLICK_TOLERANCE) return;
+
+      const object = this.findCardAt(target, event);
+
+      if (object && this.matchesFilter(object)) {
+        this.focusCard(object);
+      } else if (this.focused) {
+        this.unfocusCard();
+      }
+    });
+
+    window.addEventListener('keydown', event => {
+      if (event.key === 'Escape' && this.focused) {
+        this.unfocusCard();
+      }
+    });
+
+    // Hover, for DOM cards and WebGL cards alike
+    domElement.addEventListener('pointermove', event => {
+      if (event.buttons) return;
+      const object = this.findCardAt(event.target, event);
+      this.setHovered(object && this.matchesFilter(object) ? object : null);
+    });
+    domElement.addEventListener('pointerleave', () => this.setHovered(null));
+  }
+
+  /**
+   * Find the card under the pointer: a DOM card, else (in WebGL mode) the
+   * nearest instanced card along the pointer ray
+   */
+  findCardAt(target, event) {
+    const card = target && target.closest ? target.closest('.element') : null;
+    if (card) {
+      return this.objects.find(object => object.element === card) || null;
+    }
+    if (!this.cardLayer) return null;
+
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+    return this.cardLayer.pick(this.raycaster);
+  }
+
+  /**
+   * Mark the card under the pointer and announce it (null: no card)
+   */
+  setHovered(object) {
+    if (this.hovered === object) return;
+    if (this.hovered) {
+      this.setCardFlag(this.hovered, 'hovered', false);
+    }
+    this.hovered = object;
+    if (object) {
+      this.setCardFlag(object, 'hovered', true);
+    }
+
+    // DOM cards show a pointer through CSS; WebGL cards need it set here
+    this.renderer.domElement.style.cursor = object && !object.element ? 'pointer' : '';
+    this.dispatchEvent(new CustomEvent('cardhover', { detail: { item: object ? object.userData.item : null } }));
+    this.render();
+  }
+
+  /**
+   * Make the scene focusable and drive it from the keyboard (see the class comment)
+   * Keys typed into form fields, buttons and panels are left alone.
+   */
+  addKeyboardNavigation() {
+    const domElement = this.renderer.domElement;
+    domElement.tabIndex = 0;
+    domElement.setAttribute('role', 'application');
+    domElement.setAttribute('aria-label',
+      'People in 3D. Arrow keys move between cards, Enter opens one, number keys switch layouts.');
+
+    window.addEventListener('keydown', event => {
+      if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+      const target = event.target;
+      if (target !== document.body && target !== document.documentElement && !domElement.contains(target)) return;
+
+      const direction = NAVIGATION_KEYS[event.key];
+      const layout = layoutForKey(event.key, getLayouts());
+      if (direction) {
+        event.preventDefault();
+        this.moveSelection(direction);
+      } else if ((event.key === 'Enter' || event.key === ' ') && this.selected) {
+        event.preventDefault();
+        this.focusCard(this.selected);
+      } else if (layout) {
+        event.preventDefault();
+        this.changeLayout(layout);
+      }
+    });
+  }
+
+  /**
+   * Select the card next to the selected (or focused) one in a screen direction
+   * With nothing selected yet, the card nearest the middle of the screen is.
+   * While a card is focused, the focus moves along with the selection.
+   */
+  moveSelection(direction) {
+    const objects = this.getLayoutObjects().filter(object => this.matchesFilter(object));
+    this.camera.updateMatrixWorld();
+    const points = objects.map(object => this.getScreenPoint(object));
+    const fromIndex = objects.indexOf(this.focused ? this.focused.object : this.selected);
+    const index = fromIndex === -1
+      ? findNearest(points, window.innerWidth / 2, window.innerHeight / 2)
+      : findNeighbor(points, fromIndex, direction);
+    if (index === -1) return;
+
+    const object = objects[index];
+    if (this.focused) {
+      this.focusCard(object);
+    } else {
+      this.setSelected(object);
+      this.revealCard(object);
+    }
+  }
+
+  /**
+   * Where a card's place in the layout is on screen, in pixels, or null when
+   * it is behind the camera (call camera.updateMatrixWorld() first)
+   */
+  getScreenPoint(object) {
+    const position = this.focused && this.focused.object === object ? this.focused.basePosition : object.position;
+    if (position.clone().applyMatrix4(this.camera.matrixWorldInverse).z >= 0) return null;
+
+    const projected = position.clone().project(this.camera);
+    return {
+      x: (projected.x + 1) / 2 * window.innerWidth,
+      y: (1 - projected.y) / 2 * window.innerHeight
+    };
+  }
+
+  /**
+   * Slide the camera sideways to a card that is off (or at the edge of) the screen
+   */
+  revealCard(object) {
+    const projected = object.position.clone().project(this.camera);
+    if (Math.abs(projected.x) <= REVEAL_MARGIN && Math.abs(projected.y) <= REVEAL_MARGIN) return;
+
+    const viewDirection = new THREE.Vector3().subVectors(this.controls.target, this.camera.position).normalize();
+    const offset = new THREE.Vector3().subVectors(object.position, this.controls.target);
+    offset.addScaledVector(viewDirection, -offset.dot(viewDirection));
+    this.tweenCamera({
+      position: this.camera.position.clone().add(offset),
+      target: this.controls.target.clone().add(offset),
+      up: this.camera.up.clone()
+    }, REVEAL_DURATION);
+  }
+
+  /**
+   * Mark the keyboard-selected card and announce it (null: no card)
+   */
+  setSelected(object) {
+    if (this.selected === object) return;
+    if (this.selected) {
+      this.setCardFlag(this.selected, 'selected', false);
+    }
+    this.selected = object;
+    if (object) {
+      this.setCardFlag(object, 'selected', true);
+    }
+
+    this.dispatchEvent(new CustomEvent('cardselect', { detail: { item: object ? object.userData.item : null } }));
+    this.render();
+  }
+
+  /**
+   * Set a state flag on a card, and the matching class on its element
+   */
+  setCardFlag(object, flag, on) {
+    const flags = object.userData.flags || (object.userData.flags = new Set());
+    if (on) {
+      flags.add(flag);
+    } else {
+      flags.delete(flag);
+    }
+    if (object.element) {
+      object.element.classList.toggle(flag, on);
+    }
+  }
+
+  /**
+   * Pick the render mode for a number of cards (see the class comment)
+   */
+  chooseRenderMode(count) {
+    const setting = this.renderModeSetting;
+    const wanted = setting === 'auto' ? (count > this.webglThreshold ? 'webgl' : 'css') : setting;
+    return wanted === 'webgl' && webglAvailable() ? 'webgl' : 'css';
+  }
+
+  /**
+   * Switch between CSS3D and WebGL cards; call before creating card objects
+   */
+  setRenderMode(mode) {
+    if (mode === this.renderMode) return;
+    this.renderMode = mode;
+
+    if (mode === 'webgl') {
+      // The WebGL canvas sits under the CSS3D layer, which keeps the pointer events
+      this.glRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+      this.glRenderer.setPixelRatio(window.devicePixelRatio);
+      this.glRenderer.setSize(window.innerWidth, window.innerHeight);
+      this.glRenderer.domElement.className = 'webgl-layer';
+      this.container.insertBefore(this.glRenderer.domElement, this.renderer.domElement);
+      this.renderer.domElement.classList.add('css3d-layer');
+
+      this.cardLayer = new InstancedCardLayer(this.scene, {
+        labels: item => this.getCardLabels(item),
+        style: item => this.colorScale.classify(item)
+      });
+    } else {
+      this.objects.forEach(object => this.releaseNearCard(object));
+      this.cardLayer.dispose();
+      this.cardLayer = null;
+      this.glRenderer.dispose();
+      this.glRenderer.domElement.remove();
+      this.glRenderer = null;
+      this.renderer.domElement.classList.remove('css3d-layer');
+    }
+  }
+
+  /**
+   * Bring a card forward, fly the camera in front of it and announce it
+   */
+  focusCard(object, duration = 1000) {
+    if (this.focused && this.focused.object === object) return;
+
+    // Put the previously focused card back, but keep the original camera view
+    const savedView = this.focused ? this.focused.savedView : {
+      position: this.camera.position.clone(),
+      up: this.camera.up.clone(),
+      target: this.controls.target.clone()
+    };
+    if (this.focused) {
+      this.restoreFocusedCard(duration);
+    }
+
+    // The card faces along its local +Z axis
+    const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(object.quaternion);
+    const up = new THREE.Vector3(0, 1, 0).applyQuaternion(object.quaternion);
+    const basePosition = object.position.clone();
+    const liftedPosition = basePosition.clone().addScaledVector(normal, FOCUS_LIFT);
+
+    this.focused = { object, basePosition, savedView };
+    this.setCardFlag(object, 'focused', true);
+    this.setSelected(object);
+
+    this.tweenVector(object.position, liftedPosition, duration, TWEEN.Easing.Cubic.Out);
+
+    this.tweenCamera({
+      position: liftedPosition.clone().addScaledVector(normal, FOCUS_DISTANCE),
+      target: liftedPosition,
+      up: up
+    }, duration);
+
+    this.dispatchEvent(new CustomEvent('cardfocus', { detail: { item: object.userData.item } }));
+  }
+
+  /**
+   * Focus the card with an item key (or, failing that, a card number)
+   * Returns false when no visible card matches.
+   */
+  focusCardByKey(key, duration = 1000) {
+    const object = this.objects.find(obj => obj.userData.item.key === key) ||
+      this.objects.find(obj => String(obj.userData.item.id) === String(key));
+    if (!object || !this.matchesFilter(object)) return false;
+    this.focusCard(object, duration);
+    return true;
+  }
+
+  /**
+   * Return the focused card to its place and the camera to where it was before
+   */
+  unfocusCard(duration = 1000) {
+    if (!this.focused) return;
+
+    const { savedView } = this.focused;
+    if (this.refitPending) {
+      // The window changed shape meanwhile: every card goes to its new place
+      this.restoreFocusedCard(0);
+      this.refitLayout(duration);
+      if (!this.cameraMoved) return;
+    } else {
+      this.restoreFocusedCard(duration);
+    }
+    this.tweenCamera(savedView, duration);
+  }
+
+  /**
+   * Move the focused card back into the layout and clear the focus
+   */
+  restoreFocusedCard(duration) {
+    const { object, basePosition } = this.focused;
+    this.focused = null;
+    this.setCardFlag(object, 'focused', false);
+
+    if (duration > 0) {
+      this.tweenVector(object.position, basePosition, duration, TWEEN.Easing.Cubic.Out);
+    }
+
+    this.dispatchEvent(new CustomEvent('cardblur'));
+  }
+
+  /**
+   * The camera view as plain arrays: { position, target, up }
+   * While a card is focused this is the view the camera returns to.
+   */
+  getCameraView() {
+    const view = this.focused ? this.focused.savedView : {
+      position: this.camera.position,
+      target: this.controls.target,
+      up: this.camera.up
+    };
+    return {
+      position: view.position.toArray(),
+      target: view.target.toArray(),
+      up: view.up.toArray()
+    };
+  }
+
+  /**
+   * Move the camera to a view from getCameraView()
+   */
+  setCameraView(view, duration = this.tweenDuration) {
+    this.cameraMoved = true;
+    this.tweenCamera({
+      position: new THREE.Vector3().fromArray(view.position),
+      target: new THREE.Vector3().fromArray(view.target),
+      up: new THREE.Vector3().fromArray(view.up || [0, 1, 0])
+    }, duration);
+  }
+
+  /**
+   * Tween the camera position, up vector and controls target together
+   */
+  tweenCamera(view, duration) {
+    if (this.reducedMotion) {
+      this.cameraTweens.forEach(tween => tween.stop());
+      this.jump(() => {
+        this.camera.position.set(view.position.x, view.position.y, view.position.z);
+        this.camera.up.set(view.up.x, view.up.y, view.up.z);
+        this.controls.target.set(view.target.x, view.target.y, view.target.z);
+      });
+      return;
+    }
+
+    // Take over from a camera move still under way without stopping first
+    const moving = this.cameraTweens.some(tween => tween.isPlaying());
+    this.cameraTweens.forEach(tween => tween.stop());
+    const easing = moving ? TWEEN.Easing.Exponential.Out : TWEEN.Easing.Exponential.InOut;
+
+    this.cameraTweens = [
+      [this.camera.position, view.position],
+      [this.camera.up, view.up],
+      [this.controls.target, view.target]
+    ].map(([vector, to]) => new TWEEN.Tween(vector)
+      .to({ x: to.x, y: to.y, z: to.z }, duration)
+      .easing(easing)
+      .start());
+  }
+
+  /**
+   * Fly the camera through a path of views from getCameraView(), on a smooth
+   * curve starting where it is now. Returns a promise for true once it gets
+   * to the last view, false when another camera move took over.
+   */
+  flyCamera(path, duration = this.tweenDuration) {
+    const views = path.map(view => ({
+      position: new THREE.Vector3().fromArray(view.position),
+      target: new THREE.Vector3().fromArray(view.target),
+      up: new THREE.Vector3().fromArray(view.up || [0, 1, 0])
+    }));
+    if (views.length === 0) return Promise.resolve(true);
+    this.cameraMoved = true;
+
+    if (this.reducedMotion || duration <= 0) {
+      this.tweenCamera(views[views.length - 1], 0);
+      return Promise.resolve(true);
+    }
+
+    const start = { position: this.camera.position, target: this.controls.target, up: this.camera.up };
+    const curve = key => new THREE.CatmullRomCurve3([start[key].clone(), ...views.map(view => view[key])]);
+    const curves = { position: curve('position'), target: curve('target'), up: curve('up') };
+
+    this.cameraTweens.forEach(tween => tween.stop());
+    return new Promise(resolve => {
+      const progress = { t: 0 };
+      this.cameraTweens = [new TWEEN.Tween(progress)
+        .to({ t: 1 }, duration)
+        .easing(TWEEN.Easing.Sinusoidal.InOut)
+        .onUpdate(() => {
+          curves.position.getPoint(progress.t, this.camera.position);
+          curves.target.getPoint(progress.t, this.controls.target);
+          curves.up.getPoint(progress.t, this.camera.up).normalize();
+          this.render();
+        })
+        .onComplete(() => resolve(true))
+        .onStop(() => resolve(false))
+        .start()];
+    });
+  }
+
+  /**
+   * Orbit the camera around its target, about its up vector, at this many
+   * degrees per second (negative turns the other way); 0 stops it
+   * Camera moves and the user's drags pause the orbit while they last.
+   */
+  setAutoRotate(degreesPerSecond) {
+    this.autoRotate = degreesPerSecond || 0;
+  }
+
+  /**
+   * Turn the camera for one frame of auto-rotation
+   */
+  updateAutoRotate(elapsed) {
+    if (!this.autoRotate || this.reducedMotion || this.userMoving) return;
+    if (this.cameraTweens.some(tween => tween.isPlaying())) return;
+
+    const angle = THREE.MathUtils.degToRad(this.autoRotate) * elapsed / 1000;
+    const offset = this.camera.position.clone().sub(this.controls.target);
+    offset.applyAxisAngle(this.camera.up.clone().normalize(), angle);
+    this.camera.position.copy(this.controls.target).add(offset);
+    this.camera.lookAt(this.controls.target);
+    this.render();
+  }
+
+  /**
+   * Tween a card's vector (e.g. its position) to x/y/z values, or set them at
+   * once when motion is reduced. The next layout transition stops the tween.
+   */
+  tweenVector(vector, to, duration, easing) {
+    if (this.reducedMotion) {
+      this.jump(() => vector.set(to.x, to.y, to.z));
+      return;
+    }
+
+    new TWEEN.Tween(vector, this.cardTweens)
+      .to({ x: to.x, y: to.y, z: to.z }, duration)
+      .easing(easing)
+      .onUpdate(() => this.render())
+      .start();
+  }
+
+  /**
+   * Apply a change at once (reduced motion), or along with a crossfade in progress
+   */
+  jump(change) {
+    if (this.fadeTimer) {
+      this.fadeChanges.push(change);
+      return;
+    }
+    change();
+    this.render();
+  }
+
+  /**
+   * Fade the scene out, apply the change (and any others made meanwhile), and
+   * fade it back in: the reduced-motion stand-in for a layout tween
+   */
+  crossfade(change) {
+    this.fadeChanges.push(change);
+    if (this.fadeTimer) return;
+
+    this.container.classList.add('faded');
+    this.fadeTimer = setTimeout(() => {
+      const changes = this.fadeChanges;
+      this.fadeChanges = [];
+      this.fadeTimer = null;
+      changes.forEach(apply => apply());
+      this.render();
+      this.container.classList.remove('faded');
+    }, CROSSFADE_DURATION);
   }
 
   /**
@@ -70,27 +698,333 @@ class VisualizationApp {
    */
   createObjects(data) {
     // Clear existing objects
-    this.objects.forEach(obj => {
-      this.scene.remove(obj);
-    });
+    this.setSelected(null);
+    this.objects.forEach(obj => this.removeCardObject(obj));
+    this.removingObjects.forEach(obj => this.removeCardObject(obj));
     this.objects = [];
+    this.removingObjects.clear();
+    this.hovered = null;
+
+    // Create new objects, drawn the way that suits the dataset size
+    this.data = data;
+    this.setRenderMode(this.chooseRenderMode(data.length));
+    this.buildColorScale();
+    this.objects = data.map(item => this.createCardObject(item));
+    if (this.cardLayer) {
+      this.cardLayer.setObjects(this.objects);
+    }
+    this.updateFilterClasses();
 
-    // Create new objects
-    data.forEach((item, index) => {
-      const element = this.createElementCard(item);
-      const object = new CSS3DObject(element);
-      object.position.x = Math.random() * 4000 - 2000;
-      object.position.y = Math.random() * 4000 - 2000;
-      object.position.z = Math.random() * 4000 - 2000;
+    // Transform to initial layout
+    this.applyLayout(this.currentLayout, this.tweenDuration);
+  }
+
+  /**
+   * Create a card object at a random position and add it to the scene
+   * In WebGL mode it is a plain Object3D that the card layer draws.
+   */
+  createCardObject(item) {
+    const object = this.renderMode === 'webgl'
+      ? new THREE.Object3D()
+      : new CSS3DObject(this.createElementCard(item));
+    object.position.x = Math.random() * 4000 - 2000;
+    object.position.y = Math.random() * 4000 - 2000;
+    object.position.z = Math.random() * 4000 - 2000;
+    object.userData.item = item;
+    object.userData.flags = new Set();
+    if (object.element) {
       this.scene.add(object);
-      this.objects.push(object);
+    }
+    return object;
+  }
+
+  /**
+   * Take a card (and its CSS3D stand-in, if any) out of the scene
+   */
+  removeCardObject(object) {
+    this.releaseNearCard(object);
+    this.scene.remove(object);
+  }
+
+  /**
+   * Give a WebGL card a real CSS3D card, for crisp text near the camera
+   */
+  attachNearCard(object) {
+    const element = this.createElementCard(object.userData.item);
+    object.userData.flags.forEach(flag => element.classList.add(flag));
+    const proxy = new CSS3DObject(element);
+    object.element = element;
+    object.userData.proxy = proxy;
+    this.scene.add(proxy);
+  }
+
+  /**
+   * Go back to drawing a WebGL card with the card layer
+   */
+  releaseNearCard(object) {
+    const proxy = object.userData.proxy;
+    if (!proxy) return;
+    this.scene.remove(proxy);
+    delete object.userData.proxy;
+    delete object.element;
+  }
+
+  /**
+   * Distance within which a card looks bigger on screen than its atlas cell
+   */
+  nearCardDistance() {
+    const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+    return (CARD_HEIGHT * window.innerHeight) / (2 * tanHalfFov * CELL_HEIGHT);
+  }
+
+  /**
+   * Swap CSS3D cards in for the visible WebGL cards nearest the camera (and
+   * the focused card), and back out for the ones that moved away
+   */
+  updateNearCards() {
+    this.camera.updateMatrixWorld();
+    this.frustum.setFromProjectionMatrix(
+      new THREE.Matrix4().multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse)
+    );
+
+    const limit = this.nearCardDistance();
+    const near = [];
+    this.objects.forEach(object => {
+      if (object.userData.flags.has('filtered-out')) return;
+      const distance = object.position.distanceTo(this.camera.position);
+      if (distance < limit && this.frustum.containsPoint(object.position)) {
+        near.push({ object, distance });
+      }
     });
+    near.sort((a, b) => a.distance - b.distance);
 
-    // Calculate layout positions
-    this.calculateLayouts(data);
+    const wanted = new Set(near.slice(0, MAX_NEAR_CARDS).map(entry => entry.object));
+    if (this.focused) {
+      wanted.add(this.focused.object);
+    }
 
-    // Transform to initial layout
-    this.transform(this.targets.table, 2000);
+    this.objects.forEach(object => {
+      const proxy = object.userData.proxy;
+      if (!wanted.has(object)) {
+        this.releaseNearCard(object);
+        return;
+      }
+      if (!proxy) {
+        this.attachNearCard(object);
+      }
+      object.userData.proxy.position.copy(object.position);
+      object.userData.proxy.rotation.copy(object.rotation);
+    });
+  }
+
+  /**
+   * Animate a keyed data diff (see DataManager.diffData) without rebuilding the scene
+   * New cards fly in, removed cards fade out and changed cards update in place.
+   * `data` is the full new dataset, which sets the card order.
+   */
+  applyDiff(diff, data) {
+    // Grown past (or shrunk below) the WebGL threshold: rebuild in the other mode
+    if (this.chooseRenderMode(data.length) !== this.renderMode) {
+      this.createObjects(data);
+      return;
+    }
+
+    const objectsByKey = new Map(this.objects.map(object => [object.userData.item.key, object]));
+
+    diff.removed.forEach(item => {
+      const object = objectsByKey.get(item.key);
+      if (!object) return;
+      if (this.focused && this.focused.object === object) {
+        this.unfocusCard();
+      }
+
+      objectsByKey.delete(item.key);
+      if (this.hovered === object) {
+        this.setHovered(null);
+      }
+      if (this.selected === object) {
+        this.setSelected(null);
+      }
+      this.setCardFlag(object, 'removing', true);
+      this.removingObjects.add(object);
+      if (this.cardLayer) {
+        this.fadeOutInstance(object);
+      }
+      setTimeout(() => {
+        // Gone already if the cards were rebuilt meanwhile
+        if (!this.removingObjects.delete(object)) return;
+        this.removeCardObject(object);
+        if (this.cardLayer) {
+          this.cardLayer.setObjects([...this.objects, ...this.removingObjects]);
+        }
+        this.render();
+      }, REMOVE_FADE);
+    });
+
+    // Quantiles, domains and categories depend on the whole dataset
+    this.data = data;
+    this.buildColorScale();
+
+    diff.changed.forEach(({ after }) => {
+      const object = objectsByKey.get(after.key);
+      if (object && object.element) {
+        this.updateElementCard(object.element, after);
+      }
+    });
+
+    diff.added.forEach(item => {
+      const object = this.createCardObject(item);
+      if (object.element) {
+        object.element.classList.add('adding');
+        object.element.addEventListener('animationend', () => object.element.classList.remove('adding'), { once: true });
+      }
+      objectsByKey.set(item.key, object);
+    });
+
+    // Follow the new data order, so layouts place cards by their new row
+    this.objects = data.map(item => {
+      const object = objectsByKey.get(item.key);
+      object.userData.item = item;
+      return object;
+    });
+    if (this.cardLayer) {
+      // Removed cards stay drawn until they have faded out
+      this.cardLayer.setObjects([...this.objects, ...this.removingObjects]);
+    }
+
+    // Unchanged cards may still move bucket when quantiles shift
+    this.applyColors();
+    this.updateFilterClasses();
+    this.applyLayout(this.currentLayout, 1000, { frame: false });
+  }
+
+  /**
+   * Fade a WebGL card out over REMOVE_FADE, as the CSS transition does for
+   * CSS3D cards (at once when motion is reduced)
+   */
+  fadeOutInstance(object) {
+    if (this.reducedMotion) {
+      object.userData.opacity = 0;
+      this.render();
+      return;
+    }
+    object.userData.opacity = 1;
+    new TWEEN.Tween(object.userData)
+      .to({ opacity: 0 }, REMOVE_FADE)
+      .onUpdate(() => this.render())
+      .start();
+  }
+
+  /**
+   * Filter the cards shown, without recreating them
+   *
+   * In 'hide' mode non-matching cards fade out and the rest are laid out again
+   * with no gaps; in 'dim' mode every card keeps its place and non-matching
+   * cards are dimmed. Pass null to clear the filter.
+   */
+  setFilter(predicate, mode = this.filterMode) {
+    this.filter = predicate;
+    this.filterMode = mode;
+    this.updateFilterClasses();
+    this.applyLayout(this.currentLayout, 1000, { frame: false });
+    this.dispatchEvent(new CustomEvent('filterchange'));
+  }
+
+  /**
+   * Check whether a card's item passes the current filter
+   */
+  matchesFilter(object) {
+    return !this.filter || this.filter(object.userData.item);
+  }
+
+  /**
+   * Order the cards by one or more fields (see sort.js) and lay them out again
+   * Pass [] to go back to data order.
+   */
+  setSort(sort) {
+    if (formatSort(sort) === formatSort(this.sort)) return;
+    this.sort = sort.map(key => ({ field: key.field, direction: key.direction === 'desc' ? 'desc' : 'asc' }));
+    this.applyLayout(this.currentLayout, this.tweenDuration, { frame: false });
+    this.dispatchEvent(new CustomEvent('sortchange', { detail: { sort: this.sort } }));
+  }
+
+  /**
+   * Get the objects that take part in the layout, in sort order
+   */
+  getLayoutObjects() {
+    const objects = this.filterMode === 'dim'
+      ? this.objects
+      : this.objects.filter(object => this.matchesFilter(object));
+    return sortItems(objects, this.sort, object => object.userData.item);
+  }
+
+  /**
+   * Items of the cards in view, in layout order: dimmed cards are left out
+   */
+  getVisibleItems() {
+    return this.getLayoutObjects()
+      .filter(object => this.matchesFilter(object))
+      .map(object => object.userData.item);
+  }
+
+  /**
+   * Where each laid-out card is: [{ key, position: [x, y, z], rotation: [x, y, z] }]
+   * The focused card is given at its place in the layout.
+   */
+  getCardPoses() {
+    const round = vector => vector.map(value => Math.round(value * 1000) / 1000);
+    return this.getLayoutObjects().map(object => {
+      const position = this.focused && this.focused.object === object ? this.focused.basePosition : object.position;
+      return {
+        key: object.userData.item.key,
+        position: round(position.toArray()),
+        rotation: round([object.rotation.x, object.rotation.y, object.rotation.z])
+      };
+    });
+  }
+
+  /**
+   * Move cards to poses from getCardPoses(), matched by item key
+   * Cards without a pose go to their place in the current layout, so call
+   * after applyLayout. Returns a promise for how many cards had a pose, once
+   * they have arrived (or another transition took over).
+   */
+  placeCards(poses, duration = this.tweenDuration) {
+    if (this.focused) {
+      this.restoreFocusedCard(0);
+    }
+
+    const posesByKey = new Map(poses.map(pose => [pose.key, pose]));
+    const objects = this.getLayoutObjects();
+    const layoutTargets = this.computeLayout(this.currentLayout, objects.map(object => object.userData.item));
+    let placed = 0;
+
+    const targets = objects.map((object, index) => {
+      const pose = posesByKey.get(object.userData.item.key);
+      if (!pose) return layoutTargets[index];
+      placed++;
+      return {
+        position: new THREE.Vector3().fromArray(pose.position),
+        rotation: new THREE.Euler().fromArray(pose.rotation)
+      };
+    });
+
+    return this.transform(targets, duration, objects).then(() => placed);
+  }
+
+  /**
+   * Toggle the dimmed / filtered-out classes on every card
+   */
+  updateFilterClasses() {
+    this.objects.forEach(object => {
+      const matches = this.matchesFilter(object);
+      this.setCardFlag(object, 'dimmed', !matches && this.filterMode === 'dim');
+      this.setCardFlag(object, 'filtered-out', !matches && this.filterMode === 'hide');
+    });
+    if (this.selected && !this.matchesFilter(this.selected)) {
+      this.setSelected(null);
+    }
+    this.render();
   }
 
   /**
@@ -98,12 +1032,37 @@ class VisualizationApp {
    */
   createElementCard(item) {
     const div = document.createElement('div');
-    div.className = `element ${dataManager.getColorClass(item.netWorth)}`;
+    div.className = 'element';
+    this.updateElementCard(div, item);
+    return div;
+  }
+
+  /**
+   * Text shown on an item's card, for DOM and WebGL cards alike
+   * { number, symbol, name, details: [lines, the last one being net worth] }
+   */
+  getCardLabels(item) {
+    return {
+      number: item.id,
+      symbol: item.initials,
+      name: item.name,
+      details: [`Age: ${item.age} | ${item.country}`, item.interest, dataManager.formatNetWorth(item.netWorth)]
+    };
+  }
+
+  /**
+   * Fill a card element with an item's text and color class
+   * Keeps state classes (focused, dimmed...) so it can update cards in place
+   */
+  updateElementCard(div, item) {
+    const labels = this.getCardLabels(item);
+    this.applyCardColor(div, item);
+    div.innerHTML = '';
 
     // Number
     const number = document.createElement('div');
     number.className = 'number';
-    number.textContent = item.id;
+    number.textContent = labels.number;
     div.appendChild(number);
 
     // Avatar/Photo
@@ -120,300 +1079,467 @@ class VisualizationApp {
     // Initials (as symbol)
     const symbol = document.createElement('div');
     symbol.className = 'symbol';
-    symbol.textContent = item.initials;
+    symbol.textContent = labels.symbol;
     div.appendChild(symbol);
 
     // Details
     const details = document.createElement('div');
     details.className = 'details';
-    details.innerHTML = `
-      <div class="name">${item.name}</div>
-      <div>Age: ${item.age} | ${item.country}</div>
-      <div>${item.interest}</div>
-      <div><strong>${dataManager.formatNetWorth(item.netWorth)}</strong></div>
-    `;
+    const name = document.createElement('div');
+    name.className = 'name';
+    name.textContent = labels.name;
+    details.appendChild(name);
+    labels.details.forEach((text, index) => {
+      const line = document.createElement('div');
+      if (index === labels.details.length - 1) {
+        const strong = document.createElement('strong');
+        strong.textContent = text;
+        line.appendChild(strong);
+      } else {
+        line.textContent = text;
+      }
+      details.appendChild(line);
+    });
     div.appendChild(details);
-
-    return div;
   }
 
   /**
-   * Calculate positions for all layouts
+   * Color a card from the current color scale: a CSS class or a custom color
    */
-  calculateLayouts(data) {
-    // Table layout (20x10)
-    this.calculateTableLayout(data);
+  applyCardColor(div, item) {
+    if (div.dataset.colorClass) {
+      div.classList.remove(div.dataset.colorClass);
+      delete div.dataset.colorClass;
+    }
 
-    // Sphere layout
-    this.calculateSphereLayout(data);
+    const style = this.colorScale.classify(item);
+    if (style.className) {
+      div.dataset.colorClass = style.className;
+      div.classList.add(style.className);
+      div.classList.remove('colored');
+      div.style.removeProperty('--card-color');
+    } else {
+      div.classList.add('colored');
+      div.style.setProperty('--card-color', style.color);
+    }
+  }
 
-    // Helix layout (double helix)
-    this.calculateHelixLayout(data);
+  /**
+   * The color scale from config: CONFIG.COLOR_SCALE, else net worth thresholds
+   */
+  getDefaultColorSpec() {
+    const config = typeof CONFIG !== 'undefined' ? CONFIG : {};
+    return config.COLOR_SCALE || {
+      type: 'threshold',
+      field: 'netWorth',
+      thresholds: config.COLOR_THRESHOLDS || [100000, 200000]
+    };
+  }
 
-    // Grid layout (5x4x10)
-    this.calculateGridLayout(data);
+  /**
+   * Rebuild the color scale from the current spec and data
+   */
+  buildColorScale() {
+    const format = this.colorSpec.field === 'netWorth'
+      ? value => dataManager.formatMoneyValue(value)
+      : value => String(Math.round(value * 10) / 10);
 
-    // Tetrahedron layout
-    this.calculateTetrahedronLayout(data);
+    this.colorScale = new ColorScale(this.colorSpec, this.data, format);
+    this.dispatchEvent(new CustomEvent('colorscalechange', { detail: { scale: this.colorScale } }));
   }
 
   /**
-   * Calculate table layout positions (20x10)
+   * Change how cards are colored, e.g. { field: 'country', type: 'categorical' }
    */
-  calculateTableLayout(data) {
-    const table = [];
-    const cols = 20;
-    const rows = 10;
-
-    data.forEach((item, index) => {
-      const object = new THREE.Object3D();
+  setColorScale(spec) {
+    this.colorSpec = { ...spec };
+    this.highlight = null;
+    this.buildColorScale();
+    this.applyColors();
+  }
 
-      const col = index % cols;
-      const row = Math.floor(index / cols);
+  /**
+   * Recolor every card from the current scale
+   */
+  applyColors() {
+    this.objects.forEach(object => {
+      if (object.element) {
+        this.applyCardColor(object.element, object.userData.item);
+      }
+    });
+    if (this.cardLayer) {
+      this.cardLayer.repaint();
+    }
+    this.updateHighlightClasses();
+    this.render();
+  }
 
-      object.position.x = col * 160 - (cols * 160) / 2;
-      object.position.y = -(row * 180) + (rows * 180) / 2;
-      object.position.z = 0;
+  /**
+   * Highlight the cards matching a predicate (e.g. a legend entry); null clears
+   */
+  setHighlight(predicate) {
+    this.highlight = predicate;
+    this.updateHighlightClasses();
+    this.render();
+  }
 
-      table.push(object);
+  /**
+   * Toggle the highlighted / unhighlighted classes on every card
+   */
+  updateHighlightClasses() {
+    this.objects.forEach(object => {
+      const matches = !!this.highlight && this.highlight(object.userData.item);
+      this.setCardFlag(object, 'highlighted', matches);
+      this.setCardFlag(object, 'unhighlighted', !!this.highlight && !matches);
     });
+  }
 
-    this.targets.table = table;
+  /**
+   * Calculate positions for every registered layout
+   */
+  calculateLayouts(data) {
+    getLayouts().forEach(layout => this.computeLayout(layout.name, data));
   }
 
   /**
-   * Calculate sphere layout positions
+   * Calculate target positions (and decorations) for a single layout
    */
-  calculateSphereLayout(data) {
-    const sphere = [];
-    const radius = 900;
+  computeLayout(layoutName, data) {
+    const layout = getLayout(layoutName);
+    if (!layout) {
+      throw new Error(`Unknown layout: ${layoutName}`);
+    }
 
-    data.forEach((item, index) => {
-      const object = new THREE.Object3D();
+    const result = layout.compute(data, this.getLayoutOptions(layoutName), {
+      aspect: window.innerWidth / window.innerHeight,
+      groups: getSortGroups(data, this.sort)
+    });
 
-      const phi = Math.acos(-1 + (2 * index) / data.length);
-      const theta = Math.sqrt(data.length * Math.PI) * phi;
+    // Layouts may return a plain targets array or { targets, decorations }
+    const isArray = Array.isArray(result);
+    this.targets[layoutName] = isArray ? result : result.targets;
+    this.decorations[layoutName] = isArray ? [] : (result.decorations || []);
 
-      object.position.x = radius * Math.cos(theta) * Math.sin(phi);
-      object.position.y = radius * Math.sin(theta) * Math.sin(phi);
-      object.position.z = radius * Math.cos(phi);
+    return this.targets[layoutName];
+  }
 
-      const vector = new THREE.Vector3();
-      vector.copy(object.position).multiplyScalar(2);
+  /**
+   * Get the effective options for a layout (defaults + overrides)
+   */
+  getLayoutOptions(layoutName) {
+    const layout = getLayout(layoutName);
+    return {
+      ...(layout ? layout.options : {}),
+      ...(this.layoutOptions[layoutName] || {})
+    };
+  }
 
-      object.lookAt(vector);
+  /**
+   * Override options for a layout, e.g. setLayoutOptions('sphere', { radius: 1200 })
+   */
+  setLayoutOptions(layoutName, options) {
+    this.layoutOptions[layoutName] = {
+      ...(this.layoutOptions[layoutName] || {}),
+      ...options
+    };
+  }
 
-      sphere.push(object);
-    });
+  /**
+   * Replace every option override of a layout ({} goes back to its defaults)
+   */
+  resetLayoutOptions(layoutName, options = {}) {
+    this.layoutOptions[layoutName] = { ...options };
+  }
 
-    this.targets.sphere = sphere;
+  /**
+   * Register a custom layout (see layouts.js)
+   */
+  registerLayout(name, definition) {
+    registerLayout(name, definition);
   }
 
   /**
-   * Calculate double helix layout positions
+   * Move cards to target poses with a choreography (see choreography.js)
+   *
+   * A transition started while another is running takes over from where each
+   * card is, easing out so the cards don't stop first. Emits layoutstart, and
+   * layoutend once every card has arrived or another transition took over.
+   * Returns a promise for true when the cards arrived, false when interrupted.
    */
-/**
-   * Calculate Double Helix layout
-   */
-  calculateHelixLayout(data) {
-    const helix = [];
-    const radius = 700;           // How wide the spiral is
-    const verticalSpacing = 30;    // Space between stacked cards
-
-    data.forEach((item, index) => {
-      const object = new THREE.Object3D();
-
-      // 1. Determine which strand this card belongs to (0 or 1)
-      // Even numbers = Strand 0, Odd numbers = Strand 1
-      const strand = index % 2; 
-      
-      // 2. Determine position in the specific strand
-      // We divide by 2 so both strands climb at the same speed
-      const strandIndex = Math.floor(index / 2);
-
-      // 3. The Math: Add 180 degrees (Math.PI) to the second strand
-      // Strand 0 offset = 0
-      // Strand 1 offset = Math.PI (3.14...)
-      const phaseOffset = strand * Math.PI;
-
-      // Calculate the angle (theta) around the Y-axis
-      // 0.175 controls the tightness of the spiral
-      const theta = strandIndex * 0.15 + phaseOffset;
-      
-      // Calculate vertical position (Y)
-      // The -450 centers the helix vertically
-      const y = -(strandIndex * verticalSpacing) + 1250;
-
-      // Set positions using Sine/Cosine for the circle shape
-      object.position.x = radius * Math.cos(theta);
-      object.position.y = y;
-      object.position.z = radius * Math.sin(theta);
-
-      // Rotate the object to face outward from the center
-      const vector = new THREE.Vector3();
-      vector.x = object.position.x * 2;
-      vector.y = object.position.y;
-      vector.z = object.position.z * 2;
-      object.lookAt(vector);
-
-      helix.push(object);
+  transform(targets, duration, objects = this.objects, { choreography = this.choreography, easing = this.easing } = {}) {
+    const interrupted = this.interruptTransition();
+    const transition = { layout: this.currentLayout, resolve: null };
+    const finished = new Promise(resolve => {
+      transition.resolve = resolve;
+    });
+    this.transition = transition;
+
+    if (this.reducedMotion) {
+      this.dispatchEvent(new CustomEvent('layoutstart', {
+        detail: { layout: transition.layout, choreography: 'crossfade', duration: CROSSFADE_DURATION }
+      }));
+      this.crossfade(() => {
+        objects.forEach((object, index) => {
+          const target = targets[index];
+          object.position.set(target.position.x, target.position.y, target.position.z);
+          object.rotation.set(target.rotation.x, target.rotation.y, target.rotation.z);
+        });
+        this.finishTransition(transition, true);
+      });
+      return finished;
+    }
+
+    const plan = planTransition(
+      choreography,
+      objects.map(object => object.position),
+      targets.map(target => target.position),
+      duration
+    );
+    const ease = this.getEasing(interrupted ? interruptedEasing(easing) : easing);
+    this.dispatchEvent(new CustomEvent('layoutstart', {
+      detail: { layout: transition.layout, choreography, duration: plan.total }
+    }));
+
+    // Each card arrives when both its position and rotation tweens are done
+    let pending = objects.length * 2;
+    const arrive = () => {
+      pending--;
+      if (pending === 0) this.finishTransition(transition, true);
+    };
+
+    objects.forEach((object, index) => {
+      const target = targets[index];
+      const step = plan.steps[index];
+
+      const assemble = new TWEEN.Tween(object.position, this.cardTweens)
+        .to({ x: target.position.x, y: target.position.y, z: target.position.z }, step.duration)
+        .easing(ease)
+        .onUpdate(() => this.render())
+        .onComplete(arrive);
+
+      if (step.via) {
+        new TWEEN.Tween(object.position, this.cardTweens)
+          .to({ x: step.via.x, y: step.via.y, z: step.via.z }, step.viaDuration)
+          .delay(step.delay)
+          .easing(TWEEN.Easing.Cubic.Out)
+          .onUpdate(() => this.render())
+          .chain(assemble)
+          .start();
+      } else {
+        assemble.delay(step.delay).start();
+      }
+
+      new TWEEN.Tween(object.rotation, this.cardTweens)
+        .to({ x: target.rotation.x, y: target.rotation.y, z: target.rotation.z }, step.duration)
+        .delay(step.delay + (step.viaDuration || 0))
+        .easing(ease)
+        .onComplete(arrive)
+        .start();
     });
 
-    this.targets.helix = helix;
+    if (pending === 0) {
+      this.finishTransition(transition, true);
+    }
+    return finished;
   }
 
   /**
-   * Calculate 3D grid layout positions (5x4x10)
+   * Stop the running transition (and card tweens such as focus lifts), leaving
+   * cards where they are. Returns whether a transition was running.
    */
-  calculateGridLayout(data) {
-    const grid = [];
-    const cols = 10;  // x-axis
-    const rows = 4;  // y-axis
-    const depth = 5; // z-axis
+  interruptTransition() {
+    this.cardTweens.removeAll();
+    const transition = this.transition;
+    if (!transition) return false;
+    this.finishTransition(transition, false);
+    return true;
+  }
 
-    data.forEach((item, index) => {
-      const object = new THREE.Object3D();
+  /**
+   * Settle a transition's promise and announce its end, once
+   */
+  finishTransition(transition, completed) {
+    if (this.transition !== transition) return;
+    this.transition = null;
+    transition.resolve(completed);
+    this.dispatchEvent(new CustomEvent('layoutend', {
+      detail: { layout: transition.layout, interrupted: !completed }
+    }));
+  }
 
-      const x = index % cols;
-      const layer = Math.floor(index / cols);
-      const y = Math.floor(layer / depth);
-      const z = layer % depth;
+  /**
+   * Get a tween.js easing function by name, e.g. 'Exponential.InOut'
+   */
+  getEasing(name) {
+    const [family, variant] = String(name).split('.');
+    const easing = TWEEN.Easing[family] && TWEEN.Easing[family][variant];
+    return easing || TWEEN.Easing.Exponential.InOut;
+  }
 
-      object.position.x = x * 200 - (cols * 200) / 2;
-      object.position.y = y * 200 - (rows * 200) / 2;
-      object.position.z = z * 200 - (depth * 200) / 2;
+  /**
+   * Change layout, optionally overriding its options
+   * Pass { frame: false } to leave the camera where it is, and a
+   * choreography or easing to use instead of the configured ones.
+   * Returns a promise for whether the cards arrived (see transform).
+   */
+  changeLayout(layoutName, options, { frame = true, choreography, easing } = {}) {
+    if (!getLayout(layoutName)) return Promise.resolve(false);
 
-      grid.push(object);
-    });
+    if (options) {
+      this.setLayoutOptions(layoutName, options);
+    }
 
-    this.targets.grid = grid;
+    this.currentLayout = layoutName;
+    const finished = this.applyLayout(layoutName, this.tweenDuration, { frame, choreography, easing });
+    this.dispatchEvent(new CustomEvent('layoutchange', {
+      detail: { layout: layoutName, options: this.getLayoutOptions(layoutName), frame }
+    }));
+    return finished;
   }
-  
+
   /**
-   * Calculate Tetrahedron (Pyramid) layout
-   * Stacks cards in triangular layers: 1, 3, 6, 10, 15...
+   * Compute a layout and animate the cards, decorations and camera to it
+   * Pass { frame: false } to leave the camera where the user put it.
+   * Returns a promise for whether the cards arrived (see transform).
    */
-  calculateTetrahedronLayout(data) {
-    const tetrahedron = [];
-    const spacing = 180;  // Horizontal distance between cards
-    const height = 160;   // Vertical distance between layers
-    
-    // Counters to track where we are in the pyramid
-    let layer = 1; // Current horizontal layer (1 = top)
-    let row = 0;   // Current row within the triangle layer
-    let col = 0;   // Current item within the row
-
-    data.forEach((item) => {
-      const object = new THREE.Object3D();
+  applyLayout(layoutName, duration, { frame = true, choreography, easing } = {}) {
+    // The layout moves every card, so the focused card loses its focus
+    if (this.focused) {
+      this.restoreFocusedCard(0);
+    }
 
-      // --- 1. Manage the Pyramid Counters ---
-      // If we finish a row (col > row), move to next row
-      if (col > row) {
-        col = 0;
-        row++;
-      }
-      // If we finish a layer (row >= layer), move to next layer (downwards)
-      if (row >= layer) {
-        row = 0;
-        col = 0;
-        layer++;
-      }
+    const objects = this.getLayoutObjects();
+    const targets = this.computeLayout(layoutName, objects.map(object => object.userData.item));
+    const decorations = this.decorations[layoutName];
 
-      // --- 2. Calculate Position ---
-      
-      // X: Centers the row horizontally
-      // (col - row/2) shifts the row to be symmetrical
-      object.position.x = (col - row / 2) * spacing;
-
-      // Z: Centers the triangle depth-wise
-      // (row - layer/2) shifts the triangle to be centered
-      object.position.z = (row - layer / 2) * spacing;
-
-      // Y: Moves down for each layer. 
-      // +600 starts it higher up so it's centered on screen
-      object.position.y = -(layer * height) + 900;
-
-      // --- 3. Orientation ---
-      // Make the card face forward (flat) or tilt slightly if you prefer
-      // For now, flat is easiest to read
-      const vector = new THREE.Vector3();
-      
-      // Optional: Uncomment this if you want them to face the center
-      // vector.copy(object.position).multiplyScalar(2); 
-      // object.lookAt(vector);
-
-      tetrahedron.push(object);
-
-      // Increment column for next card
-      col++;
+    const finished = this.transform(targets, duration, objects, {
+      choreography: choreography || this.choreography,
+      easing: easing || this.easing
     });
-
-    this.targets.tetrahedron = tetrahedron;
+    this.refitPending = false;
+    this.showDecorations(decorations);
+    if (frame) {
+      this.frameTargets([...targets, ...decorations], duration);
+      this.cameraMoved = false;
+    }
+    return finished;
   }
 
   /**
-   * Transform objects to target positions
+   * Lay the current layout out again for a new window shape, keeping what the
+   * user set up: the camera is only reframed if it is still where a layout put
+   * it, and while a card is focused the refit waits until it is released
+   * Unlike changeLayout this isn't a layout change, so nothing is announced.
    */
-  transform(targets, duration) {
-    TWEEN.removeAll();
+  refitLayout(duration = this.tweenDuration) {
+    if (this.focused) {
+      this.refitPending = true;
+      return Promise.resolve(false);
+    }
+    return this.applyLayout(this.currentLayout, duration, { frame: !this.cameraMoved });
+  }
 
-    this.objects.forEach((object, index) => {
-      const target = targets[index];
+  /**
+   * Replace the current layout decorations (labels, axes...) with new ones
+   */
+  showDecorations(decorations) {
+    this.decorationObjects.forEach(object => this.scene.remove(object));
+
+    this.decorationObjects = decorations.map(decoration => {
+      const element = document.createElement('div');
+      element.className = `decoration ${decoration.className || ''}`.trim();
+      if (decoration.text !== undefined) {
+        element.textContent = decoration.text;
+      }
+      if (decoration.width !== undefined) {
+        element.style.width = `${decoration.width}px`;
+      }
+      if (decoration.height !== undefined) {
+        element.style.height = `${decoration.height}px`;
+      }
 
-      new TWEEN.Tween(object.position)
-        .to(
-          {
-            x: target.position.x,
-            y: target.position.y,
-            z: target.position.z
-          },
-          Math.random() * duration + duration
-        )
-        .easing(TWEEN.Easing.Exponential.InOut)
-        .start();
+      const object = new CSS3DObject(element);
+      object.position.copy(decoration.position);
+      if (decoration.rotation) {
+        object.rotation.copy(decoration.rotation);
+      }
 
-      new TWEEN.Tween(object.rotation)
-        .to(
-          {
-            x: target.rotation.x,
-            y: target.rotation.y,
-            z: target.rotation.z
-          },
-          Math.random() * duration + duration
-        )
-        .easing(TWEEN.Easing.Exponential.InOut)
-        .start();
+      this.scene.add(object);
+      return object;
     });
-
-    new TWEEN.Tween(this)
-      .to({}, duration * 2)
-      .onUpdate(() => this.render())
-      .start();
   }
 
   /**
-   * Change layout
+   * Tween the camera and controls target so the given targets fill the view
    */
-  changeLayout(layoutName) {
-    if (this.targets[layoutName]) {
-      this.currentLayout = layoutName;
-      this.transform(this.targets[layoutName], 2000);
-    }
+  frameTargets(targets, duration) {
+    // Targets only need a position, so decorations can be framed as well
+    if (!targets || targets.length === 0) return;
+
+    // Bounding box of the layout, padded by the card size
+    const box = new THREE.Box3();
+    targets.forEach(target => box.expandByPoint(target.position));
+    box.expandByVector(new THREE.Vector3(CARD_WIDTH, CARD_HEIGHT, CARD_WIDTH).multiplyScalar(0.5));
+
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+
+    // Distance at which the box front face fits both vertically and horizontally
+    const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+    const fitHeight = size.y / 2 / tanHalfFov;
+    const fitWidth = size.x / 2 / (tanHalfFov * this.camera.aspect);
+    const distance = Math.max(fitHeight, fitWidth) * FRAME_MARGIN + size.z / 2;
+
+    this.controls.minDistance = Math.max(100, distance * 0.1);
+    this.controls.maxDistance = Math.max(distance * 3, size.length());
+    this.camera.far = Math.max(10000, distance + size.length() * 2);
+    this.camera.updateProjectionMatrix();
+
+    // Look at the layout head-on from the front
+    this.tweenCamera({
+      position: new THREE.Vector3(center.x, center.y, center.z + distance),
+      up: new THREE.Vector3(0, 1, 0),
+      target: center
+    }, duration);
   }
 
   /**
    * Animation loop
    */
-  animate() {
-    requestAnimationFrame(() => this.animate());
+  animate(time = performance.now()) {
+    requestAnimationFrame(next => this.animate(next));
     TWEEN.update();
+    this.cardTweens.update();
+
+    // Frames can be far apart in a background tab: don't jump ahead
+    const elapsed = this.lastFrameTime === null ? 0 : Math.min(time - this.lastFrameTime, 100);
+    this.lastFrameTime = time;
+    this.updateAutoRotate(elapsed);
+
     this.controls.update();
+
+    if (this.renderRequested) {
+      this.renderRequested = false;
+      this.renderFrame();
+    }
   }
 
   /**
-   * Render scene
+   * Ask for the scene to be drawn; many requests in one frame draw it once
    */
   render() {
+    this.renderRequested = true;
+  }
+
+  /**
+   * Draw the scene: WebGL cards first, then the CSS3D cards and decorations
+   */
+  renderFrame() {
+    if (this.cardLayer) {
+      this.updateNearCards();
+      this.cardLayer.update();
+      this.glRenderer.render(this.scene, this.camera);
+    }
     this.renderer.render(this.scene, this.camera);
   }
 
@@ -424,7 +1550,14 @@ class VisualizationApp {
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    if (this.glRenderer) {
+      this.glRenderer.setSize(window.innerWidth, window.innerHeight);
+    }
     this.render();
+
+    // Re-fit the current layout to the new aspect ratio once resizing settles
+    clearTimeout(this.resizeTimer);
+    this.resizeTimer = setTimeout(() => this.refitLayout(), RESIZE_DEBOUNCE);
   }
 }
 
@@ -432,4 +1565,5 @@ class VisualizationApp {
 export default VisualizationApp;
 
 // Also make it available globally for non-module scripts
+VisualizationApp.registerLayout = registerLayout;
 window.VisualizationApp = VisualizationApp;
\ No newline at end of file
@@ -0,0 +1,370 @@
+/**
+ * WebGL Cards Module
+ * Draws cards as instanced textured quads, for datasets too large for one
+ * DOM node per card (see VisualizationApp render modes)
+ *
+ * Every card is painted once into a shared texture atlas (more pages for
+ * large datasets), and one InstancedMesh per page draws all of its cards in a
+ * single draw call. Cards stay plain THREE.Object3D objects, so layouts and
+ * tweens move them exactly as they move CSS3D cards; update() copies their
+ * transforms and states into the instances before each frame.
+ */
+
+import * as THREE from 'three';
+
+// Card size in CSS pixels (matches .element in style.css)
+const CARD_WIDTH = 120;
+const CARD_HEIGHT = 160;
+
+// Atlas cell in texture pixels: half the CSS size. Closer than that, cards are
+// magnified and VisualizationApp swaps in real CSS3D cards.
+export const CELL_WIDTH = 60;
+export const CELL_HEIGHT = 80;
+
+const ATLAS_SIZE = 2048;
+const ATLAS_COLUMNS = Math.floor(ATLAS_SIZE / CELL_WIDTH);
+const ATLAS_ROWS = Math.floor(ATLAS_SIZE / CELL_HEIGHT);
+const CELLS_PER_PAGE = ATLAS_COLUMNS * ATLAS_ROWS;
+
+// Opacity of cards in each state (matches the .element states in style.css).
+// Removed cards fade out through object.userData.opacity instead.
+const STATE_OPACITY = {
+  'filtered-out': 0,
+  dimmed: 0.15,
+  unhighlighted: 0.2
+};
+
+// Brightness of hovered (or keyboard-selected) and highlighted cards
+const HOVER_TINT = 1.35;
+const HIGHLIGHT_TINT = 1.15;
+
+// States that can't be clicked or hovered (pointer-events: none in style.css)
+const UNPICKABLE_STATES = ['filtered-out', 'removing'];
+
+const VERTEX_SHADER = `
+  uniform vec2 cellSize;
+  attribute vec2 cellOffset;
+  attribute float cardOpacity;
+  attribute float cardTint;
+  varying vec2 vUv;
+  varying float vOpacity;
+  varying float vTint;
+
+  void main() {
+    vUv = cellOffset + uv * cellSize;
+    vOpacity = cardOpacity;
+    vTint = cardTint;
+    gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+  }
+`;
+
+const FRAGMENT_SHADER = `
+  uniform sampler2D atlas;
+  varying vec2 vUv;
+  varying float vOpacity;
+  varying float vTint;
+
+  void main() {
+    vec4 color = texture2D(atlas, vUv);
+    float alpha = color.a * vOpacity;
+    if (alpha < 0.01) discard;
+    gl_FragColor = vec4(min(color.rgb * vTint, vec3(1.0)), alpha);
+  }
+`;
+
+// Whether the browser can render WebGL, found out on first use
+let webglSupport = null;
+
+/**
+ * Check whether the browser can render WebGL
+ * The probe creates a GL context, so it runs only once.
+ */
+export function webglAvailable() {
+  if (webglSupport === null) {
+    try {
+      const canvas = document.createElement('canvas');
+      webglSupport = !!(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+    } catch (error) {
+      webglSupport = false;
+    }
+  }
+  return webglSupport;
+}
+
+// Colors of the card CSS classes (low-worth...), read from the stylesheet once
+const classColors = new Map();
+
+/**
+ * Background and border colors for a color scale style ({ className } or { color })
+ */
+function cardColors(style) {
+  if (style.color) {
+    return { background: style.color, border: style.color, alpha: 0.75 };
+  }
+
+  const className = style.className || '';
+  if (!classColors.has(className)) {
+    const probe = document.createElement('div');
+    probe.className = `element ${className}`.trim();
+    probe.style.position = 'absolute';
+    probe.style.visibility = 'hidden';
+    document.body.appendChild(probe);
+    const computed = getComputedStyle(probe);
+    classColors.set(className, {
+      background: computed.backgroundColor,
+      border: computed.borderTopColor,
+      alpha: 1
+    });
+    probe.remove();
+  }
+  return classColors.get(className);
+}
+
+/**
+ * Shorten text to fit a width, with an ellipsis
+ */
+function fitText(context, text, width) {
+  if (context.measureText(text).width <= width) return text;
+  let end = text.length;
+  while (end > 0 && context.measureText(`${text.slice(0, end)}…`).width > width) end--;
+  return `${text.slice(0, end)}…`;
+}
+
+/**
+ * Paint one card into an atlas cell, laid out like the CSS card
+ * `labels`: { number, symbol, name, details: [lines] }
+ */
+function paintCard(context, column, row, labels, style) {
+  const colors = cardColors(style);
+  context.save();
+  context.translate(column * CELL_WIDTH, row * CELL_HEIGHT);
+  context.clearRect(0, 0, CELL_WIDTH, CELL_HEIGHT);
+  context.scale(CELL_WIDTH / CARD_WIDTH, CELL_HEIGHT / CARD_HEIGHT);
+
+  // Card background and border
+  context.beginPath();
+  context.roundRect(1, 1, CARD_WIDTH - 2, CARD_HEIGHT - 2, 8);
+  context.globalAlpha = colors.alpha;
+  context.fillStyle = colors.background;
+  context.fill();
+  context.globalAlpha = 1;
+  context.lineWidth = 2;
+  context.strokeStyle = colors.border;
+  context.stroke();
+
+  // Corner labels
+  context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  context.font = '12px sans-serif';
+  context.textBaseline = 'top';
+  context.textAlign = 'left';
+  context.fillText(labels.symbol, 8, 8);
+  context.textAlign = 'right';
+  context.fillText(String(labels.number), CARD_WIDTH - 8, 8);
+
+  // Initials where the photo would be
+  context.fillStyle = 'rgba(255, 255, 255, 0.2)';
+  context.beginPath();
+  context.arc(CARD_WIDTH / 2, 54, 30, 0, Math.PI * 2);
+  context.fill();
+  context.fillStyle = 'white';
+  context.font = 'bold 22px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(labels.symbol, CARD_WIDTH / 2, 54);
+
+  // Name and details
+  context.textBaseline = 'alphabetic';
+  context.font = '600 13px sans-serif';
+  context.fillText(fitText(context, labels.name, CARD_WIDTH - 16), CARD_WIDTH / 2, 108);
+  context.font = '11px sans-serif';
+  labels.details.forEach((line, index) => {
+    context.fillText(fitText(context, line, CARD_WIDTH - 16), CARD_WIDTH / 2, 124 + index * 14);
+  });
+
+  context.restore();
+}
+
+export class InstancedCardLayer {
+  /**
+   * @param {THREE.Scene} scene - the meshes are added to it
+   * @param {Object} painter
+   * @param {Function} painter.labels - item => { number, symbol, name, details }
+   * @param {Function} painter.style - item => { className } or { color } (see ColorScale.classify)
+   */
+  constructor(scene, { labels, style }) {
+    this.scene = scene;
+    this.labels = labels;
+    this.style = style;
+    this.objects = [];
+    this.pages = [];
+    this.geometry = new THREE.PlaneGeometry(CARD_WIDTH, CARD_HEIGHT);
+  }
+
+  /**
+   * Draw these card objects (object.userData.item is the data row), repainting every card
+   */
+  setObjects(objects) {
+    this.objects = objects;
+    const pageCount = Math.ceil(objects.length / CELLS_PER_PAGE);
+
+    while (this.pages.length > pageCount) {
+      this.disposePage(this.pages.pop());
+    }
+    while (this.pages.length < pageCount) {
+      this.pages.push(this.createPage());
+    }
+
+    this.pages.forEach((page, pageIndex) => {
+      const count = Math.min(CELLS_PER_PAGE, objects.length - pageIndex * CELLS_PER_PAGE);
+      if (!page.mesh || page.mesh.count !== count) {
+        this.buildMesh(page, count);
+      }
+    });
+
+    this.repaint();
+    this.update();
+  }
+
+  /**
+   * Repaint cards after their data or colors changed (all cards by default)
+   */
+  repaint(objects = this.objects) {
+    const indices = objects === this.objects
+      ? objects.map((object, index) => index)
+      : objects.map(object => this.objects.indexOf(object)).filter(index => index !== -1);
+
+    indices.forEach(index => {
+      const page = this.pages[Math.floor(index / CELLS_PER_PAGE)];
+      const cell = index % CELLS_PER_PAGE;
+      const item = this.objects[index].userData.item;
+      paintCard(page.context, cell % ATLAS_COLUMNS, Math.floor(cell / ATLAS_COLUMNS), this.labels(item), this.style(item));
+      page.texture.needsUpdate = true;
+    });
+  }
+
+  /**
+   * Copy each card's transform and state into its instance
+   * Cards with a CSS3D stand-in (object.userData.proxy) aren't drawn, and
+   * object.userData.opacity (when set) fades a card further.
+   */
+  update() {
+    this.objects.forEach((object, index) => {
+      const page = this.pages[Math.floor(index / CELLS_PER_PAGE)];
+      const slot = index % CELLS_PER_PAGE;
+      const flags = object.userData.flags || new Set();
+
+      object.updateMatrix();
+      page.mesh.setMatrixAt(slot, object.matrix);
+
+      let opacity = object.userData.proxy ? 0 : (object.userData.opacity ?? 1);
+      flags.forEach(flag => {
+        if (flag in STATE_OPACITY) opacity = Math.min(opacity, STATE_OPACITY[flag]);
+      });
+      page.opacity.setX(slot, opacity);
+
+      const tint = flags.has('hovered') || flags.has('selected') ? HOVER_TINT : (flags.has('highlighted') ? HIGHLIGHT_TINT : 1);
+      page.tint.setX(slot, tint);
+    });
+
+    this.pages.forEach(page => {
+      page.mesh.instanceMatrix.needsUpdate = true;
+      page.opacity.needsUpdate = true;
+      page.tint.needsUpdate = true;
+      // Cards move, so the bounds used for picking must be recomputed
+      page.mesh.boundingSphere = null;
+      page.mesh.boundingBox = null;
+    });
+  }
+
+  /**
+   * Nearest pickable card under a ray, or null
+   */
+  pick(raycaster) {
+    const hits = [];
+    this.pages.forEach((page, pageIndex) => {
+      raycaster.intersectObject(page.mesh, false).forEach(hit => {
+        hits.push({ distance: hit.distance, index: pageIndex * CELLS_PER_PAGE + hit.instanceId });
+      });
+    });
+    hits.sort((a, b) => a.distance - b.distance);
+
+    const hit = hits.find(({ index }) => {
+      const object = this.objects[index];
+      const flags = object.userData.flags || new Set();
+      return !object.userData.proxy && !UNPICKABLE_STATES.some(flag => flags.has(flag));
+    });
+    return hit ? this.objects[hit.index] : null;
+  }
+
+  createPage() {
+    const canvas = document.createElement('canvas');
+    canvas.width = ATLAS_SIZE;
+    canvas.height = ATLAS_SIZE;
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.anisotropy = 4;
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        atlas: { value: texture },
+        cellSize: { value: new THREE.Vector2(CELL_WIDTH / ATLAS_SIZE, CELL_HEIGHT / ATLAS_SIZE) }
+      },
+      vertexShader: VERTEX_SHADER,
+      fragmentShader: FRAGMENT_SHADER,
+      transparent: true,
+      side: THREE.DoubleSide
+    });
+
+    return { canvas, context: canvas.getContext('2d'), texture, material, mesh: null };
+  }
+
+  /**
+   * (Re)create a page's mesh for `count` cards, with each instance's atlas cell
+   */
+  buildMesh(page, count) {
+    if (page.mesh) {
+      this.scene.remove(page.mesh);
+      page.mesh.geometry.dispose();
+    }
+
+    const geometry = this.geometry.clone();
+    const offsets = new Float32Array(count * 2);
+    for (let cell = 0; cell < count; cell++) {
+      const column = cell % ATLAS_COLUMNS;
+      const row = Math.floor(cell / ATLAS_COLUMNS);
+      // Canvas rows run down, texture v runs up
+      offsets[cell * 2] = (column * CELL_WIDTH) / ATLAS_SIZE;
+      offsets[cell * 2 + 1] = 1 - ((row + 1) * CELL_HEIGHT) / ATLAS_SIZE;
+    }
+    page.opacity = new THREE.InstancedBufferAttribute(new Float32Array(count).fill(1), 1);
+    page.tint = new THREE.InstancedBufferAttribute(new Float32Array(count).fill(1), 1);
+    geometry.setAttribute('cellOffset', new THREE.InstancedBufferAttribute(offsets, 2));
+    geometry.setAttribute('cardOpacity', page.opacity);
+    geometry.setAttribute('cardTint', page.tint);
+
+    page.mesh = new THREE.InstancedMesh(geometry, page.material, count);
+    page.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    // Instances move all over the scene; the mesh's own bounds don't cover them
+    page.mesh.frustumCulled = false;
+    this.scene.add(page.mesh);
+  }
+
+  disposePage(page) {
+    if (page.mesh) {
+      this.scene.remove(page.mesh);
+      page.mesh.geometry.dispose();
+    }
+    page.material.dispose();
+    page.texture.dispose();
+  }
+
+  /**
+   * Remove the meshes and free their GPU resources
+   */
+  dispose() {
+    this.pages.forEach(page => this.disposePage(page));
+    this.pages = [];
+    this.objects = [];
+    this.geometry.dispose();
+  }
+}
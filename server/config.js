@@ -0,0 +1,369 @@
+/**
+ * Configuration
+ * One place that reads settings from the environment, applies profile
+ * defaults, validates them and produces the CONFIG object pages load from
+ * config.js
+ *
+ * Sources, later wins: schema defaults < profile defaults < .env <
+ * .env.<profile> < process environment. The profile comes from --profile or
+ * APP_ENV (development, test, production; dev/prod also work).
+ *
+ * Usage:
+ *   node server/config.js [--profile production] [--env-file api.env]   writes config.js
+ * The app server (server/index.js) serves /config.js from the same settings.
+ * Settings files are not committed (api.env.example is a starting point), and
+ * neither is config.js; config.example.js shows what it holds.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CHOREOGRAPHIES, isEasingName } = require('../js/choreography.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const PROFILES = ['development', 'test', 'production'];
+const PROFILE_ALIASES = { dev: 'development', prod: 'production' };
+
+const LAYOUT_NAMES = ['table', 'sphere', 'helix', 'grid', 'tetrahedron', 'cluster', 'scatter'];
+const DATA_SOURCE_TYPES = ['gviz', 'sheets-api', 'json-url', 'api'];
+
+// Profiles whose pages make users sign in (the test profile's test.html doesn't)
+const SIGN_IN_PROFILES = ['development', 'production'];
+
+/**
+ * Whether the server runs offline: fixture data outside production is served
+ * without sign-in, so no Google settings are needed
+ */
+function isOffline(profile, values) {
+  return profile !== 'production' && !!values.DATA_FIXTURE;
+}
+
+const signInRequired = (profile, values) => SIGN_IN_PROFILES.includes(profile) && !isOffline(profile, values);
+
+/**
+ * Settings
+ * - type: string | number | boolean | list (comma-separated numbers/amounts) | json | enum
+ * - required: true, the profiles that require it, or (profile, values) => boolean
+ * - browser: false keeps the value on the server (never sent to pages), or
+ *   (profile, values) => boolean to decide from the other settings
+ * - check(value, config): returns a problem description, if any
+ * - help: how to fix a missing or invalid value
+ */
+const CONFIG_SCHEMA = [
+  {
+    key: 'GOOGLE_CLIENT_ID',
+    type: 'string',
+    required: signInRequired,
+    check: value => (/\.apps\.googleusercontent\.com$/.test(value) ? null : 'does not look like an OAuth client ID'),
+    help: 'the OAuth client ID from Google Cloud Console (ends in .apps.googleusercontent.com)'
+  },
+  {
+    key: 'GOOGLE_SHEET_ID',
+    type: 'string',
+    // Needed unless the data comes from the app server or a JSON URL (or is made up)
+    required: (profile, values) => !values.DEMO_MODE && (!values.DATA_SOURCE ||
+      (['gviz', 'sheets-api'].includes(values.DATA_SOURCE.type) && !values.DATA_SOURCE.sheetId)),
+    // Pages reading from the app server have no use for it
+    browser: (profile, values) => !values.DATA_SOURCE || values.DATA_SOURCE.type !== 'api',
+    help: 'the ID in the sheet URL: docs.google.com/spreadsheets/d/<ID>/edit'
+  },
+  { key: 'GOOGLE_API_KEY', type: 'string', browser: false, help: 'an API key with the Sheets API enabled' },
+  { key: 'APP_NAME', type: 'string', default: '3D Data Visualization' },
+  { key: 'REDIRECT_URI', type: 'string', default: '' },
+  {
+    key: 'DEFAULT_LAYOUT',
+    type: 'enum',
+    values: LAYOUT_NAMES,
+    default: 'table'
+  },
+  {
+    key: 'TWEEN_DURATION',
+    type: 'number',
+    default: 2000,
+    check: value => (value >= 0 ? null : 'must not be negative'),
+    help: 'layout transition length in milliseconds'
+  },
+  {
+    key: 'LAYOUT_CHOREOGRAPHY',
+    type: 'enum',
+    values: CHOREOGRAPHIES,
+    default: 'random',
+    help: 'how cards move between layouts: random, stagger, wave or explode'
+  },
+  {
+    key: 'LAYOUT_EASING',
+    type: 'string',
+    default: 'Exponential.InOut',
+    check: value => (isEasingName(value) ? null : 'is not a tween.js easing'),
+    help: 'a tween.js easing such as Exponential.InOut, Cubic.Out or Linear.None'
+  },
+  {
+    key: 'RENDER_MODE',
+    type: 'enum',
+    values: ['auto', 'css', 'webgl'],
+    default: 'auto',
+    help: 'auto (WebGL above WEBGL_THRESHOLD cards), css or webgl'
+  },
+  {
+    key: 'WEBGL_THRESHOLD',
+    type: 'number',
+    default: 500,
+    check: value => (value >= 0 ? null : 'must not be negative'),
+    help: 'number of cards above which auto render mode uses WebGL'
+  },
+  {
+    key: 'COLOR_THRESHOLDS',
+    type: 'list',
+    default: [100000, 200000],
+    check: value => (value.every((bound, i) => i === 0 || bound > value[i - 1]) ? null : 'must be in ascending order'),
+    help: 'net worth bucket bounds, e.g. 100K,200K'
+  },
+  {
+    // Unset: the public sheet, or the Sheets API once signed in (see DataManager)
+    key: 'DATA_SOURCE',
+    type: 'json',
+    check: value => {
+      if (!value || !DATA_SOURCE_TYPES.includes(value.type)) {
+        return `needs a type (one of: ${DATA_SOURCE_TYPES.join(', ')})`;
+      }
+      if (value.type === 'json-url' && !value.url) {
+        return 'type json-url needs a url';
+      }
+      return null;
+    },
+    help: 'a type (gviz, sheets-api, json-url, api) or JSON like {"type":"sheets-api","range":"People"}'
+  },
+  {
+    key: 'DEMO_MODE',
+    type: 'boolean',
+    default: false,
+    help: 'true to show made-up people instead of loading data'
+  },
+  { key: 'POLL_INTERVAL', type: 'number', default: 0, help: 'milliseconds between data refreshes, 0 for none' },
+  { key: 'CSV_DELIMITER', type: 'enum', values: ['auto', ',', ';', '\t'], default: 'auto' },
+  { key: 'MONEY_LOCALE', type: 'string', default: 'en-US' },
+  {
+    key: 'CURRENCY',
+    type: 'string',
+    default: 'USD',
+    check: value => (/^[A-Z]{3}$/.test(value) ? null : 'must be a three-letter currency code')
+  },
+  { key: 'EXCHANGE_RATES', type: 'json', help: 'JSON like {"EUR":1.08}' },
+  { key: 'COLOR_SCALE', type: 'json' },
+  { key: 'SHEET_SCHEMA', type: 'json' },
+  {
+    // Without a policy nobody gets past sign-in (see access.js)
+    key: 'ACCESS_POLICY',
+    type: 'json',
+    required: signInRequired,
+    check: value => (value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be a JSON object'),
+    help: 'JSON like {"allowedDomains":["example.com"],"roles":{"admin":["you@example.com"]}}'
+  },
+  { key: 'GOOGLE_JWKS_URL', type: 'string' },
+  { key: 'SHEETS_API_URL', type: 'string' },
+
+  // Server only
+  { key: 'PORT', type: 'number', default: 8080, browser: false },
+  { key: 'CACHE_TTL', type: 'number', default: 60, browser: false, help: 'seconds to cache the sheet' },
+  { key: 'DATA_FIXTURE', type: 'string', browser: false, help: 'a CSV or JSON file to serve instead of the sheet' },
+  { key: 'SHEET_RANGE', type: 'string', browser: false }
+];
+
+/**
+ * Defaults per profile (on top of the schema defaults)
+ */
+const PROFILE_DEFAULTS = {
+  development: {},
+  test: {
+    DATA_SOURCE: { type: 'api' },
+    DATA_FIXTURE: 'server/fixtures/people.csv',
+    TWEEN_DURATION: 300,
+    CACHE_TTL: 0
+  },
+  production: {
+    DATA_SOURCE: { type: 'api' },
+    CACHE_TTL: 300
+  }
+};
+
+class ConfigError extends Error {
+  constructor(profile, problems) {
+    super(`Configuration (profile "${profile}") has ${problems.length} problem${problems.length === 1 ? '' : 's'}:\n` +
+      problems.map(problem => `  - ${problem}`).join('\n'));
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Convert an environment string to the setting's type
+ * @throws {Error} describing what was expected
+ */
+function parseSetting(entry, text) {
+  const value = String(text).trim();
+  switch (entry.type) {
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || isNaN(number)) throw new Error(`must be a number, got "${value}"`);
+      return number;
+    }
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(value)) return true;
+      if (/^(false|0|no|off)$/i.test(value)) return false;
+      throw new Error(`must be true or false, got "${value}"`);
+    case 'list': {
+      const { parseMoney } = require('../js/money.js');
+      return value.split(',').map(part => {
+        try {
+          return parseMoney(part).amount;
+        } catch (error) {
+          throw new Error(`must be a comma-separated list of numbers, got "${part.trim()}"`);
+        }
+      });
+    }
+    case 'json':
+      // Data sources can be given by type alone
+      if (entry.key === 'DATA_SOURCE' && /^[\w-]+$/.test(value)) return { type: value };
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        throw new Error(`must be JSON (${error.message})`);
+      }
+    case 'enum':
+      // Tab can be written escaped in .env files
+      return text === '\t' || value === '\\t' ? '\t' : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Resolve the profile name (aliases allowed)
+ */
+function resolveProfile(name) {
+  const profile = PROFILE_ALIASES[name] || name || 'development';
+  if (!PROFILES.includes(profile)) {
+    throw new ConfigError(String(name), [`Unknown profile "${name}" (use one of: ${PROFILES.join(', ')})`]);
+  }
+  return profile;
+}
+
+/**
+ * Read .env-style files that exist, later files winning
+ */
+function readEnvFiles(files) {
+  const dotenv = require('dotenv');
+  return files.reduce((values, file) => (
+    fs.existsSync(file) ? { ...values, ...dotenv.parse(fs.readFileSync(file)) } : values
+  ), {});
+}
+
+/**
+ * Build and validate the configuration
+ *
+ * @param {Object} options
+ * @param {string} options.profile - development | test | production (default: env APP_ENV)
+ * @param {Object} options.env - environment variables (default: process.env)
+ * @param {Array} options.envFiles - .env files to read (default: .env and .env.<profile>)
+ * @returns {{ profile, values, browser }} all settings, and the ones pages may see
+ * @throws {ConfigError} listing every problem found
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const profile = resolveProfile(options.profile || env.APP_ENV);
+  const files = options.envFiles || [path.join(ROOT, '.env'), path.join(ROOT, `.env.${profile}`)];
+  const sources = { ...readEnvFiles(files), ...env };
+
+  const values = {};
+  const problems = [];
+  const hint = entry => (entry.help ? ` Set ${entry.key} to ${entry.help}.` : '');
+
+  CONFIG_SCHEMA.forEach(entry => {
+    const text = sources[entry.key];
+    if (text !== undefined && text !== '') {
+      try {
+        values[entry.key] = parseSetting(entry, text);
+      } catch (error) {
+        problems.push(`${entry.key} ${error.message}.${hint(entry)}`);
+      }
+    } else if (entry.key in PROFILE_DEFAULTS[profile]) {
+      values[entry.key] = PROFILE_DEFAULTS[profile][entry.key];
+    } else if (entry.default !== undefined) {
+      values[entry.key] = entry.default;
+    }
+  });
+
+  CONFIG_SCHEMA.forEach(entry => {
+    const value = values[entry.key];
+    const required = typeof entry.required === 'function'
+      ? entry.required(profile, values)
+      : entry.required === true || (Array.isArray(entry.required) && entry.required.includes(profile));
+
+    if (value === undefined) {
+      if (required && !problems.some(problem => problem.startsWith(`${entry.key} `))) {
+        problems.push(`${entry.key} is required for the ${profile} profile.${hint(entry)}`);
+      }
+      return;
+    }
+    if (entry.type === 'enum' && !entry.values.includes(value)) {
+      problems.push(`${entry.key} must be one of: ${entry.values.map(v => JSON.stringify(v)).join(', ')}; got ${JSON.stringify(value)}.`);
+      return;
+    }
+    const problem = entry.check && entry.check(value, values);
+    if (problem) {
+      problems.push(`${entry.key} ${problem}.${hint(entry)}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(profile, problems);
+  }
+
+  const browser = { PROFILE: profile };
+  CONFIG_SCHEMA.forEach(entry => {
+    const shared = typeof entry.browser === 'function' ? entry.browser(profile, values) : entry.browser !== false;
+    if (shared && values[entry.key] !== undefined) {
+      browser[entry.key] = values[entry.key];
+    }
+  });
+
+  return { profile, values, browser };
+}
+
+/**
+ * The config.js script pages load: defines CONFIG for classic scripts and modules
+ */
+function renderConfigScript(browserConfig) {
+  return `// Generated by server/config.js (profile: ${browserConfig.PROFILE}). Do not edit; change .env instead.
+const CONFIG = ${JSON.stringify(browserConfig, null, 2)};
+if (typeof window !== 'undefined') window.CONFIG = CONFIG;
+if (typeof module !== 'undefined' && module.exports) module.exports = CONFIG;
+`;
+}
+
+/**
+ * Read a command line option: --name value
+ */
+function argument(argv, name) {
+  const index = argv.indexOf(`--${name}`);
+  return index !== -1 ? argv[index + 1] : undefined;
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const envFile = argument(argv, 'env-file');
+  try {
+    const profile = resolveProfile(argument(argv, 'profile') || process.env.APP_ENV);
+    const config = loadConfig({
+      profile,
+      envFiles: envFile ? [path.resolve(envFile)] : undefined
+    });
+    fs.writeFileSync(path.join(ROOT, 'config.js'), renderConfigScript(config.browser), 'utf8');
+    console.log(`Wrote config.js (profile: ${config.profile})`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { loadConfig, renderConfigScript, isOffline, ConfigError, CONFIG_SCHEMA, PROFILE_DEFAULTS, PROFILES };
@@ -0,0 +1,134 @@
+/**
+ * Sheet Data Service
+ * Loads the sheet on the server, normalizes it through the sheet schema and
+ * caches the JSON response, so browsers never see the sheet ID or API key
+ *
+ * Roles that may not see exact net worth get their own response, with each
+ * amount replaced by its bucket. This is what keeps the figures from them: the
+ * page loads their data from here only (see DataManager.getSourceSpec).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { ColorScale } = require('../js/color-scale.js');
+const { parseCsv } = require('../js/csv.js');
+const { formatMoney } = require('../js/money.js');
+const { SheetSchema } = require('../js/schema.js');
+const { createDataSource, jsonToRows } = require('../js/sources.js');
+
+/**
+ * Row loader for a local CSV or JSON file (offline/fixture mode)
+ */
+function fixtureLoader(file) {
+  return {
+    describe: () => `Fixture ${path.basename(file)}`,
+    load: async () => {
+      const text = await fs.promises.readFile(file, 'utf8');
+      return /\.json$/i.test(file) ? jsonToRows(JSON.parse(text)) : parseCsv(text, { delimiter: 'auto' });
+    }
+  };
+}
+
+/**
+ * Row loader for the Google Sheet: Sheets API when there is an API key,
+ * else the public CSV export
+ */
+function sheetLoader({ sheetId, apiKey, range }) {
+  const source = createDataSource({ type: apiKey ? 'sheets-api' : 'gviz', sheetId, apiKey, range });
+
+  // describe() would include the sheet ID
+  return {
+    describe: () => 'Google Sheet (via server)',
+    load: () => source.load()
+  };
+}
+
+/**
+ * Item mapper that hides exact net worth: the amount becomes the middle of its
+ * bucket, and netWorthBucket the bucket's label
+ */
+function netWorthBuckets({ thresholds = [100000, 200000], locale = 'en-US', currency = 'USD' } = {}) {
+  const scale = new ColorScale({ type: 'threshold', field: 'netWorth', thresholds }, [],
+    value => formatMoney(value, { locale, currency, compact: true }));
+  return item => {
+    const { value, label } = scale.bucketStandIn(item.netWorth);
+    return { ...item, netWorth: value, netWorthBucket: label };
+  };
+}
+
+class SheetDataService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.loader - { describe(), async load() } returning rows
+   * @param {number} options.ttl - seconds a loaded sheet is served before reloading
+   * @param {Object} options.schema - SheetSchema (default schema when omitted)
+   * @param {Function} options.restrict - maps an item for roles that may not see
+   *   exact net worth (default: netWorthBuckets with the default thresholds)
+   */
+  constructor({ loader, ttl = 60, schema = new SheetSchema(), restrict = netWorthBuckets() }) {
+    this.loader = loader;
+    this.ttl = ttl;
+    this.schema = schema;
+    this.restrict = restrict;
+    this.cached = null;
+    this.pending = null;
+  }
+
+  /**
+   * Get the current response: { body, etag, fetchedAt, stale }
+   * `restricted` gets the one with net worth in buckets.
+   * Reloads when the cache is older than the TTL; concurrent callers share
+   * one reload. If a reload fails, the last good response is served as stale.
+   */
+  async get({ restricted = false } = {}) {
+    const view = restricted ? 'restricted' : 'full';
+    if (this.cached && Date.now() - this.cached.fetchedAt < this.ttl * 1000) {
+      return this.cached[view];
+    }
+
+    if (!this.pending) {
+      this.pending = this.load().finally(() => {
+        this.pending = null;
+      });
+    }
+
+    try {
+      this.cached = await this.pending;
+      return this.cached[view];
+    } catch (error) {
+      if (!this.cached) throw error;
+      console.warn('Reloading the sheet failed, serving cached data:', error.message);
+      return { ...this.cached[view], stale: true };
+    }
+  }
+
+  /**
+   * Load, map and validate the sheet, and build both JSON responses
+   */
+  async load() {
+    const rows = await this.loader.load();
+    const { items, report } = this.schema.mapRows(rows);
+    const fetchedAt = Date.now();
+
+    // The browser keeps its own copy of each row, so raw is left out
+    const records = items.map(({ raw, ...item }) => item);
+    const respond = list => {
+      const body = JSON.stringify({
+        source: this.loader.describe(),
+        fetchedAt: new Date(fetchedAt).toISOString(),
+        report,
+        items: list
+      });
+
+      // Same data, same ETag, even across reloads
+      const etag = `"${crypto.createHash('sha1').update(body.replace(/"fetchedAt":"[^"]*",/, '')).digest('hex')}"`;
+      return { body, etag, fetchedAt, stale: false };
+    };
+
+    return { fetchedAt, full: respond(records), restricted: respond(records.map(item => this.restrict(item))) };
+  }
+}
+
+module.exports = { SheetDataService, fixtureLoader, sheetLoader, netWorthBuckets };
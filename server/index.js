@@ -0,0 +1,254 @@
+/**
+ * App Server
+ * Serves the app's static files and the sheet data at /api/data
+ *
+ * /api/data needs the signed-in user's Google ID token (Authorization: Bearer),
+ * verified like the page verifies it, and a role from the access policy.
+ * Roles that may not see net worth get it in buckets. Fixture data outside
+ * production is served offline: no sign-in, no Google settings (open test.html).
+ *
+ * Usage:
+ *   node server/index.js                       sheet from GOOGLE_SHEET_ID / GOOGLE_API_KEY in .env
+ *   node server/index.js --fixture file.csv    local CSV or JSON file instead, offline
+ *   node server/index.js --profile production  settings profile (see server/config.js)
+ *
+ * Settings (PORT, CACHE_TTL, DATA_FIXTURE, SHEET_RANGE...) come from server/config.js,
+ * which also provides /config.js for the pages, without server-only values.
+ * The page's libraries (three.js, tween.js, Google Sign-In) still come from their CDNs.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const { SheetDataService, fixtureLoader, sheetLoader, netWorthBuckets } = require('./data-service.js');
+const { SheetSchema, DEFAULT_SCHEMA } = require('../js/schema.js');
+const { parseAmount } = require('../js/money.js');
+const { loadConfig, renderConfigScript, isOffline } = require('./config.js');
+const { AccessPolicy, roleCan } = require('../js/access.js');
+const { JwksKeySource, verifyIdToken } = require('../js/auth.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Only the app itself is served; .env files, the server and tests are not
+const PUBLIC_PATHS = [/^\/[\w-]+\.html$/, /^\/css\/[\w./-]+$/, /^\/js\/[\w./-]+$/];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml'
+};
+
+/**
+ * Send a plain text error
+ */
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+}
+
+/**
+ * Send a JSON error
+ */
+function sendJsonError(res, status, message, headers = {}) {
+  res.writeHead(status, { ...headers, 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify({ error: message }));
+}
+
+/**
+ * Check the request's ID token and the access policy
+ * Resolves to { status, role, reason }: 200 with the user's role, 401 without
+ * a valid token, 403 when the policy refuses the user.
+ */
+async function authorize(req, { clientId, keySource, policy }) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return { status: 401, role: null, reason: 'Sign in to load the data.' };
+  }
+
+  let claims;
+  try {
+    claims = await verifyIdToken(match[1], { keySource, clientId });
+  } catch (error) {
+    return { status: 401, role: null, reason: error.message };
+  }
+
+  const access = policy.check(claims);
+  return access.allowed
+    ? { status: 200, role: access.role, reason: '' }
+    : { status: 403, role: null, reason: access.reason };
+}
+
+/**
+ * GET /api/data: the normalized sheet for the user's role, revalidated with its ETag
+ * Without `auth` (offline) everyone gets the full sheet.
+ */
+async function serveData(req, res, dataService, auth) {
+  const { status, role, reason } = auth ? await authorize(req, auth) : { status: 200, role: 'admin', reason: '' };
+  if (status !== 200) {
+    sendJsonError(res, status, reason, status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {});
+    return;
+  }
+
+  try {
+    const { body, etag, stale } = await dataService.get({ restricted: !roleCan(role, 'viewNetWorth') });
+    // Each user's copy depends on their role, so shared caches must not keep it
+    const headers = { 'ETag': etag, 'Cache-Control': 'private, no-cache', 'Vary': 'Authorization' };
+    if (stale) headers['X-Data-Stale'] = '1';
+
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(body);
+  } catch (error) {
+    console.error('Loading the sheet failed:', error);
+    sendJsonError(res, 502, 'Could not load the sheet');
+  }
+}
+
+/**
+ * Serve a file from the app directory
+ */
+async function serveStatic(req, res, root, allowed = false) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    sendError(res, 400, 'Bad request');
+    return;
+  }
+  if (pathname === '/') pathname = '/index.html';
+
+  const file = path.join(root, pathname);
+  if (pathname.includes('..') || !file.startsWith(root) ||
+      !(allowed || PUBLIC_PATHS.some(pattern => pattern.test(pathname)))) {
+    sendError(res, 404, 'Not found');
+    return;
+  }
+
+  try {
+    const content = await fs.promises.readFile(file);
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  } catch (error) {
+    sendError(res, 404, 'Not found');
+  }
+}
+
+/**
+ * Create the HTTP server (not listening yet)
+ * `config` is the browser configuration served as /config.js; without it the
+ * config.js file is served as is.
+ * `auth` ({ clientId, keySource, policy }) checks /api/data requests; without
+ * a client ID and policy every request is refused. `auth: null` serves the data
+ * without sign-in (offline fixtures only, see isOffline).
+ */
+function createAppServer({ dataService, config = null, root = ROOT, auth = {} }) {
+  const configScript = config ? renderConfigScript(config) : null;
+  const dataAuth = auth && {
+    clientId: auth.clientId,
+    keySource: auth.keySource || new JwksKeySource(),
+    policy: new AccessPolicy(auth.policy)
+  };
+
+  return http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendError(res, 405, 'Method not allowed');
+      return;
+    }
+    if (req.url === '/api/data' || req.url.startsWith('/api/data?')) {
+      serveData(req, res, dataService, dataAuth);
+      return;
+    }
+    if (req.url === '/config.js' || req.url.startsWith('/config.js?')) {
+      if (configScript) {
+        res.writeHead(200, { 'Content-Type': MIME_TYPES['.js'], 'Cache-Control': 'no-cache' });
+        res.end(req.method === 'HEAD' ? undefined : configScript);
+      } else {
+        serveStatic(req, res, root, true);
+      }
+      return;
+    }
+    serveStatic(req, res, root);
+  });
+}
+
+/**
+ * Build the data service from the settings (see server/config.js)
+ */
+function createDataService(settings) {
+  const fixture = settings.DATA_FIXTURE;
+  // Columns and amounts read as the page reads them (see DataManager.getMoneyOptions)
+  const money = { locale: settings.MONEY_LOCALE, currency: settings.CURRENCY, rates: settings.EXCHANGE_RATES || null };
+  const options = {
+    ttl: settings.CACHE_TTL,
+    schema: new SheetSchema(settings.SHEET_SCHEMA || DEFAULT_SCHEMA, { money: value => parseAmount(value, money) }),
+    // Buckets as the page shows them (see DataManager.getNetWorthScale)
+    restrict: netWorthBuckets({ thresholds: settings.COLOR_THRESHOLDS, locale: money.locale, currency: money.currency })
+  };
+
+  if (fixture) {
+    return new SheetDataService({ ...options, loader: fixtureLoader(path.resolve(ROOT, fixture)) });
+  }
+  if (!settings.GOOGLE_SHEET_ID) {
+    throw new Error('Set GOOGLE_SHEET_ID in .env, or run with --fixture <file> to serve local data');
+  }
+  return new SheetDataService({
+    ...options,
+    loader: sheetLoader({ sheetId: settings.GOOGLE_SHEET_ID, apiKey: settings.GOOGLE_API_KEY, range: settings.SHEET_RANGE })
+  });
+}
+
+/**
+ * Sign-in checks for /api/data from the settings: the same client ID, signing
+ * keys and access policy the pages use
+ */
+function createAuth(settings) {
+  return {
+    clientId: settings.GOOGLE_CLIENT_ID,
+    keySource: new JwksKeySource(settings.GOOGLE_JWKS_URL ? { url: settings.GOOGLE_JWKS_URL } : {}),
+    policy: settings.ACCESS_POLICY
+  };
+}
+
+/**
+ * Create the app server for loaded settings (see loadConfig)
+ * Offline (fixture data outside production) the data is served without sign-in.
+ */
+function createServerFromConfig(config) {
+  return createAppServer({
+    dataService: createDataService(config.values),
+    auth: isOffline(config.profile, config.values) ? null : createAuth(config.values),
+    config: config.browser
+  });
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const option = name => (argv.includes(`--${name}`) ? argv[argv.indexOf(`--${name}`) + 1] : undefined);
+
+  try {
+    const fixture = option('fixture');
+    // Fixture mode always reads data from this server
+    const config = loadConfig({
+      profile: option('profile'),
+      env: fixture ? { ...process.env, DATA_SOURCE: 'api', DATA_FIXTURE: fixture } : process.env
+    });
+    const offline = isOffline(config.profile, config.values);
+    createServerFromConfig(config).listen(config.values.PORT, () => {
+      console.log(`Serving the app at http://localhost:${config.values.PORT}/${offline ? 'test.html' : ''} ` +
+        `(profile: ${config.profile}, data at /api/data${offline ? ' without sign-in' : ''})`);
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { createAppServer, createServerFromConfig, createDataService, createAuth };
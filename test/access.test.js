@@ -0,0 +1,58 @@
+/**
+ * Access policy tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AccessPolicy, roleCan } = require('../js/access.js');
+
+const policy = new AccessPolicy({
+  allowedDomains: ['example.com'],
+  allow: ['partner@gmail.com', '@contractors.example.org'],
+  deny: ['former@example.com'],
+  roles: { admin: ['owner@example.com', '@finance.example.net'] },
+  defaultRole: 'viewer'
+});
+
+const user = (email, extra = {}) => ({ email, email_verified: true, ...extra });
+
+test('allowed domain gets the default role', () => {
+  assert.deepEqual(policy.check(user('ana@example.com')), { allowed: true, role: 'viewer', reason: '' });
+});
+
+test('allow list entries match addresses and @domains, case-insensitively', () => {
+  assert.equal(policy.check(user('Partner@Gmail.com')).allowed, true);
+  assert.equal(policy.check(user('sam@contractors.example.org')).allowed, true);
+});
+
+test('role lists grant access and the role', () => {
+  assert.equal(policy.check(user('owner@example.com')).role, 'admin');
+  assert.equal(policy.check(user('cfo@finance.example.net')).role, 'admin');
+});
+
+test('deny list wins over everything', () => {
+  const result = policy.check(user('former@example.com'));
+  assert.equal(result.allowed, false);
+  assert.match(result.reason, /not allowed/);
+});
+
+test('refuses other addresses, unverified addresses and missing emails', () => {
+  assert.equal(policy.check(user('someone@gmail.com')).allowed, false);
+  assert.equal(policy.check(user('ana@sub.example.com')).allowed, false);
+  assert.match(policy.check(user('ana@example.com', { email_verified: false })).reason, /not a verified/);
+  assert.match(policy.check({ email: 'owner@example.com' }).reason, /not a verified/);
+  assert.equal(policy.check(user('owner@example.com', { email_verified: 'true' })).allowed, false);
+  assert.equal(policy.check({}).allowed, false);
+});
+
+test('nobody is allowed without a policy', () => {
+  assert.equal(new AccessPolicy(undefined).check(user('owner@example.com')).allowed, false);
+});
+
+test('role permissions', () => {
+  assert.equal(roleCan('admin', 'viewNetWorth'), true);
+  assert.equal(roleCan('admin', 'editDataSource'), true);
+  assert.equal(roleCan('viewer', 'viewNetWorth'), false);
+  assert.equal(roleCan(null, 'editDataSource'), false);
+});
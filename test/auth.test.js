@@ -0,0 +1,110 @@
+/**
+ * ID token verification tests
+ * Tokens are signed with a local key pair and checked against a local JWKS.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { verifyIdToken, StaticKeySource, decodeJwt } = require('../js/auth.js');
+
+const CLIENT_ID = 'test-client.apps.googleusercontent.com';
+const NOW = 1700000000;
+
+const base64Url = bytes => Buffer.from(bytes).toString('base64url');
+
+async function createKeyPair(kid) {
+  const { publicKey, privateKey } = await crypto.subtle.generateKey(
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true,
+    ['sign', 'verify']
+  );
+  const jwk = await crypto.subtle.exportKey('jwk', publicKey);
+  return { privateKey, jwk: { ...jwk, kid, use: 'sig' } };
+}
+
+async function sign(privateKey, claims, header = {}) {
+  const encodedHeader = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: 'key-1', ...header }));
+  const encodedPayload = base64Url(JSON.stringify(claims));
+  const signature = await crypto.subtle.sign(
+    'RSASSA-PKCS1-v1_5',
+    privateKey,
+    new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`)
+  );
+  return `${encodedHeader}.${encodedPayload}.${base64Url(new Uint8Array(signature))}`;
+}
+
+const claims = (overrides = {}) => ({
+  iss: 'https://accounts.google.com',
+  aud: CLIENT_ID,
+  sub: '1234567890',
+  email: 'ana@example.com',
+  name: 'Ana Lima',
+  iat: NOW - 60,
+  exp: NOW + 3600,
+  ...overrides
+});
+
+test('ID token verification', async t => {
+  const key = await createKeyPair('key-1');
+  const other = await createKeyPair('key-2');
+  const keySource = new StaticKeySource({ keys: [key.jwk] });
+  const verify = (token, options = {}) => verifyIdToken(token, { keySource, clientId: CLIENT_ID, now: NOW, ...options });
+
+  await t.test('accepts a valid token and returns its claims', async () => {
+    const payload = await verify(await sign(key.privateKey, claims()));
+    assert.equal(payload.email, 'ana@example.com');
+  });
+
+  await t.test('accepts the issuer without a scheme', async () => {
+    await verify(await sign(key.privateKey, claims({ iss: 'accounts.google.com' })));
+  });
+
+  await t.test('rejects a token signed by another key', async () => {
+    const token = await sign(other.privateKey, claims());
+    await assert.rejects(verify(token), /signature is invalid/);
+  });
+
+  await t.test('rejects a token with edited claims', async () => {
+    const [header, , signature] = (await sign(key.privateKey, claims())).split('.');
+    const forged = `${header}.${base64Url(JSON.stringify(claims({ email: 'admin@example.com' })))}.${signature}`;
+    await assert.rejects(verify(forged), /signature is invalid/);
+  });
+
+  await t.test('rejects an unknown key id', async () => {
+    const token = await sign(other.privateKey, claims(), { kid: 'key-2' });
+    await assert.rejects(verify(token), /unknown key/);
+  });
+
+  await t.test('rejects other algorithms', async () => {
+    const token = await sign(key.privateKey, claims(), { alg: 'none' });
+    await assert.rejects(verify(token), /Unsupported token algorithm/);
+  });
+
+  await t.test('rejects another audience', async () => {
+    const token = await sign(key.privateKey, claims({ aud: 'someone-else' }));
+    await assert.rejects(verify(token), /another application/);
+  });
+
+  await t.test('rejects an untrusted issuer', async () => {
+    const token = await sign(key.privateKey, claims({ iss: 'https://evil.example.com' }));
+    await assert.rejects(verify(token), /issuer is not trusted/);
+  });
+
+  await t.test('rejects an expired token, allowing for clock skew', async () => {
+    const token = await sign(key.privateKey, claims({ exp: NOW - 30 }));
+    await verify(token);
+    await assert.rejects(verify(token, { now: NOW + 120 }), /expired/);
+  });
+
+  await t.test('requires a configured client ID', async () => {
+    const token = await sign(key.privateKey, claims());
+    await assert.rejects(verify(token, { clientId: '' }), /client ID not configured/);
+  });
+});
+
+test('rejects malformed tokens', async () => {
+  assert.throws(() => decodeJwt('not-a-jwt'), /Malformed token/);
+  assert.throws(() => decodeJwt('a.b.c'), /Malformed token/);
+  await assert.rejects(verifyIdToken('', { keySource: new StaticKeySource(), clientId: CLIENT_ID }), /Malformed/);
+});
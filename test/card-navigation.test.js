@@ -0,0 +1,55 @@
+/**
+ * Card navigation tests: which card an arrow key or number key goes to
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { NAVIGATION_KEYS, findNeighbor, findNearest, layoutForKey } = require('../js/card-navigation.js');
+
+// A 3x3 grid, 100px apart, in reading order
+const GRID = [0, 1, 2].flatMap(row => [0, 1, 2].map(column => ({ x: column * 100, y: row * 100 })));
+
+test('arrow keys move to the adjacent card in a grid', () => {
+  const center = 4;
+  assert.equal(findNeighbor(GRID, center, NAVIGATION_KEYS.ArrowLeft), 3);
+  assert.equal(findNeighbor(GRID, center, NAVIGATION_KEYS.ArrowRight), 5);
+  assert.equal(findNeighbor(GRID, center, NAVIGATION_KEYS.ArrowUp), 1);
+  assert.equal(findNeighbor(GRID, center, NAVIGATION_KEYS.ArrowDown), 7);
+});
+
+test('there is no neighbour past the edge', () => {
+  assert.equal(findNeighbor(GRID, 2, NAVIGATION_KEYS.ArrowRight), -1);
+  assert.equal(findNeighbor(GRID, 0, NAVIGATION_KEYS.ArrowUp), -1);
+});
+
+test('cards roughly in the direction beat nearer ones off to the side', () => {
+  const points = [{ x: 0, y: 0 }, { x: 40, y: 60 }, { x: 150, y: 20 }];
+  assert.equal(findNeighbor(points, 0, NAVIGATION_KEYS.ArrowRight), 2);
+});
+
+test('outside the cone, the closest card ahead is used', () => {
+  // Staggered rows: nothing lies within 45 degrees to the right
+  const points = [{ x: 0, y: 0 }, { x: 50, y: 200 }, { x: 80, y: -300 }];
+  assert.equal(findNeighbor(points, 0, NAVIGATION_KEYS.ArrowRight), 1);
+});
+
+test('cards behind the camera are skipped', () => {
+  const points = [{ x: 0, y: 0 }, null, { x: 200, y: 0 }];
+  assert.equal(findNeighbor(points, 0, NAVIGATION_KEYS.ArrowRight), 2);
+  assert.equal(findNeighbor(points, 1, NAVIGATION_KEYS.ArrowRight), -1);
+});
+
+test('findNearest starts from the card closest to a point', () => {
+  assert.equal(findNearest(GRID, 110, 90), 4);
+  assert.equal(findNearest([null, null], 0, 0), -1);
+});
+
+test('number keys pick layouts in registry order', () => {
+  const layouts = [{ name: 'table' }, { name: 'sphere' }, { name: 'helix' }];
+  assert.equal(layoutForKey('1', layouts), 'table');
+  assert.equal(layoutForKey('3', layouts), 'helix');
+  assert.equal(layoutForKey('4', layouts), null);
+  assert.equal(layoutForKey('0', layouts), null);
+  assert.equal(layoutForKey('a', layouts), null);
+});
@@ -0,0 +1,67 @@
+/**
+ * Choreography tests: planning when and how each card moves between layouts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { planTransition, isEasingName, interruptedEasing } = require('../js/choreography.js');
+
+// Cards on a line along x, all starting at the origin
+const TARGETS = [-200, -100, 0, 100, 200].map(x => ({ x, y: 0, z: 0 }));
+const ORIGIN = TARGETS.map(() => ({ x: 0, y: 0, z: 0 }));
+
+// Repeatable "random" numbers
+const half = () => 0.5;
+
+test('random starts every card at once, taking 1x-2x the duration', () => {
+  const plan = planTransition('random', ORIGIN, TARGETS, 1000, half);
+  assert.ok(plan.steps.every(step => step.delay === 0 && step.duration === 1500));
+  assert.equal(plan.total, 1500);
+});
+
+test('unknown choreographies plan as random', () => {
+  assert.deepEqual(planTransition('swirl', ORIGIN, TARGETS, 1000, half), planTransition('random', ORIGIN, TARGETS, 1000, half));
+});
+
+test('stagger sets cards off in order, the last as the first arrives', () => {
+  const plan = planTransition('stagger', ORIGIN, TARGETS, 1000);
+  assert.deepEqual(plan.steps.map(step => step.delay), [0, 250, 500, 750, 1000]);
+  assert.equal(plan.total, 2000);
+  assert.equal(planTransition('stagger', ORIGIN.slice(0, 1), TARGETS.slice(0, 1), 1000).total, 1000);
+});
+
+test('wave sets cards off by their distance from the layout center', () => {
+  const plan = planTransition('wave', ORIGIN, TARGETS, 1000);
+  assert.deepEqual(plan.steps.map(step => step.delay), [1000, 500, 0, 500, 1000]);
+  assert.equal(plan.total, 2000);
+});
+
+test('explode sends cards out from their center before they assemble', () => {
+  const from = [{ x: -100, y: 0, z: 0 }, { x: 100, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }];
+  const plan = planTransition('explode', from, TARGETS.slice(0, 3), 1000, half);
+
+  const [left, right, middle] = plan.steps;
+  assert.ok(left.via.x < -1000 && left.via.y === 0);
+  assert.ok(right.via.x > 1000 && right.via.y === 0);
+  assert.equal(left.viaDuration, 400);
+  assert.equal(left.duration, 900);
+  assert.equal(plan.total, 1300);
+
+  // The card at the center still flies out, in some direction
+  const reach = Math.hypot(middle.via.x, middle.via.y, middle.via.z);
+  assert.ok(Math.abs(reach - Math.hypot(left.via.x, left.via.y, left.via.z)) < 1e-6);
+});
+
+test('an empty transition takes no time', () => {
+  assert.deepEqual(planTransition('wave', [], [], 1000), { total: 0, steps: [] });
+});
+
+test('easing names follow tween.js', () => {
+  assert.ok(isEasingName('Exponential.InOut'));
+  assert.ok(isEasingName('Linear.None'));
+  assert.ok(!isEasingName('Linear.InOut'));
+  assert.ok(!isEasingName('Exponential'));
+  assert.equal(interruptedEasing('Cubic.InOut'), 'Cubic.Out');
+  assert.equal(interruptedEasing('Linear.None'), 'Linear.None');
+});
@@ -0,0 +1,77 @@
+/**
+ * Color scale tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ColorScale, mixColors, colorAt } = require('../js/color-scale.js');
+
+const people = [
+  { name: 'A', age: 22, country: 'Malaysia', netWorth: 50000 },
+  { name: 'B', age: 35, country: 'Japan', netWorth: 100000 },
+  { name: 'C', age: 41, country: 'Malaysia', netWorth: 150000 },
+  { name: 'D', age: 58, country: 'Malaysia', netWorth: 200000 },
+  { name: 'E', age: 63, country: '', netWorth: 900000 }
+];
+
+test('threshold scale keeps the original net worth buckets', () => {
+  const scale = new ColorScale({ type: 'threshold', field: 'netWorth', thresholds: [100000, 200000] });
+  assert.deepEqual(people.map(item => scale.classify(item).className),
+    ['low-worth', 'medium-worth', 'medium-worth', 'medium-worth', 'high-worth']);
+});
+
+test('threshold legend labels come from the thresholds', () => {
+  const scale = new ColorScale({ type: 'threshold', field: 'netWorth', thresholds: [100000, 200000] }, people,
+    value => `$${value / 1000}K`);
+  const legend = scale.legend();
+  assert.equal(legend.type, 'swatches');
+  assert.deepEqual(legend.entries.map(entry => entry.label), ['< $100K', '$100K – $200K', '> $200K']);
+  assert.deepEqual(people.filter(legend.entries[2].match).map(item => item.name), ['E']);
+});
+
+test('bucket stand-ins sit in the middle of their bucket, or half a bucket outside', () => {
+  const scale = new ColorScale({ type: 'threshold', field: 'netWorth', thresholds: [100000, 200000] }, [],
+    value => `$${value / 1000}K`);
+  assert.deepEqual([50, 120000, 200000, 1200000].map(value => scale.bucketStandIn(value)), [
+    { value: 50000, label: '< $100K' },
+    { value: 150000, label: '$100K – $200K' },
+    { value: 150000, label: '$100K – $200K' },
+    { value: 250000, label: '> $200K' }
+  ]);
+  assert.deepEqual(new ColorScale({ type: 'threshold', thresholds: [100000] }).bucketStandIn(900000).value, 150000);
+});
+
+test('other bucket counts use ramp colors', () => {
+  const scale = new ColorScale({ type: 'threshold', field: 'age', thresholds: [30, 40, 50, 60] });
+  const colors = people.map(item => scale.classify(item).color);
+  assert.equal(new Set(colors).size, 5);
+  assert.ok(colors.every(color => /^#[0-9a-f]{6}$/.test(color)));
+});
+
+test('quantile scale splits the data into equal-count buckets', () => {
+  const scale = new ColorScale({ type: 'quantile', field: 'age', buckets: 3 }, people);
+  const buckets = people.map(item => scale.bucketOf(item.age));
+  assert.deepEqual(buckets, [0, 1, 1, 2, 2]);
+});
+
+test('continuous scale interpolates between the data extremes', () => {
+  const scale = new ColorScale({ type: 'continuous', field: 'age', colors: ['#000000', '#ffffff'] }, people);
+  assert.equal(scale.classify(people[0]).color, '#000000');
+  assert.equal(scale.classify(people[4]).color, '#ffffff');
+  const legend = scale.legend();
+  assert.equal(legend.type, 'gradient');
+  assert.equal(legend.entries.length, 4);
+  assert.equal(people.filter(item => legend.entries.some(entry => entry.match(item))).length, people.length);
+});
+
+test('categorical scale gives the most common value the first color', () => {
+  const scale = new ColorScale({ type: 'categorical', field: 'country', palette: ['#111111', '#222222', '#333333'] }, people);
+  assert.equal(scale.classify(people[0]).color, '#111111');
+  assert.deepEqual(scale.legend().entries.map(entry => entry.label), ['Malaysia', 'Japan', 'Unknown']);
+});
+
+test('color helpers', () => {
+  assert.equal(mixColors('#000000', '#ffffff', 0.5), '#808080');
+  assert.equal(colorAt(['#000000', '#ff0000', '#ffffff'], 0.5), '#ff0000');
+});
@@ -0,0 +1,159 @@
+/**
+ * Configuration tests: defaults, profiles, validation and the browser subset
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+
+const { loadConfig, renderConfigScript, ConfigError } = require('../server/config.js');
+
+const { AccessPolicy } = require('../js/access.js');
+
+const CLIENT_ID = '1234-abc.apps.googleusercontent.com';
+const POLICY = '{"allowedDomains":["example.com"],"roles":{"admin":["owner@example.com"]}}';
+
+/**
+ * Load without reading any .env files
+ */
+function load(profile, env) {
+  return loadConfig({ profile, env, envFiles: [] });
+}
+
+test('applies schema defaults in development', () => {
+  const { profile, values } = load('development', { GOOGLE_CLIENT_ID: CLIENT_ID, ACCESS_POLICY: POLICY, GOOGLE_SHEET_ID: 'sheet' });
+  assert.equal(profile, 'development');
+  assert.equal(values.DEFAULT_LAYOUT, 'table');
+  assert.equal(values.TWEEN_DURATION, 2000);
+  assert.deepEqual(values.COLOR_THRESHOLDS, [100000, 200000]);
+  assert.equal(values.PORT, 8080);
+  assert.equal(values.DATA_SOURCE, undefined);
+});
+
+test('profile defaults sit between schema defaults and the environment', () => {
+  const { values } = load('test', {});
+  assert.deepEqual(values.DATA_SOURCE, { type: 'api' });
+  assert.equal(values.TWEEN_DURATION, 300);
+  assert.equal(values.CACHE_TTL, 0);
+
+  const overridden = load('test', { TWEEN_DURATION: '50' });
+  assert.equal(overridden.values.TWEEN_DURATION, 50);
+});
+
+test('accepts profile aliases and rejects unknown profiles', () => {
+  const env = { GOOGLE_CLIENT_ID: CLIENT_ID, ACCESS_POLICY: POLICY, ACCESS_POLICY: '{"allowedDomains":["example.com"]}' };
+  assert.equal(load('prod', env).profile, 'production');
+  assert.equal(loadConfig({ env: { ...env, APP_ENV: 'prod' }, envFiles: [] }).profile, 'production');
+  assert.throws(() => load('staging', {}), /Unknown profile "staging"/);
+});
+
+test('parses typed values', () => {
+  const { values } = load('test', {
+    COLOR_THRESHOLDS: '50K, 1.5M',
+    DATA_SOURCE: 'sheets-api',
+    GOOGLE_SHEET_ID: 'sheet',
+    EXCHANGE_RATES: '{"EUR":1.08}',
+    CSV_DELIMITER: '\\t',
+    DEMO_MODE: 'yes'
+  });
+  assert.deepEqual(values.COLOR_THRESHOLDS, [50000, 1500000]);
+  assert.deepEqual(values.DATA_SOURCE, { type: 'sheets-api' });
+  assert.deepEqual(values.EXCHANGE_RATES, { EUR: 1.08 });
+  assert.equal(values.CSV_DELIMITER, '\t');
+  assert.equal(values.DEMO_MODE, true);
+  assert.throws(() => load('test', { DEMO_MODE: 'maybe' }), /DEMO_MODE must be true or false/);
+});
+
+test('reports every problem with how to fix it', () => {
+  let error;
+  try {
+    load('production', {
+      TWEEN_DURATION: 'slow',
+      DEFAULT_LAYOUT: 'spiral',
+      LAYOUT_EASING: 'Wobbly.InOut',
+      COLOR_THRESHOLDS: '200000,100000',
+      EXCHANGE_RATES: '{EUR:1}'
+    });
+  } catch (e) {
+    error = e;
+  }
+
+  assert.ok(error instanceof ConfigError);
+  const problem = key => error.problems.find(p => p.startsWith(`${key} `));
+  assert.match(problem('GOOGLE_CLIENT_ID'), /required for the production profile.*googleusercontent/);
+  assert.match(problem('ACCESS_POLICY'), /required for the production profile/);
+  assert.match(problem('TWEEN_DURATION'), /must be a number, got "slow"/);
+  assert.match(problem('DEFAULT_LAYOUT'), /must be one of: .*"table".*got "spiral"/);
+  assert.match(problem('LAYOUT_EASING'), /not a tween\.js easing/);
+  assert.match(problem('COLOR_THRESHOLDS'), /ascending/);
+  assert.match(problem('EXCHANGE_RATES'), /must be JSON/);
+  assert.match(error.message, /profile "production"\) has 7 problems/);
+});
+
+test('requires a sheet ID only for sheet data sources', () => {
+  assert.throws(() => load('development', { GOOGLE_CLIENT_ID: CLIENT_ID }), /GOOGLE_SHEET_ID is required/);
+  assert.doesNotThrow(() => load('development', { GOOGLE_CLIENT_ID: CLIENT_ID, ACCESS_POLICY: POLICY, DATA_SOURCE: 'api' }));
+  assert.doesNotThrow(() => load('development', { GOOGLE_CLIENT_ID: CLIENT_ID, ACCESS_POLICY: POLICY, DEMO_MODE: 'true' }));
+  assert.doesNotThrow(() => load('development', {
+    GOOGLE_CLIENT_ID: CLIENT_ID,
+    ACCESS_POLICY: POLICY,
+    DATA_SOURCE: '{"type":"gviz","sheetId":"abc"}'
+  }));
+  assert.throws(() => load('development', { GOOGLE_CLIENT_ID: CLIENT_ID, ACCESS_POLICY: POLICY, DATA_SOURCE: 'json-url' }),
+    /DATA_SOURCE type json-url needs a url/);
+});
+
+test('keeps server-only values out of the browser config', () => {
+  const { values, browser } = load('development', {
+    GOOGLE_CLIENT_ID: CLIENT_ID,
+    ACCESS_POLICY: POLICY,
+    GOOGLE_SHEET_ID: 'sheet',
+    GOOGLE_API_KEY: 'secret-key',
+    PORT: '9000'
+  });
+  assert.equal(values.GOOGLE_API_KEY, 'secret-key');
+  assert.equal(values.PORT, 9000);
+  assert.equal(browser.GOOGLE_API_KEY, undefined);
+  assert.equal(browser.PORT, undefined);
+  assert.equal(browser.PROFILE, 'development');
+  assert.equal(browser.GOOGLE_CLIENT_ID, CLIENT_ID);
+  assert.equal(browser.GOOGLE_SHEET_ID, 'sheet');
+});
+
+test('pages reading from the app server do not get the sheet ID', () => {
+  const { values, browser } = load('development', {
+    GOOGLE_CLIENT_ID: CLIENT_ID,
+    ACCESS_POLICY: POLICY,
+    GOOGLE_SHEET_ID: 'sheet',
+    DATA_SOURCE: 'api'
+  });
+  assert.equal(values.GOOGLE_SHEET_ID, 'sheet');
+  assert.equal(browser.GOOGLE_SHEET_ID, undefined);
+  assert.deepEqual(browser.DATA_SOURCE, { type: 'api' });
+});
+
+test('every profile that signs users in needs an access policy', () => {
+  assert.throws(() => load('development', { GOOGLE_CLIENT_ID: CLIENT_ID, GOOGLE_SHEET_ID: 'sheet' }),
+    /ACCESS_POLICY is required for the development profile/);
+  assert.throws(() => load('development', { GOOGLE_CLIENT_ID: CLIENT_ID, GOOGLE_SHEET_ID: 'sheet', ACCESS_POLICY: '["x"]' }),
+    /ACCESS_POLICY must be a JSON object/);
+  assert.equal(load('test', {}).values.ACCESS_POLICY, undefined);
+});
+
+test('the generated development config lets configured users in', () => {
+  const { browser } = load('development', { GOOGLE_CLIENT_ID: CLIENT_ID, GOOGLE_SHEET_ID: 'sheet', ACCESS_POLICY: POLICY });
+  const sandbox = { window: {} };
+  vm.runInNewContext(renderConfigScript(browser), sandbox);
+  const policy = new AccessPolicy(sandbox.window.CONFIG.ACCESS_POLICY);
+
+  assert.deepEqual(policy.check({ email: 'owner@example.com', email_verified: true }), { allowed: true, role: 'admin', reason: '' });
+  assert.equal(policy.check({ email: 'ana@example.com', email_verified: true }).role, 'viewer');
+  assert.equal(policy.check({ email: 'ana@elsewhere.com', email_verified: true }).allowed, false);
+});
+
+test('renders a script that defines CONFIG', () => {
+  const { browser } = load('test', {});
+  const sandbox = { window: {} };
+  vm.runInNewContext(renderConfigScript(browser), sandbox);
+  assert.deepEqual(JSON.parse(JSON.stringify(sandbox.window.CONFIG)), browser);
+});
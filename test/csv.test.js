@@ -0,0 +1,107 @@
+/**
+ * CSV parser tests
+ * Each fixture in fixtures/csv has a matching .json file with the expected rows
+ * (and the delimiter to use, when it isn't a comma).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const { CsvParser, parseCsv, parseCsvStream, stringifyCsv, detectDelimiter } = require('../js/csv.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'csv');
+
+const fixtures = fs.readdirSync(FIXTURES)
+  .filter(file => /\.(csv|tsv)$/.test(file))
+  .map(file => ({ file, expectedFile: file.replace(/\.(csv|tsv)$/, '.json') }))
+  .filter(({ expectedFile }) => fs.existsSync(path.join(FIXTURES, expectedFile)));
+
+test('every fixture has expected output', () => {
+  assert.ok(fixtures.length >= 9);
+});
+
+for (const { file, expectedFile } of fixtures) {
+  const text = fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+  const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, expectedFile), 'utf8'));
+  const options = { delimiter: expected.delimiter || ',' };
+
+  test(`${file}: parses whole text`, () => {
+    assert.deepEqual(parseCsv(text, options), expected.rows);
+  });
+
+  test(`${file}: parses one character at a time`, () => {
+    const parser = new CsvParser(options);
+    for (const char of text) {
+      parser.push(char);
+    }
+    assert.deepEqual(parser.end(), expected.rows);
+  });
+
+  test(`${file}: parses a byte stream`, async () => {
+    // Small chunks split multi-byte characters and CRLF pairs
+    const bytes = fs.readFileSync(path.join(FIXTURES, file));
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 3) {
+      chunks.push(bytes.subarray(i, i + 3));
+    }
+    const rows = await parseCsvStream(Readable.toWeb(Readable.from(chunks)), options);
+    assert.deepEqual(rows, expected.rows);
+  });
+
+  test(`${file}: detects its delimiter`, () => {
+    assert.deepEqual(parseCsv(text, { delimiter: 'auto' }), expected.rows);
+  });
+
+  test(`${file}: detects its delimiter from a byte stream`, async () => {
+    const bytes = fs.readFileSync(path.join(FIXTURES, file));
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 3) {
+      chunks.push(bytes.subarray(i, i + 3));
+    }
+    const rows = await parseCsvStream(Readable.toWeb(Readable.from(chunks)), { delimiter: 'auto' });
+    assert.deepEqual(rows, expected.rows);
+  });
+}
+
+test('throws on an unterminated quoted field', () => {
+  const text = fs.readFileSync(path.join(FIXTURES, 'unterminated.csv'), 'utf8');
+  assert.throws(() => parseCsv(text), /Unterminated quoted field/);
+});
+
+test('trim option only trims unquoted fields', () => {
+  assert.deepEqual(parseCsv(' a , " b " ', { trim: true }), [['a', ' b ']]);
+});
+
+test('onRow receives rows instead of collecting them', () => {
+  const seen = [];
+  const rows = new CsvParser({ onRow: row => seen.push(row) }).push('a,b\n1,2').end();
+  assert.deepEqual(rows, []);
+  assert.deepEqual(seen, [['a', 'b'], ['1', '2']]);
+});
+
+test('auto delimiter waits for the whole header row, quoted line breaks included', () => {
+  const parser = new CsvParser({ delimiter: 'auto' });
+  assert.deepEqual(parser.push('\uFEFF').push('Na').push('me;Age\nA;1\n').end(), [['Name', 'Age'], ['A', '1']]);
+  assert.deepEqual(new CsvParser({ delimiter: 'auto' }).push('a\tb').end(), [['a', 'b']]);
+  assert.deepEqual(new CsvParser({ delimiter: 'auto' }).push('"a,\n').push('b";c\n1;2').end(), [['a,\nb', 'c'], ['1', '2']]);
+});
+
+test('empty input has no rows', () => {
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('detectDelimiter ignores delimiters inside quotes', () => {
+  assert.equal(detectDelimiter('"a;b;c",d,e\n'), ',');
+  assert.equal(detectDelimiter('a;b;c\n'), ';');
+  assert.equal(detectDelimiter('a\tb\n'), '\t');
+  assert.equal(detectDelimiter('"a,\nb,c";d;e\n1,2'), ';');
+});
+
+test('stringifyCsv round-trips through the parser', () => {
+  const rows = [['Name', 'Bio'], ['Alex "AJ" Smith', 'Line 1\nLine 2'], ['Comma, Inc', ' padded ']];
+  assert.deepEqual(parseCsv(stringifyCsv(rows)), rows);
+  assert.deepEqual(parseCsv(stringifyCsv(rows, { delimiter: ';' }), { delimiter: ';' }), rows);
+});
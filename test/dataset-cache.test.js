@@ -0,0 +1,173 @@
+/**
+ * Offline dataset cache tests: saving the last good load and falling back to it
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DatasetCache, MemoryStore } = require('../js/dataset-cache.js');
+const DataManager = require('../js/data.js');
+
+const ROWS = [['Name', 'Net Worth'], ['Ana Lima', '$120K'], ['Bo Chen', '$80K']];
+
+/**
+ * Source adapter whose result can be switched between rows and failing
+ * (viewers may only load `api` sources)
+ */
+function switchableSource(rows, type = 'test') {
+  const source = {
+    type,
+    rows,
+    fail: null,
+    describe: () => 'Test sheet',
+    load: async () => {
+      if (source.fail) throw source.fail;
+      return source.rows;
+    }
+  };
+  return source;
+}
+
+/**
+ * DataManager reading from `source`, with its cache in memory
+ */
+function createManager(source, store = new MemoryStore(), role = 'admin') {
+  const manager = new DataManager();
+  manager.setRole(role);
+  manager.cache = new DatasetCache(store);
+  manager.getConfiguredSource = () => source;
+  return manager;
+}
+
+/**
+ * Let background cache writes finish
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('DatasetCache keeps the last saved dataset', async () => {
+  const cache = new DatasetCache(new MemoryStore());
+  assert.equal(await cache.load(), null);
+
+  await cache.save({ rows: ROWS, source: 'Test sheet', savedAt: 1000 });
+  await cache.save({ rows: ROWS.slice(0, 2), source: 'Other sheet', savedAt: 2000 });
+  const record = await cache.load();
+  assert.equal(record.source, 'Other sheet');
+  assert.equal(record.savedAt, 2000);
+  assert.deepEqual(record.rows, ROWS.slice(0, 2));
+
+  await cache.clear();
+  assert.equal(await cache.load(), null);
+});
+
+test('DatasetCache.sourceFor replays a record as a data source', async () => {
+  const report = { issues: [], rowCount: 2, validCount: 2 };
+  const source = DatasetCache.sourceFor({ rows: ROWS, report, source: 'Test sheet', savedAt: 1000 });
+  assert.equal(source.type, 'cache');
+  assert.equal(source.report, report);
+  assert.match(source.describe(), /Test sheet/);
+  assert.deepEqual(await source.load(), ROWS);
+});
+
+test('a successful load is live and saved for later', async () => {
+  const store = new MemoryStore();
+  const manager = createManager(switchableSource(ROWS), store);
+  const statuses = [];
+  manager.addEventListener('statuschange', event => statuses.push(event.detail.state));
+
+  const data = await manager.init();
+  await settle();
+  assert.equal(data.length, 2);
+  assert.equal(manager.status.state, 'live');
+  assert.equal(manager.status.source, 'Test sheet');
+  assert.deepEqual(statuses, ['live']);
+
+  const record = await new DatasetCache(store).load();
+  assert.deepEqual(record.rows, ROWS);
+  assert.equal(record.source, 'Test sheet');
+});
+
+test('an unreachable source falls back to the saved copy and retries', async t => {
+  const store = new MemoryStore();
+  await new DatasetCache(store).save({ rows: ROWS, source: 'Test sheet', savedAt: 1000 });
+
+  const source = switchableSource(ROWS.concat([['Cy Diaz', '$300K']]));
+  source.fail = new Error('Failed to fetch');
+  const manager = createManager(source, store);
+  t.after(() => clearTimeout(manager.revalidateTimer));
+
+  const data = await manager.init();
+  assert.deepEqual(data.map(item => item.name), ['Ana Lima', 'Bo Chen']);
+  assert.equal(manager.status.state, 'offline');
+  assert.equal(manager.status.asOf, 1000);
+  assert.equal(manager.status.error.message, 'Failed to fetch');
+  assert.equal(manager.source, source);
+  assert.ok(manager.revalidateTimer, 'a retry is scheduled');
+
+  // Still down: stays offline and waits longer
+  const firstDelay = manager.revalidateDelay;
+  await manager.revalidate();
+  assert.equal(manager.status.state, 'offline');
+  assert.equal(manager.revalidateDelay, firstDelay * 2);
+
+  // Back up: the new data arrives as a change and the status is live again
+  source.fail = null;
+  let diff = null;
+  manager.addEventListener('datachange', event => {
+    diff = event.detail;
+  });
+  await manager.revalidate();
+  assert.equal(manager.status.state, 'live');
+  assert.equal(manager.revalidateTimer, null);
+  assert.deepEqual(diff.added.map(item => item.name), ['Cy Diaz']);
+});
+
+test('viewers neither save nor read the saved copy, which has exact figures', async () => {
+  const store = new MemoryStore();
+  await createManager(switchableSource(ROWS, 'api'), store, 'viewer').init();
+  await settle();
+  assert.equal(await new DatasetCache(store).load(), null);
+
+  await new DatasetCache(store).save({ rows: ROWS, source: 'Test sheet', savedAt: 1000 });
+  const source = switchableSource(ROWS, 'api');
+  source.fail = new Error('Failed to fetch');
+  await assert.rejects(createManager(source, store, 'viewer').init(), /Failed to fetch/);
+});
+
+test('a failing refresh keeps the data and marks it offline', async t => {
+  const source = switchableSource(ROWS);
+  const manager = createManager(source);
+  t.after(() => clearTimeout(manager.revalidateTimer));
+
+  await manager.init();
+  const loadedAt = manager.status.asOf;
+  source.fail = new Error('Sheet unavailable');
+  await assert.rejects(manager.refresh(), /Sheet unavailable/);
+
+  assert.equal(manager.data.length, 2);
+  assert.equal(manager.status.state, 'offline');
+  assert.equal(manager.status.asOf, loadedAt);
+  assert.ok(manager.revalidateTimer);
+});
+
+test('without a saved copy the error is thrown, not replaced by made-up data', async () => {
+  const source = switchableSource(ROWS);
+  source.fail = new Error('Failed to fetch');
+  const manager = createManager(source);
+
+  await assert.rejects(manager.init(), /Failed to fetch/);
+  assert.deepEqual(manager.data, []);
+  assert.equal(manager.loadError, source.fail);
+});
+
+test('demo mode shows placeholder data without loading', async () => {
+  const source = switchableSource(ROWS);
+  const manager = createManager(source);
+  manager.isDemoMode = () => true;
+  source.load = async () => assert.fail('demo mode should not load the source');
+
+  const data = await manager.init();
+  assert.equal(data.length, 200);
+  assert.equal(manager.status.state, 'demo');
+});
@@ -0,0 +1,193 @@
+/**
+ * Export tests: people in view as CSV/JSON/XLSX, and scene files
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  exportItems,
+  exportRecords,
+  exportCsv,
+  exportJson,
+  exportXlsx,
+  createZip,
+  createScene,
+  parseScene
+} = require('../js/export.js');
+const { parseCsv } = require('../js/csv.js');
+
+const ITEMS = [
+  {
+    name: 'Ana Lima',
+    age: 34,
+    country: 'MY',
+    netWorth: 120000,
+    extra: { Team: 'Red' },
+    raw: { Name: 'Ana Lima', 'Net Worth': '$120K', Team: 'Red' },
+    rowNumber: 2,
+    photoUrl: 'https://example.com/ana.png',
+    interest: 'Chess',
+    initials: 'AL',
+    key: 'Ana Lima',
+    id: 1
+  },
+  {
+    name: 'Bo "Bobby" Chen, Jr.',
+    age: '',
+    country: 'CN',
+    netWorth: 80000,
+    extra: { Team: '', Desk: '4B' },
+    raw: {},
+    rowNumber: 3,
+    photoUrl: 'https://via.placeholder.com/60',
+    interest: '',
+    initials: 'BC',
+    key: 'Bo "Bobby" Chen, Jr.',
+    id: 2
+  }
+];
+
+/**
+ * Read the files out of a zip made by createZip (stored, not compressed)
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const name = decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+    const start = offset + 30 + nameLength;
+    files[name] = decoder.decode(bytes.subarray(start, start + size));
+    offset = start + size;
+  }
+  return files;
+}
+
+test('records keep the normalized fields without what only cards need', () => {
+  const [record] = exportRecords(ITEMS);
+  assert.equal(record.raw, undefined);
+  assert.equal(record.initials, undefined);
+  assert.equal(record.netWorth, 120000);
+  assert.deepEqual(record.extra, { Team: 'Red' });
+  assert.equal(record.key, 'Ana Lima');
+});
+
+test('roles that only see buckets export the bucket, not the stand-in amount', () => {
+  const restricted = { ...ITEMS[0], netWorth: 150000, netWorthBucket: '$100K - $200K' };
+  const [record] = exportRecords([restricted]);
+  assert.equal(record.netWorth, undefined);
+  assert.equal(record.netWorthBucket, '$100K - $200K');
+  assert.doesNotMatch(exportCsv([restricted]), /150000/);
+});
+
+test('CSV has one column per field, extra columns last, in item order', () => {
+  const rows = parseCsv(exportCsv(ITEMS));
+  assert.deepEqual(rows[0], [
+    'name', 'age', 'country', 'netWorth', 'rowNumber', 'photoUrl', 'interest', 'key', 'id', 'Team', 'Desk'
+  ]);
+  assert.deepEqual(rows[1].slice(0, 4), ['Ana Lima', '34', 'MY', '120000']);
+  assert.equal(rows[2][0], 'Bo "Bobby" Chen, Jr.');
+  assert.deepEqual(rows[1].slice(-2), ['Red', '']);
+  assert.deepEqual(rows[2].slice(-2), ['', '4B']);
+});
+
+test('JSON is the records as an array', () => {
+  const records = JSON.parse(exportJson(ITEMS));
+  assert.equal(records.length, 2);
+  assert.deepEqual(records[1].extra, { Team: '', Desk: '4B' });
+});
+
+test('XLSX is a workbook with the table in its first sheet', () => {
+  const files = readZip(exportXlsx(ITEMS));
+  assert.deepEqual(Object.keys(files).sort(), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/workbook.xml',
+    'xl/worksheets/sheet1.xml'
+  ]);
+
+  const sheet = files['xl/worksheets/sheet1.xml'];
+  assert.match(sheet, /<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">name<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="D2"><v>120000<\/v><\/c>/);
+  assert.match(sheet, /Bo &quot;Bobby&quot; Chen, Jr\./);
+  assert.match(sheet, /<c r="K3" t="inlineStr"><is><t xml:space="preserve">4B<\/t>/);
+});
+
+test('zip entries carry their CRC-32 and a central directory', () => {
+  const bytes = createZip([{ name: 'a.txt', data: 'hello' }], new Date(2024, 4, 1, 12, 30));
+  const view = new DataView(bytes.buffer);
+  assert.equal(view.getUint32(14, true), 0x3610a686);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 10, true), 1);
+  assert.equal(view.getUint32(view.getUint32(end + 16, true), true), 0x02014b50);
+});
+
+test('exportItems picks the writer and file type', () => {
+  assert.equal(exportItems(ITEMS, 'csv').extension, 'csv');
+  assert.ok(exportItems(ITEMS, 'xlsx').data instanceof Uint8Array);
+  assert.throws(() => exportItems(ITEMS, 'pdf'), /Unknown export format: pdf/);
+});
+
+test('scenes round-trip through their file text', () => {
+  const scene = createScene({
+    view: { layout: 'helix', filterMode: 'hide', card: 'Ana Lima' },
+    camera: { position: [0, 0, 3000], target: [0, 0, 0], up: [0, 1, 0] },
+    cards: [{ key: 'Ana Lima', position: [1.5, -2, 0], rotation: [0, 3.142, 0] }]
+  }, new Date('2024-05-01T12:00:00Z'));
+
+  const parsed = parseScene(JSON.stringify(scene));
+  assert.equal(parsed.savedAt, '2024-05-01T12:00:00.000Z');
+  assert.deepEqual(parsed.view, scene.view);
+  assert.deepEqual(parsed.camera, scene.camera);
+  assert.deepEqual(parsed.cards, scene.cards);
+});
+
+test('parseScene says what is wrong with a file it cannot restore', () => {
+  const scene = createScene({
+    view: {},
+    camera: { position: [0, 0, 3000], target: [0, 0, 0] },
+    cards: []
+  });
+
+  assert.deepEqual(parseScene(scene).camera.up, [0, 1, 0]);
+  assert.throws(() => parseScene('name,age'), /Not a scene file/);
+  assert.throws(() => parseScene('[]'), /Not a scene file/);
+  assert.throws(() => parseScene({ ...scene, version: 2 }), /newer version/);
+  assert.throws(() => parseScene({ ...scene, camera: { position: [0, 0], target: [0, 0, 0] } }), /camera/);
+  assert.throws(() => parseScene({ ...scene, cards: [{ key: 'A', position: [0, 0, 0] }] }), /card 1 is malformed/);
+});
+
+test('parseScene checks the saved view before it is applied', () => {
+  const scene = createScene({
+    view: {
+      layout: 'table',
+      filters: { countries: ['MY'], ageMin: 30 },
+      filterMode: 'dim',
+      sort: [{ field: 'country', direction: 'asc' }],
+      color: { field: 'country', type: 'categorical' },
+      card: null
+    },
+    camera: { position: [0, 0, 3000], target: [0, 0, 0] },
+    cards: []
+  });
+  const withView = view => ({ ...scene, view: { ...scene.view, ...view } });
+
+  assert.deepEqual(parseScene(scene).view, scene.view);
+  assert.deepEqual(parseScene({ ...scene, view: undefined }).view, {});
+  assert.throws(() => parseScene({ ...scene, view: 'helix' }), /Scene view is malformed/);
+  assert.throws(() => parseScene(withView({ sort: 'country' })), /Scene view has a malformed sort/);
+  assert.throws(() => parseScene(withView({ sort: [{ field: 'country', direction: 'up' }] })), /malformed sort/);
+  assert.throws(() => parseScene(withView({ filters: { shoeSize: [42] } })), /Scene view has an unknown filter: shoeSize/);
+  assert.throws(() => parseScene(withView({ filters: { ageMin: '30' } })), /malformed "ageMin" filter/);
+  assert.throws(() => parseScene(withView({ color: 'country' })), /Scene view has a malformed color/);
+  assert.throws(() => parseScene(withView({ color: { field: 'country' } })), /malformed color/);
+  assert.throws(() => parseScene(withView({ filterMode: 'blur' })), /Scene view has an unknown filter mode: blur/);
+  assert.throws(() => parseScene(withView({ layoutOptions: [] })), /malformed layout options/);
+});
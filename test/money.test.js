@@ -0,0 +1,91 @@
+/**
+ * Money parsing and formatting tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseMoney, convertMoney, parseAmount, formatMoney } = require('../js/money.js');
+
+const cases = [
+  ['300000', 300000, 'USD'],
+  ['$1,234.56', 1234.56, 'USD'],
+  ['1.2B', 1.2e9, 'USD'],
+  ['2T', 2e12, 'USD'],
+  ['150K', 150000, 'USD'],
+  ['$1.5M', 1.5e6, 'USD'],
+  ['1.5 million', 1.5e6, 'USD'],
+  ['3 bn', 3e9, 'USD'],
+  ['-20k', -20000, 'USD'],
+  ['$-20k', -20000, 'USD'],
+  ['20k-', -20000, 'USD'],
+  ['(50,000)', -50000, 'USD'],
+  ['(€50k)', -50000, 'EUR'],
+  ['€ 1.000.000', 1e6, 'EUR'],
+  ['1.234,56 €', 1234.56, 'EUR'],
+  ['1 234,56', 1234.56, 'USD'],
+  ["1'234'567", 1234567, 'USD'],
+  ['USD 300000', 300000, 'USD'],
+  ['300000 eur', 300000, 'EUR'],
+  ['RM 50k', 50000, 'MYR'],
+  ['RM5', 5, 'MYR'],
+  ['5 RMB', 5, 'CNY'],
+  ['RMB 5', 5, 'CNY'],
+  ['CN¥1,200', 1200, 'CNY'],
+  ['¥1,200', 1200, 'JPY'],
+  ['HK$ 2M', 2e6, 'HKD'],
+  ['£999', 999, 'GBP']
+];
+
+for (const [text, amount, currency] of cases) {
+  test(`parses ${text}`, () => {
+    assert.deepEqual(parseMoney(text), { amount, currency });
+  });
+}
+
+test('an "m" elsewhere in the text is not a million', () => {
+  assert.throws(() => parseMoney('Tom'), /not an amount/);
+  assert.throws(() => parseMoney('5 mango'), /unknown suffix/);
+});
+
+test('rejects values that are not amounts', () => {
+  for (const text of ['', 'N/A', '12x', '1.2.3,4,5', '$']) {
+    assert.throws(() => parseMoney(text), Error, text);
+  }
+  assert.throws(() => parseMoney('€5 USD'), /two currencies/);
+  assert.throws(() => parseMoney('5 RMX'), /unknown suffix/);
+});
+
+test('ambiguous separators follow the locale', () => {
+  assert.equal(parseMoney('1,000').amount, 1000);
+  assert.equal(parseMoney('1.000').amount, 1);
+  assert.equal(parseMoney('1.000', { locale: 'de-DE' }).amount, 1000);
+  assert.equal(parseMoney('1,000', { locale: 'de-DE' }).amount, 1);
+});
+
+test('amounts without a currency use the default currency', () => {
+  assert.equal(parseMoney('5k', { currency: 'MYR' }).currency, 'MYR');
+  assert.deepEqual(parseMoney(42, { currency: 'EUR' }), { amount: 42, currency: 'EUR' });
+});
+
+test('converts through the base currency rate table', () => {
+  const rates = { EUR: 1.08, MYR: 0.2 };
+  assert.equal(convertMoney(100, 'EUR', 'USD', rates), 108);
+  assert.equal(convertMoney(100, 'USD', 'USD', rates), 100);
+  assert.equal(convertMoney(100, 'EUR', 'MYR', rates, 'USD'), 540);
+  assert.throws(() => convertMoney(100, 'GBP', 'USD', rates), /No exchange rate for GBP/);
+});
+
+test('parseAmount converts only when there are rates', () => {
+  assert.equal(parseAmount('€1.000', { locale: 'de-DE', currency: 'USD' }), 1000);
+  assert.equal(parseAmount('€1.000', { locale: 'de-DE', currency: 'USD', rates: { EUR: 1.1 } }), 1100);
+  assert.throws(() => parseAmount('£5', { currency: 'USD', rates: { EUR: 1.1 } }), /No exchange rate for GBP/);
+});
+
+test('formats with Intl.NumberFormat', () => {
+  assert.equal(formatMoney(1500000, { compact: true }), '$1.5M');
+  assert.equal(formatMoney(150000, { compact: true }), '$150K');
+  assert.equal(formatMoney(-20000, { compact: true }), '-$20K');
+  assert.equal(formatMoney(1234567, { locale: 'en-US', currency: 'EUR' }), '€1,234,567');
+  assert.equal(formatMoney(1234567, { locale: 'de-DE', currency: 'EUR' }).replace(/\s/g, ' '), '1.234.567 €');
+});
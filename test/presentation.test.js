@@ -0,0 +1,83 @@
+/**
+ * Presentation tests: reading, checking and stepping through scripts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_HOLD,
+  DEFAULT_CAMERA_DURATION,
+  AUTO_ROTATE_SPEED,
+  createPresentation,
+  parsePresentation,
+  nextStepIndex
+} = require('../js/presentation.js');
+
+const VIEW = { position: [0, 0, 3000], target: [0, 0, 0] };
+
+const script = steps => ({ type: 'visualization-presentation', version: 1, steps });
+
+test('fills in holds, camera durations and script defaults', () => {
+  const parsed = parsePresentation(JSON.stringify(script([
+    { layout: 'table' },
+    { layout: 'sphere', camera: { path: [VIEW, { ...VIEW, up: [0, 0, 1] }] }, hold: 2000 }
+  ])));
+  assert.equal(parsed.title, '');
+  assert.equal(parsed.loop, false);
+  assert.equal(parsed.autoRotate, AUTO_ROTATE_SPEED);
+  assert.deepEqual(parsed.steps[0], { layout: 'table', camera: null, hold: DEFAULT_HOLD });
+  assert.deepEqual(parsed.steps[1].camera, {
+    path: [{ ...VIEW, up: [0, 1, 0] }, { ...VIEW, up: [0, 0, 1] }],
+    duration: DEFAULT_CAMERA_DURATION
+  });
+  assert.equal(parsed.steps[1].hold, 2000);
+});
+
+test('a single camera view is a one-point path', () => {
+  const parsed = parsePresentation(script([{ camera: VIEW }]));
+  assert.deepEqual(parsed.steps[0].camera.path, [{ ...VIEW, up: [0, 1, 0] }]);
+});
+
+test('keeps filters, filter mode and card, including null to let go', () => {
+  const parsed = parsePresentation(script([
+    { filters: { countries: ['MY'], ageMin: 30, ageMax: null }, filterMode: 'dim', card: 'Alex Smith' },
+    { card: null }
+  ]));
+  assert.deepEqual(parsed.steps[0].filters, { countries: ['MY'], ageMin: 30, ageMax: null });
+  assert.equal(parsed.steps[0].filterMode, 'dim');
+  assert.equal(parsed.steps[0].card, 'Alex Smith');
+  assert.equal(parsed.steps[1].card, null);
+  assert.equal('card' in parsePresentation(script([{ layout: 'table' }])).steps[0], false);
+});
+
+test('rejects files that are not presentation scripts', () => {
+  assert.throws(() => parsePresentation('{nope'), /Not a presentation script/);
+  assert.throws(() => parsePresentation({ type: 'visualization-scene', version: 1 }), /Not a presentation script/);
+  assert.throws(() => parsePresentation({ ...script([{}]), version: 2 }), /newer version/);
+  assert.throws(() => parsePresentation(script([])), /no steps/);
+});
+
+test('says which step is malformed and how', () => {
+  assert.throws(() => parsePresentation(script([{}, { hold: -1 }])), /Step 2 has a malformed hold time/);
+  assert.throws(() => parsePresentation(script([{ camera: { path: [{ position: [0, 0] }] } }])),
+    /Step 1 has a malformed camera view/);
+  assert.throws(() => parsePresentation(script([{ camera: { path: [] } }])), /Step 1 has an empty camera path/);
+  assert.throws(() => parsePresentation(script([{ filters: { shoeSize: [42] } }])), /unknown filter: shoeSize/);
+  assert.throws(() => parsePresentation(script([{ filters: { countries: 'MY' } }])), /malformed "countries" filter/);
+  assert.throws(() => parsePresentation(script([{ filterMode: 'blur' }])), /unknown filter mode: blur/);
+  assert.throws(() => parsePresentation(script([{ card: {} }])), /Step 1 has a malformed card/);
+});
+
+test('round-trips a script built in the app', () => {
+  const built = createPresentation({ title: 'Demo', loop: true, autoRotate: 0 });
+  built.steps.push({ layout: 'helix', camera: { path: [{ ...VIEW, up: [0, 1, 0] }], duration: 1500 }, hold: 3000 });
+  assert.deepEqual(parsePresentation(JSON.stringify(built)), built);
+});
+
+test('steps forward, wrapping only when the script loops', () => {
+  const steps = [{}, {}, {}];
+  assert.equal(nextStepIndex({ steps, loop: false }, 0), 1);
+  assert.equal(nextStepIndex({ steps, loop: false }, 2), -1);
+  assert.equal(nextStepIndex({ steps, loop: true }, 2), 0);
+});
@@ -0,0 +1,47 @@
+/**
+ * Sheet schema tests: mapping columns by header and validating rows
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SheetSchema } = require('../js/schema.js');
+
+test('maps columns by header name, whatever their order and spelling', () => {
+  const { items, report } = new SheetSchema().mapRows([
+    ['Net Worth ($)', 'full name', 'Team'],
+    ['$120,000', 'Ana Lima', 'Blue']
+  ]);
+  assert.equal(items[0].name, 'Ana Lima');
+  assert.equal(items[0].netWorth, 120000);
+  assert.deepEqual(items[0].extra, { Team: 'Blue' });
+  assert.deepEqual(report.issues.map(issue => issue.severity), ['warning', 'warning', 'warning', 'warning']);
+});
+
+test('rejects rows with a missing or malformed required value, and keeps warnings', () => {
+  const { items, report } = new SheetSchema().mapRows([
+    ['Name', 'Age', 'Net Worth'],
+    ['Ana Lima', 'thirty', '120000'],
+    ['', '41', '5000'],
+    ['Ben Carter', '35', 'lots']
+  ]);
+  assert.deepEqual(items.map(item => item.name), ['Ana Lima']);
+  assert.equal(items[0].age, undefined);
+  assert.equal(report.rowCount, 3);
+  assert.equal(report.validCount, 1);
+  assert.deepEqual(report.issues.filter(issue => issue.row > 1).map(issue => [issue.row, issue.severity]),
+    [[2, 'warning'], [3, 'error'], [4, 'error']]);
+});
+
+test('a missing required column rejects every row', () => {
+  const { items, report } = new SheetSchema().mapRows([
+    ['Name', 'Age', 'Country'],
+    ['Ana Lima', '29', 'CN'],
+    ['Ben Carter', '35', 'MY']
+  ]);
+  assert.deepEqual(items, []);
+  assert.equal(report.rowCount, 2);
+  assert.equal(report.validCount, 0);
+  const errors = report.issues.filter(issue => issue.severity === 'error');
+  assert.deepEqual(errors.map(issue => [issue.row, issue.column]), [[1, 'netWorth']]);
+});
@@ -0,0 +1,246 @@
+/**
+ * App server tests: /api/data caching, sign-in and roles, and static file rules
+ * ID tokens are signed with a local key pair and checked against a local JWKS.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createAppServer, createServerFromConfig, createDataService } = require('../server/index.js');
+const { loadConfig } = require('../server/config.js');
+const { SheetDataService, fixtureLoader } = require('../server/data-service.js');
+const { ApiSource } = require('../js/sources.js');
+const DataManager = require('../js/data.js');
+const { StaticKeySource } = require('../js/auth.js');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'server', 'people.csv');
+const INR_FIXTURE = path.join(__dirname, 'fixtures', 'server', 'people-inr.csv');
+const CLIENT_ID = 'test-client.apps.googleusercontent.com';
+const POLICY = { allowedDomains: ['example.com'], roles: { admin: ['owner@example.com'] } };
+
+const base64Url = bytes => Buffer.from(bytes).toString('base64url');
+
+/**
+ * Key pair for signing ID tokens, and the JWKS to check them against
+ */
+async function createSigner() {
+  const { publicKey, privateKey } = await crypto.subtle.generateKey(
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true,
+    ['sign', 'verify']
+  );
+  const jwk = await crypto.subtle.exportKey('jwk', publicKey);
+
+  // An ID token for `email`, valid for an hour
+  const sign = async email => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: 'key-1' }));
+    const payload = base64Url(JSON.stringify({
+      iss: 'https://accounts.google.com', aud: CLIENT_ID, sub: email, email, email_verified: true, iat: now, exp: now + 3600
+    }));
+    const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', privateKey, new TextEncoder().encode(`${header}.${payload}`));
+    return `${header}.${payload}.${base64Url(new Uint8Array(signature))}`;
+  };
+  return { sign, keySource: new StaticKeySource({ keys: [{ ...jwk, kid: 'key-1', use: 'sig' }] }) };
+}
+
+/**
+ * Start a server on a free port; resolves to its base URL
+ */
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+/**
+ * Loader that counts loads and can be switched to failing
+ */
+function countingLoader(rows) {
+  const loader = {
+    loads: 0,
+    fail: false,
+    describe: () => 'Counting loader',
+    load: async () => {
+      loader.loads++;
+      if (loader.fail) throw new Error('Sheet unavailable');
+      return rows();
+    }
+  };
+  return loader;
+}
+
+test('/api/data', async t => {
+  const { sign, keySource } = await createSigner();
+  const server = createAppServer({
+    dataService: new SheetDataService({ loader: fixtureLoader(FIXTURE), ttl: 60 }),
+    auth: { clientId: CLIENT_ID, keySource, policy: POLICY }
+  });
+  const baseUrl = await listen(server);
+  t.after(() => server.close());
+
+  const adminToken = await sign('owner@example.com');
+  const signedIn = (token, headers = {}) => ({ headers: { ...headers, Authorization: `Bearer ${token}` } });
+
+  await t.test('serves normalized items and the validation report', async () => {
+    const response = await fetch(`${baseUrl}/api/data`, signedIn(adminToken));
+    assert.equal(response.status, 200);
+    const json = await response.json();
+    assert.deepEqual(json.items.map(item => [item.name, item.netWorth]), [['Ana Lima', 120000], ['Ben Carter', 1200000]]);
+    assert.deepEqual(json.items[0].extra, { Team: 'Blue' });
+    assert.equal(json.items[0].raw, undefined);
+    assert.deepEqual(json.report.issues.filter(issue => issue.severity === 'error').map(issue => issue.row), [4]);
+  });
+
+  await t.test('answers 304 to a matching ETag', async () => {
+    const first = await fetch(`${baseUrl}/api/data`, signedIn(adminToken));
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+    const second = await fetch(`${baseUrl}/api/data`, signedIn(adminToken, { 'If-None-Match': etag }));
+    assert.equal(second.status, 304);
+  });
+
+  await t.test('refuses requests without a valid ID token', async () => {
+    const anonymous = await fetch(`${baseUrl}/api/data`);
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+    assert.match((await anonymous.json()).error, /Sign in/);
+
+    const [header, payload] = adminToken.split('.');
+    const forged = await fetch(`${baseUrl}/api/data`, signedIn(`${header}.${payload}.${base64Url('not a signature')}`));
+    assert.equal(forged.status, 401);
+    assert.match((await forged.json()).error, /signature is invalid/);
+  });
+
+  await t.test('refuses users the access policy does not allow', async () => {
+    const response = await fetch(`${baseUrl}/api/data`, signedIn(await sign('ana@elsewhere.com')));
+    assert.equal(response.status, 403);
+    assert.match((await response.json()).error, /not on the list/);
+  });
+
+  await t.test('gives viewers net worth only in buckets', async () => {
+    const response = await fetch(`${baseUrl}/api/data`, signedIn(await sign('ana@example.com')));
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('cache-control'), 'private, no-cache');
+    const json = await response.json();
+    assert.deepEqual(json.items.map(item => [item.name, item.netWorth, item.netWorthBucket]),
+      [['Ana Lima', 150000, '$100K – $200K'], ['Ben Carter', 250000, '> $200K']]);
+    assert.notEqual(response.headers.get('etag'), (await fetch(`${baseUrl}/api/data`, signedIn(adminToken))).headers.get('etag'));
+  });
+
+  await t.test('ApiSource reads the endpoint and reuses rows on 304', async () => {
+    const source = new ApiSource({ url: `${baseUrl}/api/data`, getIdToken: async () => adminToken });
+    const rows = await source.load();
+    assert.deepEqual(rows[0], ['name', 'age', 'country', 'interest', 'netWorth', 'Team']);
+    assert.equal(source.report.rowCount, 3);
+    assert.equal(await source.load(), rows);
+  });
+
+  await t.test('ApiSource leaves the server\'s bucket labels out of the rows', async () => {
+    const source = new ApiSource({ url: `${baseUrl}/api/data`, getIdToken: async () => sign('ana@example.com') });
+    const rows = await source.load();
+    assert.deepEqual(rows[0], ['name', 'age', 'country', 'interest', 'netWorth', 'Team']);
+    assert.equal(rows[1][4], '150000');
+  });
+
+  await t.test('DataManager loads viewers\' data from the app server only', async () => {
+    const manager = new DataManager();
+    manager.setRole('viewer');
+    manager.setIdTokenProvider(() => sign('ana@example.com'));
+    assert.deepEqual(manager.getSourceSpec(), { type: 'api' });
+
+    const url = `${baseUrl}/api/data`;
+    await assert.rejects(manager.loadFromSource(manager.createSource({ type: 'json-url', url })), /only load data from the app server/);
+    const items = await manager.loadFromSource(manager.createSource({ type: 'api', url }));
+    assert.deepEqual(items.map(item => [item.name, item.netWorth]), [['Ana Lima', 150000], ['Ben Carter', 250000]]);
+  });
+
+  await t.test('serves the app but not credentials, the server or tests', async () => {
+    assert.equal((await fetch(`${baseUrl}/app.html`)).status, 200);
+    assert.equal((await fetch(`${baseUrl}/js/data.js`)).headers.get('content-type'), 'text/javascript; charset=utf-8');
+    for (const file of ['/api.env', '/.env', '/package.json', '/server/index.js', '/test/server.test.js', '/js/../api.env', '/js/%2e%2e/api.env']) {
+      assert.equal((await fetch(`${baseUrl}${file}`)).status, 404, file);
+    }
+  });
+});
+
+test('SheetDataService caches for the TTL and serves stale data on failure', async () => {
+  let now = 1000000;
+  const realNow = Date.now;
+  Date.now = () => now;
+
+  try {
+    const loader = countingLoader(() => [['Name', 'Net Worth'], ['Ana', '5']]);
+    const service = new SheetDataService({ loader, ttl: 60 });
+
+    const [first, second] = await Promise.all([service.get(), service.get()]);
+    assert.equal(loader.loads, 1);
+    assert.equal(first, second);
+
+    now += 30 * 1000;
+    await service.get();
+    assert.equal(loader.loads, 1);
+
+    now += 31 * 1000;
+    const reloaded = await service.get();
+    assert.equal(loader.loads, 2);
+    assert.equal(reloaded.etag, first.etag);
+
+    now += 61 * 1000;
+    loader.fail = true;
+    const stale = await service.get();
+    assert.equal(stale.stale, true);
+    assert.equal(stale.etag, first.etag);
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test('createAppServer refuses everyone without an access policy', async t => {
+  const { sign, keySource } = await createSigner();
+  const server = createAppServer({
+    dataService: new SheetDataService({ loader: fixtureLoader(FIXTURE) }),
+    auth: { clientId: CLIENT_ID, keySource }
+  });
+  const baseUrl = await listen(server);
+  t.after(() => server.close());
+
+  const response = await fetch(`${baseUrl}/api/data`, { headers: { Authorization: `Bearer ${await sign('owner@example.com')}` } });
+  assert.equal(response.status, 403);
+  assert.match((await response.json()).error, /No access policy/);
+});
+
+test('fixture data is served offline without sign-in, except in production', async t => {
+  const load = async (profile, env) => {
+    const server = createServerFromConfig(loadConfig({ profile, env: { DATA_FIXTURE: FIXTURE, ...env }, envFiles: [] }));
+    const baseUrl = await listen(server);
+    t.after(() => server.close());
+    return fetch(`${baseUrl}/api/data`);
+  };
+
+  // No Google settings at all: nothing to sign in with or check tokens against
+  const offline = await load('development', { DATA_SOURCE: '{"type":"api"}' });
+  assert.equal(offline.status, 200);
+  const { items } = await offline.json();
+  assert.deepEqual(items.map(item => [item.name, item.netWorth]), [['Ana Lima', 120000], ['Ben Carter', 1200000]]);
+  assert.equal((await load('test', {})).status, 200);
+
+  const production = await load('production', { GOOGLE_CLIENT_ID: CLIENT_ID, ACCESS_POLICY: JSON.stringify(POLICY) });
+  assert.equal(production.status, 401);
+});
+
+test('createDataService reads amounts with the configured locale, currency and rates', async () => {
+  const settings = { CACHE_TTL: 60, COLOR_THRESHOLDS: [100000, 200000], MONEY_LOCALE: 'en-IN', CURRENCY: 'INR' };
+  const amounts = async overrides => JSON.parse((await createDataService({ ...settings, DATA_FIXTURE: INR_FIXTURE, ...overrides }).get()).body)
+    .items.map(item => [item.name, item.netWorth]);
+
+  assert.deepEqual(await amounts({}), [['Priya Nair', 15000000], ['Ana Lima', 1000]]);
+  assert.deepEqual(await amounts({ EXCHANGE_RATES: { USD: 83 } }), [['Priya Nair', 15000000], ['Ana Lima', 83000]]);
+});
+
+test('SheetDataService fails when the first load fails', async () => {
+  const loader = countingLoader(() => []);
+  loader.fail = true;
+  await assert.rejects(new SheetDataService({ loader }).get(), /Sheet unavailable/);
+});
@@ -0,0 +1,146 @@
+/**
+ * Sheets API source tests against a local mock Sheets endpoint
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { SheetsApiSource } = require('../js/sources.js');
+const { AuthManager, SHEETS_SCOPE } = require('../js/auth.js');
+
+const SHEET_ID = 'private-sheet';
+const VALUES = [['Name', 'Net Worth'], ['Ana Lima', '$120K']];
+
+/**
+ * Mock of GET /v4/spreadsheets/:id/values/:range that only accepts the
+ * tokens in `validTokens` (or the API key "public-key")
+ */
+function startMockSheets(validTokens) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, authorization: req.headers.authorization, key: url.searchParams.get('key') });
+
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const authorized = validTokens.has(token) || url.searchParams.get('key') === 'public-key';
+    if (!authorized) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { code: 401, status: 'UNAUTHENTICATED' } }));
+      return;
+    }
+    if (url.pathname !== `/v4/spreadsheets/${SHEET_ID}/values/Sheet1`) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ range: 'Sheet1!A1:B2', values: VALUES }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/v4/spreadsheets` });
+    });
+  });
+}
+
+test('Sheets API source', async t => {
+  const validTokens = new Set(['token-1']);
+  const mock = await startMockSheets(validTokens);
+  t.after(() => mock.server.close());
+
+  await t.test('reads a private sheet with a bearer token', async () => {
+    const source = new SheetsApiSource({ sheetId: SHEET_ID, baseUrl: mock.baseUrl, getAccessToken: async () => 'token-1' });
+    assert.deepEqual(await source.load(), VALUES);
+    assert.equal(mock.requests.at(-1).authorization, 'Bearer token-1');
+    assert.equal(mock.requests.at(-1).key, null);
+  });
+
+  await t.test('gets a fresh token once when the token is rejected', async () => {
+    const calls = [];
+    validTokens.add('token-2');
+    const source = new SheetsApiSource({
+      sheetId: SHEET_ID,
+      baseUrl: mock.baseUrl,
+      getAccessToken: async options => {
+        calls.push(options.forceRefresh);
+        return options.forceRefresh ? 'token-2' : 'expired-token';
+      }
+    });
+    assert.deepEqual(await source.load(), VALUES);
+    assert.deepEqual(calls, [false, true]);
+  });
+
+  await t.test('reports revoked access when the fresh token is rejected too', async () => {
+    const source = new SheetsApiSource({ sheetId: SHEET_ID, baseUrl: mock.baseUrl, getAccessToken: async () => 'revoked' });
+    await assert.rejects(source.load(), error => error.code === 'access_denied' && error.status === 401);
+  });
+
+  await t.test('still supports an API key for public sheets', async () => {
+    const source = new SheetsApiSource({ sheetId: SHEET_ID, baseUrl: mock.baseUrl, apiKey: 'public-key' });
+    assert.deepEqual(await source.load(), VALUES);
+  });
+});
+
+test('AuthManager access tokens', async t => {
+  // Fake Google Identity Services token client
+  let responses = [];
+  let requests = [];
+  global.google = {
+    accounts: {
+      oauth2: {
+        initTokenClient: config => ({
+          requestAccessToken: ({ prompt }) => {
+            requests.push({ prompt, scope: config.scope });
+            const next = responses.shift();
+            setImmediate(() => (next.type ? config.error_callback(next) : config.callback(next)));
+          }
+        }),
+        hasGrantedAllScopes: response => response.scope === SHEETS_SCOPE
+      }
+    }
+  };
+  t.after(() => delete global.google);
+
+  const auth = () => new AuthManager({ clientId: 'client', keySource: {} });
+
+  await t.test('requests the Sheets scope and caches the token', async () => {
+    const manager = auth();
+    responses = [{ access_token: 'abc', expires_in: 3600, scope: SHEETS_SCOPE }];
+    requests = [];
+    const [first, second] = await Promise.all([manager.getAccessToken(), manager.getAccessToken()]);
+    assert.equal(first, 'abc');
+    assert.equal(second, 'abc');
+    assert.equal(await manager.getAccessToken(), 'abc');
+    assert.deepEqual(requests, [{ prompt: '', scope: SHEETS_SCOPE }]);
+  });
+
+  await t.test('refreshes when forced or about to expire', async () => {
+    const manager = auth();
+    responses = [
+      { access_token: 'short', expires_in: 30, scope: SHEETS_SCOPE },
+      { access_token: 'fresh', expires_in: 3600, scope: SHEETS_SCOPE },
+      { access_token: 'forced', expires_in: 3600, scope: SHEETS_SCOPE }
+    ];
+    assert.equal(await manager.getAccessToken(), 'short');
+    assert.equal(await manager.getAccessToken(), 'fresh');
+    assert.equal(await manager.getAccessToken({ forceRefresh: true }), 'forced');
+  });
+
+  await t.test('needs consent when the popup could not open', async () => {
+    const manager = auth();
+    responses = [{ type: 'popup_failed_to_open', message: 'Failed to open popup window' }];
+    await assert.rejects(manager.getAccessToken(), error => error.code === 'consent_required');
+  });
+
+  await t.test('reports denied or revoked consent', async () => {
+    const manager = auth();
+    responses = [
+      { error: 'access_denied', error_description: 'The user denied access' },
+      { access_token: 'abc', expires_in: 3600, scope: 'openid' }
+    ];
+    await assert.rejects(manager.getAccessToken(), error => error.code === 'access_denied');
+    await assert.rejects(manager.getAccessToken(), /not granted/);
+  });
+});
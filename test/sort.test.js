@@ -0,0 +1,82 @@
+/**
+ * Sort tests: card order by one or more fields, groups and sort text
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { sortItems, getSortGroups, groupIndices, formatSort, parseSort } = require('../js/sort.js');
+
+const PEOPLE = [
+  { name: 'Cy Diaz', age: 41, country: 'MY', interest: 'Chess', netWorth: 300000 },
+  { name: 'ana Lima', age: 29, country: 'CN', interest: '', netWorth: 120000 },
+  { name: 'Bo Chen', age: '', country: 'MY', interest: 'Golf', netWorth: 80000 },
+  { name: 'Di Park', age: 29, country: '', interest: 'chess', netWorth: 120000 },
+  { name: 'Ed Wu', age: 35, country: 'cn', interest: 'Golf', netWorth: 5000000 }
+];
+
+const names = items => items.map(item => item.name);
+
+test('sorts text without regard to case', () => {
+  assert.deepEqual(names(sortItems(PEOPLE, [{ field: 'name', direction: 'asc' }])),
+    ['ana Lima', 'Bo Chen', 'Cy Diaz', 'Di Park', 'Ed Wu']);
+});
+
+test('sorts numbers descending, with missing values last either way', () => {
+  assert.deepEqual(names(sortItems(PEOPLE, [{ field: 'age', direction: 'desc' }])),
+    ['Cy Diaz', 'Ed Wu', 'ana Lima', 'Di Park', 'Bo Chen']);
+  assert.deepEqual(names(sortItems(PEOPLE, [{ field: 'age', direction: 'asc' }])),
+    ['ana Lima', 'Di Park', 'Ed Wu', 'Cy Diaz', 'Bo Chen']);
+});
+
+test('later keys break ties, then data order', () => {
+  const sort = [{ field: 'netWorth', direction: 'asc' }, { field: 'name', direction: 'desc' }];
+  assert.deepEqual(names(sortItems(PEOPLE, sort)), ['Bo Chen', 'Di Park', 'ana Lima', 'Cy Diaz', 'Ed Wu']);
+  assert.deepEqual(names(sortItems(PEOPLE, [{ field: 'netWorth', direction: 'asc' }])),
+    ['Bo Chen', 'ana Lima', 'Di Park', 'Cy Diaz', 'Ed Wu']);
+});
+
+test('sorts wrapped entries and leaves the input alone', () => {
+  const objects = PEOPLE.map(item => ({ userData: { item } }));
+  const sorted = sortItems(objects, [{ field: 'name', direction: 'desc' }], object => object.userData.item);
+  assert.equal(sorted[0].userData.item.name, 'Ed Wu');
+  assert.equal(objects[0].userData.item.name, 'Cy Diaz');
+  assert.notEqual(sortItems(objects, []), objects);
+});
+
+test('a category sort makes groups, missing values last as Unknown', () => {
+  const sort = [{ field: 'country', direction: 'asc' }, { field: 'name', direction: 'asc' }];
+  const sorted = sortItems(PEOPLE, sort);
+  assert.deepEqual(getSortGroups(sorted, sort), [
+    { label: 'CN', start: 0, count: 2 },
+    { label: 'MY', start: 2, count: 2 },
+    { label: 'Unknown', start: 4, count: 1 }
+  ]);
+});
+
+test('only a category as the first key makes groups', () => {
+  assert.equal(getSortGroups(PEOPLE, [{ field: 'netWorth', direction: 'asc' }, { field: 'country', direction: 'asc' }]), null);
+  assert.equal(getSortGroups(PEOPLE, []), null);
+});
+
+test('sort text round-trips and drops unknown or repeated fields', () => {
+  const sort = [{ field: 'country', direction: 'asc' }, { field: 'netWorth', direction: 'desc' }];
+  assert.equal(formatSort(sort), 'country,-netWorth');
+  assert.deepEqual(parseSort('country,-netWorth'), sort);
+  assert.deepEqual(parseSort('-age,shoeSize,age,name,interest,country'), [
+    { field: 'age', direction: 'desc' },
+    { field: 'name', direction: 'asc' },
+    { field: 'interest', direction: 'asc' }
+  ]);
+  assert.deepEqual(parseSort(null), []);
+});
+
+test('groups by a field, age buckets in age order with Unknown last', () => {
+  const people = [{ age: 41 }, { age: 7 }, { age: '' }, { age: 19 }, { age: 3 }, { age: 45 }];
+  assert.deepEqual(groupIndices(people, 'ageBucket'), [
+    ['0-9', [1, 4]],
+    ['10-19', [3]],
+    ['40-49', [0, 5]],
+    ['Unknown', [2]]
+  ]);
+});
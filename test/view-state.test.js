@@ -0,0 +1,76 @@
+/**
+ * View state tests: encoding views into URL hashes and back
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { encodeViewState, decodeViewState } = require('../js/view-state.js');
+
+const NO_FILTERS = {
+  search: '',
+  countries: [],
+  interests: [],
+  ageMin: null,
+  ageMax: null,
+  netWorthMin: null,
+  netWorthMax: null
+};
+
+test('round-trips a full view', () => {
+  const state = {
+    layout: 'helix',
+    layoutOptions: { groupBy: 'interest', radius: 900 },
+    filters: { ...NO_FILTERS, search: 'ali', countries: ['MY', 'CN'], ageMin: 20, ageMax: 40, netWorthMin: 100000 },
+    filterMode: 'dim',
+    sort: [{ field: 'country', direction: 'asc' }, { field: 'netWorth', direction: 'desc' }],
+    color: { field: 'country', type: 'categorical' },
+    camera: { position: [120.4, -35, 2999.6], target: [0, 0, 0], up: [0, 0.7071, 0.7071] },
+    card: 'Alex Smith'
+  };
+
+  const decoded = decodeViewState(`#${encodeViewState(state)}`);
+  assert.deepEqual(decoded, {
+    ...state,
+    camera: { position: [120, -35, 3000], target: [0, 0, 0], up: [0, 0.707, 0.707] }
+  });
+});
+
+test('writes short, readable hashes', () => {
+  const hash = encodeViewState({
+    layout: 'helix',
+    filters: { ...NO_FILTERS, countries: ['MY'] },
+    filterMode: 'hide',
+    sort: [{ field: 'age', direction: 'desc' }],
+    color: { field: 'netWorth', type: 'threshold' },
+    camera: { position: [0, 0, 3000], target: [0, 0, 0], up: [0, 1, 0] },
+    card: '42'
+  });
+  assert.equal(hash, 'layout=helix&country=MY&sort=-age&color=netWorth&scale=threshold&cam=0,0,3000&target=0,0,0&card=42');
+});
+
+test('open-ended ranges keep their missing side', () => {
+  const decoded = decodeViewState(encodeViewState({ filters: { ...NO_FILTERS, netWorthMax: 5e6, ageMin: 30 } }));
+  assert.equal(decoded.filters.netWorthMin, null);
+  assert.equal(decoded.filters.netWorthMax, 5e6);
+  assert.equal(decoded.filters.ageMin, 30);
+  assert.equal(decoded.filters.ageMax, null);
+});
+
+test('an empty hash means the default view', () => {
+  assert.deepEqual(decodeViewState(''), { filters: NO_FILTERS, filterMode: 'hide' });
+  assert.deepEqual(decodeViewState('#'), { filters: NO_FILTERS, filterMode: 'hide' });
+});
+
+test('ignores malformed parts', () => {
+  const decoded = decodeViewState('#layout=grid&cam=1,2&target=0,0,0&age=old..&mode=blink&sort=shoeSize&card=&o.=3&unknown=1');
+  assert.deepEqual(decoded, { layout: 'grid', filters: NO_FILTERS, filterMode: 'hide' });
+});
+
+test('keeps values that need escaping', () => {
+  const state = { filters: { ...NO_FILTERS, search: 'O\'Brien, Sons & Co', interests: ['Rock & Roll'] }, card: 'Zoë#2' };
+  const decoded = decodeViewState(encodeViewState(state));
+  assert.equal(decoded.filters.search, 'O\'Brien, Sons & Co');
+  assert.deepEqual(decoded.filters.interests, ['Rock & Roll']);
+  assert.equal(decoded.card, 'Zoë#2');
+});